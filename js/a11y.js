@@ -0,0 +1,174 @@
+/**
+ * a11y.js – Keyboard navigation and screen-reader helpers for the views.
+ *
+ *   announce(text)               – read out through the polite live
+ *                                  region (#srAnnouncer)
+ *   trapFocus(el)                – keep Tab inside an open dialog; the
+ *                                  returned release() hands focus back
+ *   clickable(container, sel)    – Enter / Space on a focused item clicks it
+ *   gridKeys(container, sel)     – arrow keys, Home and End move between
+ *                                  grid items; Enter / Space open one
+ *   feedKeys(container, sel)     – j / k move between the cards of a feed
+ *                                  while it is on screen
+ *
+ * Items are found in DOM order, so pages PagedList has recycled are
+ * simply skipped over.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const A11y = (() => {
+  "use strict";
+
+  const FOCUSABLE = [
+    "a[href]",
+    "button:not([disabled])",
+    "input:not([disabled])",
+    "select:not([disabled])",
+    "textarea:not([disabled])",
+    "video[controls]",
+    '[tabindex]:not([tabindex="-1"])',
+  ].join(",");
+  const TYPING = "input, textarea, select, [contenteditable]";
+
+  let _announceTimer = null;
+  const _traps = []; // open dialogs, innermost last
+
+  // ---- Live region ----
+
+  /** Have screen readers read text out, without moving focus */
+  function announce(text) {
+    const region = document.getElementById("srAnnouncer");
+    if (!region) return;
+    // Clear first so the same text is read again
+    region.textContent = "";
+    clearTimeout(_announceTimer);
+    _announceTimer = setTimeout(() => { region.textContent = text; }, 50);
+  }
+
+  // ---- Focus trap ----
+  function visible(el) {
+    return el.getClientRects().length > 0;
+  }
+
+  function focusables(el) {
+    return [...el.querySelectorAll(FOCUSABLE)].filter(visible);
+  }
+
+  document.addEventListener("keydown", (e) => {
+    const trap = _traps[_traps.length - 1];
+    if (!trap || e.key !== "Tab") return;
+    const nodes = focusables(trap.el);
+    if (nodes.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    const first = nodes[0];
+    const last = nodes[nodes.length - 1];
+    const inside = trap.el.contains(document.activeElement);
+    if (e.shiftKey && (!inside || document.activeElement === first)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+      e.preventDefault();
+      first.focus();
+    }
+  });
+
+  /**
+   * Keep Tab cycling inside el (the innermost trap wins).
+   * @param {HTMLElement} el - the open dialog
+   * @returns {Function} release({ restore = true }) – stop trapping and,
+   *   unless restore is false, focus what had focus before
+   */
+  function trapFocus(el) {
+    const trap = { el, previous: document.activeElement };
+    _traps.push(trap);
+    return function release({ restore = true } = {}) {
+      const i = _traps.indexOf(trap);
+      if (i === -1) return;
+      _traps.splice(i, 1);
+      const previous = trap.previous;
+      if (restore && previous && previous.isConnected && typeof previous.focus === "function") {
+        previous.focus({ preventScroll: true });
+      }
+    };
+  }
+
+  /** True while a modal dialog (lightbox, post page, slideshow) is on screen */
+  function dialogOpen() {
+    return [...document.querySelectorAll('[aria-modal="true"]')].some(visible);
+  }
+
+  // ---- Lists ----
+
+  /** Enter or Space on a focused item (not a control inside it) clicks it */
+  function clickable(container, selector) {
+    container.addEventListener("keydown", (e) => {
+      const item = e.target.closest(selector);
+      if (!item || item !== e.target || (e.key !== "Enter" && e.key !== " ")) return;
+      e.preventDefault();
+      item.click();
+    });
+  }
+
+  /** Columns in the item's row, from its width against the row's */
+  function columnsOf(item) {
+    return Math.max(1, Math.round(item.parentElement.clientWidth / item.offsetWidth));
+  }
+
+  /**
+   * Arrow-key movement between grid items; Enter / Space open one.
+   * @param {HTMLElement} container
+   * @param {string} selector - focusable items (tabindex="0")
+   */
+  function gridKeys(container, selector) {
+    clickable(container, selector);
+    container.addEventListener("keydown", (e) => {
+      const item = e.target.closest(selector);
+      if (!item || item !== e.target || e.altKey || e.ctrlKey || e.metaKey) return;
+      const items = [...container.querySelectorAll(selector)];
+      const i = items.indexOf(item);
+      const columns = columnsOf(item);
+      const moves = {
+        ArrowLeft: -1,
+        ArrowRight: 1,
+        ArrowUp: -columns,
+        ArrowDown: columns,
+        Home: -i,
+        End: items.length - 1 - i,
+      };
+      if (!(e.key in moves)) return;
+      e.preventDefault();
+      const next = items[i + moves[e.key]];
+      if (next) next.focus();
+    });
+  }
+
+  /**
+   * j / k to the next / previous card of a feed while it is on screen
+   * and no dialog is open. Starts from the focused card, else the one
+   * at the top of the screen.
+   * @param {HTMLElement} container
+   * @param {string} selector - cards (tabindex="-1" so they take focus)
+   */
+  function feedKeys(container, selector) {
+    document.addEventListener("keydown", (e) => {
+      if ((e.key !== "j" && e.key !== "k") || e.altKey || e.ctrlKey || e.metaKey) return;
+      if (e.target.closest(TYPING) || !visible(container) || dialogOpen()) return;
+      const cards = [...container.querySelectorAll(selector)];
+      if (cards.length === 0) return;
+
+      const focused = cards.indexOf(e.target.closest(selector));
+      const below = cards.findIndex((card) => card.getBoundingClientRect().top > 1);
+      const current = focused !== -1 ? focused : (below === -1 ? cards.length - 1 : below - 1);
+      const next = cards[current + (e.key === "j" ? 1 : -1)];
+      if (!next) return;
+      e.preventDefault();
+      next.focus({ preventScroll: true });
+      const smooth = !window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+      next.scrollIntoView({ block: "start", behavior: smooth ? "smooth" : "auto" });
+    });
+  }
+
+  return { announce, trapFocus, dialogOpen, clickable, gridKeys, feedKeys };
+})();
@@ -0,0 +1,82 @@
+/**
+ * admin-history.js – Undo / redo stack for the admin panel.
+ *
+ * A command is { label, undo(), redo(), mergeKey? }. Commands pushed
+ * with the same mergeKey in quick succession (typing in one caption)
+ * collapse into one step. DOM-free; admin.js decides what a command
+ * does and wires the keyboard shortcuts.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const AdminHistory = (() => {
+  "use strict";
+
+  const LIMIT = 100;
+  const MERGE_MS = 1000;
+
+  let _undo = [];
+  let _redo = [];
+  let _listeners = [];
+
+  function notify() {
+    _listeners.forEach((fn) => fn());
+  }
+
+  /**
+   * Record a command that has already been applied.
+   * @param {{ label: string, undo: Function, redo: Function, mergeKey?: string }} command
+   */
+  function push(command) {
+    const last = _undo[_undo.length - 1];
+    const now = Date.now();
+    if (command.mergeKey && last && last.mergeKey === command.mergeKey && now - last.at < MERGE_MS) {
+      // Keep the oldest undo, take the newest redo
+      last.redo = command.redo;
+      last.at = now;
+    } else {
+      _undo.push({ ...command, at: now });
+      if (_undo.length > LIMIT) _undo.shift();
+    }
+    _redo = [];
+    notify();
+  }
+
+  /** Undo the last command; returns it, or null if there was none */
+  function undo() {
+    const command = _undo.pop();
+    if (!command) return null;
+    command.undo();
+    _redo.push(command);
+    notify();
+    return command;
+  }
+
+  /** Redo the last undone command; returns it, or null if there was none */
+  function redo() {
+    const command = _redo.pop();
+    if (!command) return null;
+    command.redo();
+    _undo.push(command);
+    notify();
+    return command;
+  }
+
+  /** Label of the next undo / redo step ("" if none) */
+  function peek(which) {
+    const stack = which === "redo" ? _redo : _undo;
+    return stack.length ? stack[stack.length - 1].label : "";
+  }
+
+  function clear() {
+    _undo = [];
+    _redo = [];
+    notify();
+  }
+
+  /** Call fn whenever the stacks change */
+  function onChange(fn) {
+    _listeners.push(fn);
+  }
+
+  return { push, undo, redo, peek, clear, onChange };
+})();
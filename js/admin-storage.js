@@ -0,0 +1,288 @@
+/**
+ * admin-storage.js – Pluggable storage backends for the admin panel.
+ *
+ * Each backend writes a file by its project-relative path
+ * ("data/photos.json", "palgram/pals.json", "photos/web/…"); folder
+ * and server can also delete one (stale manifest pages):
+ *
+ *   download – browser download; always available, the fallback
+ *   folder   – File System Access API; pick the project folder once
+ *              and files are written in place (handle kept in IndexedDB)
+ *   server   – PUT to scripts/save-server.js when the admin page is
+ *              served by it
+ */
+
+// eslint-disable-next-line no-unused-vars
+const AdminStorage = (() => {
+  "use strict";
+
+  const PREF_KEY = "mygram_admin_storage";
+  const SAVE_ENDPOINT = "__save/";
+  const DB_NAME = "mygram-admin";
+  const DB_STORE = "handles";
+  const HANDLE_KEY = "project";
+
+  let _folder = null;        // FileSystemDirectoryHandle
+  let _serverAvailable = false;
+  let _current = "download";
+
+  // =========================================================
+  //  IndexedDB (persist the picked folder across reloads)
+  // =========================================================
+  function openDB() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function idb(mode, fn) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(DB_STORE, mode);
+      const req = fn(tx.objectStore(DB_STORE));
+      tx.oncomplete = () => { db.close(); resolve(req.result); };
+      tx.onerror = () => { db.close(); reject(tx.error); };
+    });
+  }
+
+  // =========================================================
+  //  Backends
+  // =========================================================
+  function basename(path) {
+    return path.split("/").pop();
+  }
+
+  const backends = {
+    download: {
+      label: "Download",
+      available: () => true,
+      async write(path, body) {
+        const blob = body instanceof Blob ? body : new Blob([body], { type: "application/json" });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = basename(path);
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+      },
+    },
+
+    folder: {
+      label: "Project folder",
+      available: () => typeof window.showDirectoryPicker === "function",
+      async write(path, body) {
+        if (!_folder) throw new Error("No project folder selected");
+        if (!(await hasPermission(_folder))) throw new Error("No permission to write to the project folder");
+        const parts = path.split("/");
+        let dir = _folder;
+        for (const part of parts.slice(0, -1)) {
+          dir = await dir.getDirectoryHandle(part, { create: true });
+        }
+        const file = await dir.getFileHandle(parts[parts.length - 1], { create: true });
+        const writable = await file.createWritable();
+        await writable.write(body);
+        await writable.close();
+      },
+      async remove(path) {
+        if (!_folder) throw new Error("No project folder selected");
+        const parts = path.split("/");
+        let dir = _folder;
+        try {
+          for (const part of parts.slice(0, -1)) {
+            dir = await dir.getDirectoryHandle(part);
+          }
+          await dir.removeEntry(parts[parts.length - 1]);
+        } catch (err) {
+          if (err.name !== "NotFoundError") throw err;
+        }
+      },
+    },
+
+    server: {
+      label: "Local save server",
+      available: () => _serverAvailable,
+      async write(path, body) {
+        const res = await fetch(SAVE_ENDPOINT + path, {
+          method: "PUT",
+          headers: { "Content-Type": body instanceof Blob ? body.type || "application/octet-stream" : "application/json" },
+          body,
+        });
+        if (!res.ok) {
+          let message = "HTTP " + res.status;
+          try {
+            message = (await res.json()).error || message;
+          } catch (e) { /* keep the status */ }
+          throw new Error(message);
+        }
+      },
+      async remove(path) {
+        const res = await fetch(SAVE_ENDPOINT + path, { method: "DELETE" });
+        if (!res.ok) throw new Error("HTTP " + res.status);
+      },
+    },
+  };
+
+  async function hasPermission(handle) {
+    return (await handle.queryPermission({ mode: "readwrite" })) === "granted";
+  }
+
+  /** Ask the user for the project folder and check it looks like one */
+  async function pickFolder() {
+    const handle = await window.showDirectoryPicker({ id: "mygram-project", mode: "readwrite" });
+    try {
+      const data = await handle.getDirectoryHandle("data");
+      await data.getFileHandle("photos.json");
+    } catch (e) {
+      throw new Error("That folder has no data/photos.json — pick the mygram project folder");
+    }
+    _folder = handle;
+    try {
+      await idb("readwrite", (store) => store.put(handle, HANDLE_KEY));
+    } catch (e) {
+      console.warn("AdminStorage: could not remember folder", e);
+    }
+    return handle.name;
+  }
+
+  async function detectServer() {
+    try {
+      const res = await fetch(SAVE_ENDPOINT, { cache: "no-store" });
+      if (!res.ok) return false;
+      const body = await res.json();
+      return !!(body && body.ok);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // =========================================================
+  //  Public
+  // =========================================================
+
+  /** Detect available backends and restore the last choice */
+  async function init() {
+    _serverAvailable = await detectServer();
+
+    if (backends.folder.available()) {
+      try {
+        _folder = (await idb("readonly", (store) => store.get(HANDLE_KEY))) || null;
+      } catch (e) {
+        _folder = null;
+      }
+    }
+
+    const saved = localStorage.getItem(PREF_KEY);
+    if (saved && backends[saved] && backends[saved].available()) {
+      _current = saved;
+    } else if (_serverAvailable) {
+      _current = "server";
+    }
+  }
+
+  function list() {
+    return Object.keys(backends).map((id) => ({
+      id,
+      label: backends[id].label,
+      available: backends[id].available(),
+    }));
+  }
+
+  function current() {
+    return _current;
+  }
+
+  function use(id) {
+    if (!backends[id] || !backends[id].available()) return;
+    _current = id;
+    localStorage.setItem(PREF_KEY, id);
+  }
+
+  function folderName() {
+    return _folder ? _folder.name : "";
+  }
+
+  /**
+   * Get ready to write with the current backend. After a reload the
+   * project folder has to be allowed again, which the browser only
+   * asks about during a user gesture: call this from the click (or
+   * drop) handler that starts a save or upload, before anything else
+   * is awaited.
+   * @returns {Promise<{ ok: boolean, error?: Error }>}
+   */
+  async function prepare() {
+    if (_current !== "folder" || !_folder) return { ok: true };
+    try {
+      if (await hasPermission(_folder)) return { ok: true };
+      if ((await _folder.requestPermission({ mode: "readwrite" })) === "granted") return { ok: true };
+      return { ok: false, error: new Error("Permission to write to the project folder was denied") };
+    } catch (err) {
+      // Outside a user gesture the browser refuses to ask
+      return { ok: false, error: new Error("The browser needs a click to allow writing to the project folder") };
+    }
+  }
+
+  /** Write with the current backend, falling back to a download unless fallback is false */
+  async function write(path, body, fallback = true) {
+    if (_current !== "download") {
+      try {
+        await backends[_current].write(path, body);
+        return { backend: _current };
+      } catch (err) {
+        console.error("AdminStorage: " + _current + " save failed", err);
+        if (!fallback) return { backend: _current, error: err };
+        await backends.download.write(path, body);
+        return { backend: "download", error: err };
+      }
+    }
+    await backends.download.write(path, body);
+    return { backend: "download" };
+  }
+
+  /**
+   * Write a JSON file with the current backend, falling back to a
+   * download if that fails.
+   * @param {string} path - project-relative path, e.g. "data/photos.json"
+   * @param {Object} data
+   * @returns {Promise<{ backend: string, error?: Error }>}
+   */
+  function save(path, data) {
+    return write(path, JSON.stringify(data, null, 2) + "\n");
+  }
+
+  /**
+   * Write a binary file (e.g. a generated WebP) with the current
+   * backend. Unlike save() there is no download fallback: a failed
+   * write is returned as the error and nothing is downloaded.
+   * @param {string} path - project-relative path, e.g. "photos/web/IMG_1.webp"
+   * @param {Blob} blob
+   * @returns {Promise<{ backend: string, error?: Error }>}
+   */
+  function saveBlob(path, blob) {
+    return write(path, blob, false);
+  }
+
+  /**
+   * Delete a file with the current backend. Downloads can't delete,
+   * so that backend always returns an error.
+   * @param {string} path - project-relative path, e.g. "data/photos-0003.json"
+   * @returns {Promise<{ backend: string, error?: Error }>}
+   */
+  async function remove(path) {
+    const backend = backends[_current];
+    if (!backend.remove) return { backend: _current, error: new Error("Can't delete files") };
+    try {
+      await backend.remove(path);
+      return { backend: _current };
+    } catch (err) {
+      console.error("AdminStorage: " + _current + " delete failed", err);
+      return { backend: _current, error: err };
+    }
+  }
+
+  return { init, list, current, use, prepare, pickFolder, folderName, save, saveBlob, remove };
+})();
@@ -0,0 +1,204 @@
+/**
+ * admin-upload.js – In-browser version of `scripts/mygram.js process`.
+ *
+ * For each dropped image it reads EXIF (js/exif.js), renders the
+ * WebP web image (max 2048px) and the 1080 / 640 / 360 square
+ * thumbnails on a canvas, and builds a photos.json entry with the
+ * same fields and file names the script writes. Saving the files
+ * is left to the caller (admin.js → AdminStorage).
+ */
+
+// eslint-disable-next-line no-unused-vars
+const AdminUpload = (() => {
+  "use strict";
+
+  // Same settings as scripts/mygram.js
+  const WEB_MAX_DIMENSION = 2048;
+  const WEB_QUALITY = 0.7;
+  const THUMB_QUALITY = 0.75;
+  const THUMB_SIZES = [
+    { size: 1080, dir: "photos/thumbnails/" },
+    { size: 640, dir: "photos/thumbnails/640/" },
+    { size: 360, dir: "photos/thumbnails/360/" },
+  ];
+  const GEOCODE_URL = "https://nominatim.openstreetmap.org/reverse";
+  const GEOCODE_INTERVAL_MS = 1000; // be polite to Nominatim, as the script is
+
+  let _lastGeocode = 0;
+
+  const ACCEPTED_TYPES = ["image/jpeg", "image/png", "image/webp", "image/avif", "image/bmp"];
+
+  /** Same rules as the script: spaces / specials → hyphens */
+  function sanitizeFilename(name) {
+    return name
+      .replace(/\s/g, "-")
+      .replace(/[^a-zA-Z0-9._-]/g, "-")
+      .replace(/-+/g, "-")
+      .replace(/^-|-$/g, "");
+  }
+
+  function slugFor(filename) {
+    return filename
+      .replace(/\.[^.]+$/, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9-]/g, "-")
+      .replace(/-+/g, "-")
+      .replace(/^-|-$/g, "");
+  }
+
+  /** Local time of a Date as "YYYY-MM-DDTHH:MM:SS" (script's mtime fallback) */
+  function localIso(date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+      `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  }
+
+  function isSupported(file) {
+    return ACCEPTED_TYPES.includes(file.type);
+  }
+
+  // =========================================================
+  //  Canvas rendering
+  // =========================================================
+  function makeCanvas(w, h) {
+    if (typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(w, h);
+    const canvas = document.createElement("canvas");
+    canvas.width = w;
+    canvas.height = h;
+    return canvas;
+  }
+
+  async function toWebp(canvas, quality) {
+    const blob = canvas.convertToBlob
+      ? await canvas.convertToBlob({ type: "image/webp", quality })
+      : await new Promise((resolve) => canvas.toBlob(resolve, "image/webp", quality));
+    // Browsers that can't encode WebP silently return PNG
+    if (!blob || blob.type !== "image/webp") {
+      throw new Error("This browser can't encode WebP images — try Chrome, Edge or Firefox");
+    }
+    return blob;
+  }
+
+  /** Draw the bitmap scaled into a w×h canvas, from source rect (sx, sy, sw, sh) */
+  function draw(bitmap, w, h, sx = 0, sy = 0, sw = bitmap.width, sh = bitmap.height) {
+    const canvas = makeCanvas(w, h);
+    const ctx = canvas.getContext("2d");
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(bitmap, sx, sy, sw, sh, 0, 0, w, h);
+    return canvas;
+  }
+
+  /** Longest edge capped at WEB_MAX_DIMENSION, never upscaled (ImageMagick ">") */
+  function renderWeb(bitmap) {
+    const scale = Math.min(1, WEB_MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+    const w = Math.round(bitmap.width * scale);
+    const h = Math.round(bitmap.height * scale);
+    return toWebp(draw(bitmap, w, h), WEB_QUALITY);
+  }
+
+  /** Centre-cropped square (ImageMagick "-thumbnail NxN^ -gravity center -extent") */
+  function renderThumb(bitmap, size) {
+    const side = Math.min(bitmap.width, bitmap.height);
+    const sx = (bitmap.width - side) / 2;
+    const sy = (bitmap.height - side) / 2;
+    return toWebp(draw(bitmap, size, size, sx, sy, side, side), THUMB_QUALITY);
+  }
+
+  // =========================================================
+  //  Location
+  // =========================================================
+
+  /** Reverse-geocode to "City, Region" like the script; "" on failure */
+  async function reverseGeocode(lat, lon) {
+    if (lat === null || lon === null) return "";
+    const wait = _lastGeocode + GEOCODE_INTERVAL_MS - Date.now();
+    if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+    _lastGeocode = Date.now();
+    try {
+      const res = await fetch(`${GEOCODE_URL}?lat=${lat}&lon=${lon}&format=json&zoom=10`);
+      if (!res.ok) return "";
+      const data = await res.json();
+      return (data.display_name || "").split(",").slice(0, 2).map((s) => s.trim()).join(", ");
+    } catch (e) {
+      return "";
+    }
+  }
+
+  // =========================================================
+  //  Public
+  // =========================================================
+
+  /**
+   * Process one image file.
+   * @param {File} file
+   * @param {Object} [options]
+   *   caption {string}  – initial caption
+   *   geocode {boolean} – look up a location name from GPS (default true)
+   * @returns {Promise<{ entry: Object, files: Array<{ path: string, blob: Blob }> }>}
+   */
+  async function process(file, options = {}) {
+    if (!isSupported(file)) {
+      throw new Error(file.name + " is not a supported image type");
+    }
+
+    const filename = sanitizeFilename(file.name);
+    const base = filename.replace(/\.[^.]+$/, "");
+    const webFilename = base + ".webp";
+    const thumbFilename = "thumb_" + base + ".webp";
+
+    const exif = typeof ExifModule !== "undefined"
+      ? ExifModule.summarize(ExifModule.read(await file.arrayBuffer()))
+      : { date: "", camera: "", lens: "", settings: "", focalLength: null, aperture: null, shutter: "",
+        iso: null, flash: null, software: "", gps: { lat: "", lon: "" }, position: { lat: null, lon: null } };
+
+    // createImageBitmap applies the EXIF orientation (like -auto-orient)
+    const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+    const files = [{ path: "photos/originals/" + filename, blob: file }];
+    try {
+      files.push({ path: "photos/web/" + webFilename, blob: await renderWeb(bitmap) });
+      for (const t of THUMB_SIZES) {
+        files.push({ path: t.dir + thumbFilename, blob: await renderThumb(bitmap, t.size) });
+      }
+    } finally {
+      const width = bitmap.width;
+      const height = bitmap.height;
+      bitmap.close();
+      // EXIF dimensions are pre-rotation, like exiftool's ImageWidth
+      if (!exif.width || !exif.height) {
+        const rotated = exif.orientation >= 5;
+        exif.width = rotated ? height : width;
+        exif.height = rotated ? width : height;
+      }
+    }
+
+    const location = options.geocode === false ? "" : await reverseGeocode(exif.position.lat, exif.position.lon);
+
+    const entry = {
+      filename,
+      web: webFilename,
+      thumbnail: thumbFilename,
+      slug: slugFor(filename),
+      date: exif.date || localIso(new Date(file.lastModified)),
+      caption: options.caption || "",
+      camera: exif.camera,
+      lens: exif.lens,
+      settings: exif.settings,
+      focalLength: exif.focalLength,
+      aperture: exif.aperture,
+      shutter: exif.shutter,
+      iso: exif.iso,
+      flash: exif.flash,
+      software: exif.software,
+      location,
+      gps: { lat: exif.gps.lat, lon: exif.gps.lon },
+      width: exif.width,
+      height: exif.height,
+      media: [{ type: "image", web: webFilename, thumbnail: thumbFilename }],
+    };
+
+    return { entry, files };
+  }
+
+  return { process, isSupported, sanitizeFilename, slugFor };
+})();
@@ -17,6 +17,20 @@
   let _deleteAlbumIndex = -1;
   let _editingAlbumIndex = -1; // -1 = creating new
   let _selectedPhotos = new Set(); // filenames selected for current album
+  const _bulkSelection = new Set(); // filenames ticked in the Photos list
+  let _bulkAnchor = -1;             // last ticked index, for shift-click ranges
+  let _bulkLabel = "";              // history label of the last bulk edit, for its Undo link
+
+  // Per-file save state for the dirty / saved indicator
+  const PHOTOS_FILE = "data/photos.json";
+  const PALS_FILE = "palgram/pals.json";
+  const _previewUrls = {}; // filename → object URL for photos uploaded this session
+  const _fileState = {
+    [PHOTOS_FILE]: { dirty: false, status: "", at: null, clean: "" },
+    [PALS_FILE]: { dirty: false, status: "", at: null, clean: "" },
+  };
+  const DRAFT_KEY = "mygram_admin_draft";
+  let _shardPages = null; // pages in data/index.json (js/manifest.js); null if the site isn't sharded
 
   // =========================================================
   //  Helpers
@@ -44,6 +58,24 @@
     showToast(filename + " downloaded — replace the file in your repo.");
   }
 
+  function formatTime(date) {
+    return date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  }
+
+  /** Hashtags in a caption (shared parser from js/tags.js) */
+  function tagsFor(caption) {
+    return typeof TagsModule !== "undefined" ? TagsModule.parse(caption) : [];
+  }
+
+  /** Every tag used across all captions, most-used first */
+  function allTags() {
+    const counts = {};
+    _photosData.photos.forEach((p) => {
+      tagsFor(p.caption).forEach((t) => { counts[t] = (counts[t] || 0) + 1; });
+    });
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+  }
+
   function slugify(text) {
     return text
       .toLowerCase()
@@ -63,10 +95,22 @@
       if (!_photosData.profile) _photosData.profile = {};
       if (!_photosData.photos) _photosData.photos = [];
       if (!_photosData.albums) _photosData.albums = [];
+      // List posts in profile-grid order so drag-and-drop matches the site
+      if (typeof PostOrder !== "undefined") _photosData.photos = PostOrder.sort(_photosData.photos);
     } catch (e) {
       console.error("Admin: could not load photos.json", e);
       showToast("Could not load photos.json");
     }
+
+    // A sharded site gets its index and pages rewritten on save
+    if (typeof Manifest !== "undefined") {
+      try {
+        const res = await fetch(Manifest.INDEX_FILE, { cache: "no-cache" });
+        _shardPages = res.ok ? (await res.json()).pages || [] : null;
+      } catch (e) {
+        _shardPages = null;
+      }
+    }
   }
 
   async function loadPalsJSON() {
@@ -93,12 +137,19 @@
     document.getElementById("profPhoto").value = p.profilePhoto || "";
   }
 
+  // Profile form input id → profile field
+  const PROFILE_FIELDS = {
+    profUsername: "username",
+    profFullName: "fullName",
+    profBio: "bio",
+    profBioLink: "bioLink",
+    profPhoto: "profilePhoto",
+  };
+
   function readProfileForm() {
-    _photosData.profile.username = document.getElementById("profUsername").value.trim();
-    _photosData.profile.fullName = document.getElementById("profFullName").value.trim();
-    _photosData.profile.bio = document.getElementById("profBio").value.trim();
-    _photosData.profile.bioLink = document.getElementById("profBioLink").value.trim();
-    _photosData.profile.profilePhoto = document.getElementById("profPhoto").value.trim();
+    Object.keys(PROFILE_FIELDS).forEach((id) => {
+      _photosData.profile[PROFILE_FIELDS[id]] = document.getElementById(id).value.trim();
+    });
   }
 
   // =========================================================
@@ -113,27 +164,37 @@
 
     if (photos.length === 0) {
       container.innerHTML = '<div class="photos-empty"><i class="bi bi-camera d-block mb-1" style="font-size:1.5rem"></i>No photos in photos.json</div>';
+      renderBulkBar();
       return;
     }
 
     container.innerHTML = "";
     photos.forEach((photo, i) => {
-      const thumbSrc = photo.thumbnail
-        ? "photos/thumbnails/360/" + photo.thumbnail
-        : (photo.web ? "photos/web/" + photo.web : "");
+      const thumbSrc = thumbSrcFor(photo);
+      const selected = _bulkSelection.has(photo.filename);
 
       const item = document.createElement("div");
-      item.className = "photo-item";
+      item.className = "photo-item" + (photo.pinned === true ? " pinned" : "") +
+        (photo.hidden === true ? " is-hidden" : "") + (selected ? " selected" : "");
       item.innerHTML = `
+        <input type="checkbox" class="form-check-input photo-item-select" data-index="${i}" aria-label="Select ${photo.filename || "photo"}"${selected ? " checked" : ""}>
+        <button class="photo-item-handle" data-index="${i}" title="Drag to reorder (or use arrow keys)" aria-label="Move ${photo.filename || "photo"}">
+          <i class="bi bi-grip-vertical"></i>
+        </button>
         ${thumbSrc ? `<img class="photo-item-thumb" src="${thumbSrc}" alt="" loading="lazy">` : '<div class="photo-item-thumb"></div>'}
         <div class="photo-item-info">
           <div class="photo-item-filename" title="${photo.filename || ""}">${photo.filename || "untitled"}</div>
-          <textarea class="photo-item-caption" rows="1" data-index="${i}" placeholder="Add a caption…">${photo.caption || ""}</textarea>
+          <textarea class="photo-item-caption" rows="1" data-index="${i}" placeholder="Add a caption… use #tags">${photo.caption || ""}</textarea>
+          <div class="photo-item-tags">${tagChipsHtml(photo.caption)}</div>
+          <textarea class="photo-item-alt" rows="1" data-index="${i}" aria-label="Alt text for ${photo.filename || "photo"}" placeholder="Alt text — describe the photo for screen readers">${photo.alt || ""}</textarea>
           <div class="photo-item-meta">
-            ${photo.date || ""}${photo.location ? " · " + photo.location : ""}${photo.camera ? " · " + photo.camera : ""}
+            ${photo.hidden === true ? '<i class="bi bi-eye-slash"></i> Hidden · ' : ""}${photo.date || ""}${photo.location ? " · " + photo.location : ""}${photo.camera ? " · " + photo.camera : ""}
           </div>
         </div>
         <div class="photo-item-actions">
+          <button class="btn-pin-photo${photo.pinned === true ? " active" : ""}" data-index="${i}" title="${photo.pinned === true ? "Unpin" : "Pin to top of grid"}" aria-label="Pin" aria-pressed="${photo.pinned === true}">
+            <i class="bi bi-pin-angle${photo.pinned === true ? "-fill" : ""}"></i>
+          </button>
           <button class="btn-delete-photo" data-index="${i}" title="Delete photo" aria-label="Delete">
             <i class="bi bi-trash"></i>
           </button>
@@ -141,14 +202,537 @@
       `;
       container.appendChild(item);
     });
+    renderBulkBar();
+  }
+
+  // ---- Ordering & pinning ----
+
+  /**
+   * Move a post in the list, then freeze the list into `order` fields.
+   * Returns the moved post's filename, or null if nothing moved.
+   */
+  function movePhoto(from, to) {
+    const photos = _photosData.photos;
+    if (from === to || to < 0 || to >= photos.length) return null;
+    const filename = photos[from].filename;
+    record(PHOTOS_FILE, "Reorder posts", () => {
+      const [moved] = photos.splice(from, 1);
+      photos.splice(to, 0, moved);
+      photos.forEach((p, i) => { p.order = i; });
+      // Pinned posts stay on top whatever their position
+      _photosData.photos = PostOrder.sort(photos);
+    });
+    renderPhotoList();
+    renderPhotoSelector();
+    return filename;
+  }
+
+  function togglePin(index) {
+    const photo = _photosData.photos[index];
+    if (!photo) return;
+    if (photo.pinned !== true) {
+      const pinned = _photosData.photos.filter((p) => p.pinned === true).length;
+      if (pinned >= PostOrder.MAX_PINNED) {
+        showToast("You can pin up to " + PostOrder.MAX_PINNED + " posts — unpin one first");
+        return;
+      }
+    }
+    record(PHOTOS_FILE, photo.pinned === true ? "Unpin post" : "Pin post", () => {
+      if (photo.pinned === true) delete photo.pinned;
+      else photo.pinned = true;
+      _photosData.photos = PostOrder.sort(_photosData.photos);
+    });
+    renderPhotoList();
+    renderPhotoSelector();
+  }
+
+  /** Drop every `order` so the grid goes back to newest first (pins are kept) */
+  function resetOrder() {
+    if (!_photosData.photos.some((p) => "order" in p)) {
+      showToast("Posts are already in date order");
+      return;
+    }
+    record(PHOTOS_FILE, "Date order", () => {
+      _photosData.photos.forEach((p) => { delete p.order; });
+      _photosData.photos = PostOrder.sort(_photosData.photos);
+    });
+    renderPhotoList();
+    renderPhotoSelector();
+    showToast("Back to date order — save photos.json to keep changes");
+  }
+
+  function focusHandle(filename) {
+    const idx = _photosData.photos.findIndex((p) => p.filename === filename);
+    const handle = document.querySelector(`.photo-item-handle[data-index="${idx}"]`);
+    if (handle) handle.focus();
+  }
+
+  // ---- Bulk editing ----
+  const BULK_ACTIONS = {
+    "location-set": { label: "Set location", input: "text", placeholder: "e.g. Kyoto, Japan" },
+    "location-append": { label: "Append to location", input: "text", placeholder: "e.g. Japan" },
+    "tag-add": { label: "Add tag", input: "tag", placeholder: "tag" },
+    "tag-remove": { label: "Remove tag", input: "tag", placeholder: "tag" },
+    "album-add": { label: "Add to album", input: "album" },
+    hide: { label: "Hide from site" },
+    unhide: { label: "Show on site" },
+    delete: { label: "Delete" },
+  };
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  function selectedPhotos() {
+    return _photosData.photos.filter((p) => _bulkSelection.has(p.filename));
+  }
+
+  /** Tick / untick one post, or the whole range from the last one with Shift */
+  function selectPhoto(index, checked, range) {
+    const photos = _photosData.photos;
+    const from = range && _bulkAnchor >= 0 ? Math.min(_bulkAnchor, index) : index;
+    const to = range && _bulkAnchor >= 0 ? Math.max(_bulkAnchor, index) : index;
+    for (let i = from; i <= to && i < photos.length; i++) {
+      if (checked) _bulkSelection.add(photos[i].filename);
+      else _bulkSelection.delete(photos[i].filename);
+    }
+    _bulkAnchor = index;
+    syncSelection();
+  }
+
+  function selectAll(checked) {
+    _bulkSelection.clear();
+    if (checked) _photosData.photos.forEach((p) => _bulkSelection.add(p.filename));
+    _bulkAnchor = -1;
+    syncSelection();
+  }
+
+  /** Update checkboxes in place (re-rendering would lose the scroll position) */
+  function syncSelection() {
+    document.querySelectorAll("#photoList .photo-item-select").forEach((box) => {
+      const photo = _photosData.photos[parseInt(box.dataset.index, 10)];
+      const selected = !!photo && _bulkSelection.has(photo.filename);
+      box.checked = selected;
+      box.closest(".photo-item").classList.toggle("selected", selected);
+    });
+    renderBulkBar();
+  }
+
+  function renderBulkBar() {
+    const bar = document.getElementById("bulkBar");
+    if (!bar) return;
+    // Forget filenames that are no longer in the list
+    const present = new Set(_photosData.photos.map((p) => p.filename));
+    _bulkSelection.forEach((fn) => { if (!present.has(fn)) _bulkSelection.delete(fn); });
+
+    const count = _bulkSelection.size;
+    const total = _photosData.photos.length;
+    const selectAllBox = document.getElementById("bulkSelectAll");
+    selectAllBox.checked = count > 0 && count === total;
+    selectAllBox.indeterminate = count > 0 && count < total;
+    selectAllBox.disabled = total === 0;
+    document.getElementById("bulkCount").textContent = count
+      ? count + " selected"
+      : "Select posts to edit several at once (Shift-click for a range)";
+    document.getElementById("bulkControls").hidden = count === 0;
+
+    // Offer Undo only while the bulk edit is still the latest step
+    const undo = document.getElementById("bulkUndo");
+    const undoable = !!_bulkLabel && typeof AdminHistory !== "undefined" && AdminHistory.peek("undo") === _bulkLabel;
+    undo.hidden = !undoable;
+    if (undoable) document.getElementById("bulkUndoLabel").textContent = "Last bulk edit: " + _bulkLabel;
+  }
+
+  /** Show the value field the chosen action needs */
+  function renderBulkInput() {
+    const action = BULK_ACTIONS[document.getElementById("bulkAction").value];
+    const valueInput = document.getElementById("bulkValue");
+    const albumSelect = document.getElementById("bulkAlbum");
+    const input = action ? action.input : "";
+
+    valueInput.hidden = input !== "text" && input !== "tag";
+    valueInput.placeholder = action && action.placeholder ? action.placeholder : "";
+    if (input === "tag") {
+      document.getElementById("bulkTagOptions").innerHTML =
+        allTags().map((t) => `<option value="${t}"></option>`).join("");
+      valueInput.setAttribute("list", "bulkTagOptions");
+    } else {
+      valueInput.removeAttribute("list");
+    }
+
+    albumSelect.hidden = input !== "album";
+    if (input === "album") {
+      albumSelect.innerHTML = _photosData.albums.length
+        ? _photosData.albums.map((a) => `<option value="${a.id}">${a.title || a.id}</option>`).join("")
+        : '<option value="">No albums yet</option>';
+    }
+  }
+
+  /** The action's value, validated; null (after a toast) if unusable */
+  function bulkValue(action) {
+    const input = BULK_ACTIONS[action].input;
+    if (input === "album") {
+      const id = document.getElementById("bulkAlbum").value;
+      if (!_photosData.albums.some((a) => a.id === id)) {
+        showToast("Create an album first");
+        return null;
+      }
+      return id;
+    }
+    const value = document.getElementById("bulkValue").value.trim();
+    if (input === "tag") {
+      const tag = value.replace(/^#/, "").toLowerCase();
+      if (!/^[\p{L}\p{N}_]+$/u.test(tag)) {
+        showToast("A tag can only contain letters, numbers and _");
+        return null;
+      }
+      return tag;
+    }
+    if (input === "text" && !value) {
+      showToast("Enter a value first");
+      return null;
+    }
+    return value;
+  }
+
+  function addTagToCaption(caption, tag) {
+    if (tagsFor(caption).includes(tag)) return caption;
+    return caption ? caption.replace(/\s+$/, "") + " #" + tag : "#" + tag;
+  }
+
+  /** Strip every #tag (any case), using the same boundaries as TagsModule */
+  function removeTagFromCaption(caption, tag) {
+    if (!tagsFor(caption).includes(tag)) return caption;
+    const re = new RegExp("(^|[^\\p{L}\\p{N}_&/])#" + escapeRegExp(tag) + "(?![\\p{L}\\p{N}_])", "giu");
+    return caption.replace(re, "$1").replace(/[ \t]{2,}/g, " ").trim();
+  }
+
+  /** Apply a per-photo action to one photo object */
+  function bulkEdit(photo, action, value) {
+    switch (action) {
+      case "location-set": photo.location = value; break;
+      case "location-append": photo.location = photo.location ? photo.location + ", " + value : value; break;
+      case "tag-add": photo.caption = addTagToCaption(photo.caption, value); break;
+      case "tag-remove": photo.caption = removeTagFromCaption(photo.caption, value); break;
+      case "hide": photo.hidden = true; break;
+      case "unhide": delete photo.hidden; break;
+    }
+  }
+
+  /**
+   * What a bulk action would change, without changing anything.
+   * @returns {Array<{ filename: string, from?: string, to?: string }>}
+   */
+  function planBulk(action, value, targets) {
+    if (action === "delete") {
+      return targets.map((p) => ({ filename: p.filename }));
+    }
+    if (action === "album-add") {
+      const album = _photosData.albums.find((a) => a.id === value);
+      const existing = new Set(album.photos || []);
+      return targets.filter((p) => !existing.has(p.filename)).map((p) => ({ filename: p.filename }));
+    }
+    const field = action.startsWith("location") ? "location" : action.startsWith("tag") ? "caption" : "hidden";
+    const changes = [];
+    targets.forEach((p) => {
+      const after = { ...p };
+      bulkEdit(after, action, value);
+      if (after[field] === p[field]) return;
+      changes.push(field === "hidden" ? { filename: p.filename } : { filename: p.filename, from: p[field] || "", to: after[field] });
+    });
+    return changes;
+  }
+
+  function bulkLabel(action, value) {
+    const label = BULK_ACTIONS[action].label;
+    if (action === "album-add") {
+      const album = _photosData.albums.find((a) => a.id === value);
+      return label + " “" + (album.title || album.id) + "”";
+    }
+    if (action.startsWith("tag")) return label + " #" + value;
+    return value ? label + " “" + value + "”" : label;
+  }
+
+  /** Fill the confirm modal with a summary; returns false if nothing would change */
+  function showBulkSummary(action, value) {
+    const targets = selectedPhotos();
+    const changes = planBulk(action, value, targets);
+    if (changes.length === 0) {
+      showToast("Nothing to change — the selected posts already match");
+      return false;
+    }
+
+    document.getElementById("bulkModalTitle").textContent = bulkLabel(action, value);
+    let summary = changes.length + " of " + targets.length + " selected post" + (targets.length !== 1 ? "s" : "") + " will change.";
+    if (action === "delete") summary += " They are removed from photos.json and from any albums; image files are not deleted.";
+    if (action === "hide") summary += " Hidden posts stay in photos.json but are left out of the site.";
+    document.getElementById("bulkModalSummary").textContent = summary;
+
+    const list = document.getElementById("bulkModalChanges");
+    list.innerHTML = "";
+    changes.forEach((c) => {
+      const li = document.createElement("li");
+      const name = document.createElement("strong");
+      name.textContent = c.filename;
+      li.appendChild(name);
+      if (c.to !== undefined) {
+        const diff = document.createElement("span");
+        diff.className = "bulk-change-diff";
+        diff.textContent = (c.from || "—") + " → " + (c.to || "—");
+        li.appendChild(diff);
+      }
+      list.appendChild(li);
+    });
+
+    document.getElementById("confirmBulkBtn").className = "btn flex-fill " + (action === "delete" ? "btn-danger" : "btn-primary");
+    return true;
+  }
+
+  function runBulk(action, value) {
+    const targets = selectedPhotos();
+    const label = bulkLabel(action, value);
+
+    record(PHOTOS_FILE, label, () => {
+      if (action === "delete") {
+        const gone = new Set(targets.map((p) => p.filename));
+        _photosData.photos = _photosData.photos.filter((p) => !gone.has(p.filename));
+        _photosData.albums.forEach((album) => {
+          album.photos = (album.photos || []).filter((fn) => !gone.has(fn));
+          if (gone.has(album.cover)) album.cover = album.photos[0] || "";
+        });
+        _bulkSelection.clear();
+      } else if (action === "album-add") {
+        const album = _photosData.albums.find((a) => a.id === value);
+        const existing = new Set(album.photos || []);
+        album.photos = (album.photos || []).concat(targets.map((p) => p.filename).filter((fn) => !existing.has(fn)));
+        if (!album.cover) album.cover = album.photos[0] || "";
+      } else {
+        targets.forEach((p) => bulkEdit(p, action, value));
+      }
+    });
+
+    _bulkLabel = label;
+    renderPhotoList();
+    renderPhotoSelector();
+    renderAlbumList();
+    showToast(label + " — " + targets.length + " post" + (targets.length !== 1 ? "s" : ""));
+  }
+
+  /** Thumbnail URL; uploads that may not be on disk yet use a local preview */
+  function thumbSrcFor(photo) {
+    if (_previewUrls[photo.filename]) return _previewUrls[photo.filename];
+    if (photo.thumbnail) return "photos/thumbnails/360/" + photo.thumbnail;
+    return photo.web ? "photos/web/" + photo.web : "";
+  }
+
+  // ---- Add photos (in-browser processing) ----
+  let _uploading = false;
+
+  function uploadRow(name) {
+    const row = document.createElement("div");
+    row.className = "upload-row";
+    row.innerHTML = `<span class="upload-row-name"></span><span class="upload-row-status">Waiting…</span>`;
+    row.querySelector(".upload-row-name").textContent = name;
+    document.getElementById("uploadProgress").appendChild(row);
+    return {
+      set(status, state) {
+        const el = row.querySelector(".upload-row-status");
+        el.textContent = status;
+        row.classList.toggle("done", state === "done");
+        row.classList.toggle("error", state === "error");
+      },
+    };
+  }
+
+  async function addPhotos(fileList) {
+    if (typeof AdminUpload === "undefined" || typeof AdminStorage === "undefined") return;
+    if (_uploading) {
+      showToast("Still processing the previous photos");
+      return;
+    }
+    // A download per image would leave the user sorting a pile of
+    // same-named WebP files into five folders
+    if (AdminStorage.current() === "download") {
+      showToast("Adding photos needs Save to set to Project folder or Local save server");
+      return;
+    }
+    _uploading = true;
+    document.getElementById("uploadProgress").innerHTML = "";
+
+    // Before any processing, while the drop or pick still counts as a gesture
+    const access = await AdminStorage.prepare();
+    if (!access.ok) {
+      showToast(access.error.message + ". Click a Save button to allow it, then add the photos again.");
+      _uploading = false;
+      return;
+    }
+
+    const before = capture(PHOTOS_FILE);
+    let added = 0;
+
+    for (const file of Array.from(fileList)) {
+      const row = uploadRow(file.name);
+      const filename = AdminUpload.sanitizeFilename(file.name);
+      if (!AdminUpload.isSupported(file)) {
+        row.set("Not a supported image", "error");
+        continue;
+      }
+      if (_photosData.photos.some((p) => p.filename === filename)) {
+        row.set("Already in photos.json", "error");
+        continue;
+      }
+
+      try {
+        row.set("Processing…");
+        const { entry, files } = await AdminUpload.process(file);
+
+        row.set("Saving…");
+        for (const f of files) {
+          const result = await AdminStorage.saveBlob(f.path, f.blob);
+          if (result.error) throw result.error;
+        }
+
+        const thumb = files.find((f) => f.path === "photos/thumbnails/360/" + entry.thumbnail);
+        if (thumb) _previewUrls[entry.filename] = URL.createObjectURL(thumb.blob);
+
+        _photosData.photos.unshift(entry);
+        added++;
+        row.set("Added", "done");
+      } catch (err) {
+        console.error("Admin: could not add " + file.name, err);
+        row.set(err.message || "Failed", "error");
+      }
+    }
+
+    if (added > 0) {
+      // New posts have no `order`, so they land under the pinned ones
+      _photosData.photos = PostOrder.sort(_photosData.photos);
+      // Undo removes the entries; files already written stay on disk
+      commit(PHOTOS_FILE, "Add " + added + " photo" + (added !== 1 ? "s" : ""), before);
+      renderPhotoList();
+      renderPhotoSelector();
+      showToast(added + " photo" + (added !== 1 ? "s" : "") + " added — save photos.json to keep changes");
+    }
+    _uploading = false;
+  }
+
+  function tagChipsHtml(caption) {
+    return tagsFor(caption).map((t) => `<span class="tag-chip">#${t}</span>`).join("");
+  }
+
+  // ---- Tag autocomplete for caption fields ----
+  let _tagSuggest = null;
+
+  /** The partial #tag immediately before the caret, or null */
+  function partialTagAt(textarea) {
+    const before = textarea.value.slice(0, textarea.selectionStart);
+    const m = before.match(/(^|\s)#([\p{L}\p{N}_]*)$/u);
+    return m ? m[2] : null;
+  }
+
+  function hideTagSuggest() {
+    if (_tagSuggest) _tagSuggest.remove();
+    _tagSuggest = null;
+  }
+
+  function showTagSuggest(textarea) {
+    hideTagSuggest();
+    const partial = partialTagAt(textarea);
+    if (partial === null) return;
+    const p = partial.toLowerCase();
+    const matches = allTags().filter((t) => t.startsWith(p) && t !== p).slice(0, 6);
+    if (matches.length === 0) return;
+
+    _tagSuggest = document.createElement("div");
+    _tagSuggest.className = "tag-suggest";
+    matches.forEach((t) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "tag-suggest-item";
+      btn.textContent = "#" + t;
+      // mousedown so the textarea doesn't lose the caret first
+      btn.addEventListener("mousedown", (e) => {
+        e.preventDefault();
+        completeTag(textarea, partial, t);
+      });
+      _tagSuggest.appendChild(btn);
+    });
+    textarea.insertAdjacentElement("afterend", _tagSuggest);
+  }
+
+  function completeTag(textarea, partial, tag) {
+    const pos = textarea.selectionStart;
+    const start = pos - partial.length;
+    textarea.value = textarea.value.slice(0, start) + tag + " " + textarea.value.slice(pos);
+    textarea.selectionStart = textarea.selectionEnd = start + tag.length + 1;
+    hideTagSuggest();
+    textarea.dispatchEvent(new Event("input", { bubbles: true }));
   }
 
   // =========================================================
   //  Pals Section
   // =========================================================
+  const PAL_CHECK_TIMEOUT_MS = 8000;
+  const PAL_GROUP_SUGGESTIONS = ["family", "travel", "work"];
+  const _palChecks = new Map(); // pal base URL → Promise of a checkPal() result
+
+  /** Pal URL with a trailing slash */
+  function palBase(url) {
+    return url.endsWith("/") ? url : url + "/";
+  }
+
+  /**
+   * Check that a pal URL serves a mygram data/photos.json (or, for
+   * feed-only pals, a JSON Feed at feed.json) and read its profile for
+   * the preview. Results are kept for the session.
+   * @returns {Promise<{ ok: boolean, feed: boolean, username: string, avatar: string, error: string }>}
+   */
+  function checkPal(url) {
+    const base = palBase(url);
+    if (!_palChecks.has(base)) _palChecks.set(base, fetchPalProfile(base));
+    return _palChecks.get(base);
+  }
+
+  async function fetchPalJSON(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), PAL_CHECK_TIMEOUT_MS);
+    try {
+      const res = await fetch(url, { cache: "no-cache", signal: controller.signal });
+      if (!res.ok) throw new Error("HTTP " + res.status);
+      return await res.json().catch(() => null);
+    } catch (err) {
+      throw err.name === "AbortError" ? new Error("timed out") : err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function fetchPalProfile(base) {
+    const resolve = (path) => (/^https?:\/\//.test(path) ? path : base + path);
+    let error;
+    try {
+      const data = await fetchPalJSON(base + "data/photos.json");
+      if (!data || !Array.isArray(data.photos)) throw new Error("not a mygram photos.json");
+      const profile = data.profile || {};
+      return { ok: true, feed: false, username: profile.username || "", avatar: resolve(profile.profilePhoto || "assets/profile.jpg"), error: "" };
+    } catch (err) {
+      error = err.message;
+    }
+    try {
+      const feed = await fetchPalJSON(base + "feed.json");
+      if (!feed || !/^https:\/\/jsonfeed\.org\/version\//.test(feed.version || "")) throw new Error("no feed.json");
+      const author = (feed.authors && feed.authors[0]) || feed.author || {};
+      const avatar = author.avatar || feed.icon;
+      return { ok: true, feed: true, username: author.name || feed.title || "", avatar: avatar ? new URL(avatar, base).href : "", error: "" };
+    } catch (err) {
+      return { ok: false, feed: false, username: "", avatar: "", error };
+    }
+  }
+
   function renderPalsList() {
     const container = document.getElementById("palsList");
     const pals = _palsData.pals;
+    renderPalGroupOptions();
 
     if (pals.length === 0) {
       container.innerHTML = '<div class="pals-empty"><i class="bi bi-people d-block mb-1" style="font-size:1.5rem"></i>No pals added yet</div>';
@@ -156,44 +740,199 @@
     }
 
     container.innerHTML = "";
+    // Headings mark where the group changes; "Sort by group" gathers them
+    const grouped = pals.some((pal) => pal.group);
+    let lastGroup = null;
     pals.forEach((pal, i) => {
+      const group = pal.group || "";
+      if (grouped && group !== lastGroup) {
+        const heading = document.createElement("div");
+        heading.className = "pals-group-heading";
+        heading.textContent = group || "No group";
+        container.appendChild(heading);
+        lastGroup = group;
+      }
+
       const item = document.createElement("div");
-      item.className = "pal-item";
+      item.className = "pal-item" + (pal.hidden === true ? " is-hidden" : "");
       item.innerHTML = `
-        <i class="bi bi-link-45deg text-muted"></i>
-        <span class="pal-item-url">${pal.url}</span>
+        <button class="pal-item-handle" data-index="${i}" title="Drag to reorder (or use arrow keys)">
+          <i class="bi bi-grip-vertical"></i>
+        </button>
+        <img class="pal-item-avatar" alt="" hidden>
+        <div class="pal-item-info">
+          <div class="pal-item-name">
+            <span class="pal-item-username text-muted">Checking…</span>
+            <i class="bi bi-hourglass-split pal-item-check"></i>
+          </div>
+          <span class="pal-item-url"></span>
+          <div class="pal-item-fields">
+            <input type="text" class="form-control form-control-sm" data-index="${i}" data-field="nickname" placeholder="Nickname" aria-label="Nickname">
+            <input type="text" class="form-control form-control-sm" data-index="${i}" data-field="group" list="palGroupOptions" placeholder="Group" aria-label="Group">
+            <input type="number" class="form-control form-control-sm" data-index="${i}" data-field="maxPosts" min="1" step="1" placeholder="Max posts" aria-label="Max posts in Palgram">
+            <div class="form-check form-switch mb-0">
+              <input class="form-check-input" type="checkbox" id="palHidden${i}" data-index="${i}" data-field="hidden"${pal.hidden === true ? " checked" : ""}>
+              <label class="form-check-label small" for="palHidden${i}">Hidden</label>
+            </div>
+          </div>
+        </div>
         <button class="btn-remove-pal" data-index="${i}" title="Remove" aria-label="Remove pal">
           <i class="bi bi-x-lg"></i>
         </button>
       `;
+      item.querySelector(".pal-item-handle").setAttribute("aria-label", "Move " + pal.url);
+      item.querySelector(".pal-item-url").textContent = pal.url;
+      item.querySelector('[data-field="nickname"]').value = pal.nickname || "";
+      item.querySelector('[data-field="group"]').value = pal.group || "";
+      item.querySelector('[data-field="maxPosts"]').value = pal.maxPosts || "";
       container.appendChild(item);
+      checkPal(pal.url).then((result) => renderPalPreview(item, result));
+    });
+  }
+
+  /** Fill in a pal's avatar, username and check mark once its manifest is checked */
+  function renderPalPreview(item, result) {
+    if (!item.isConnected) return; // re-rendered meanwhile
+    const avatar = item.querySelector(".pal-item-avatar");
+    const name = item.querySelector(".pal-item-username");
+    const icon = item.querySelector(".pal-item-check");
+    if (result.ok) {
+      if (result.avatar) {
+        avatar.addEventListener("error", () => { avatar.hidden = true; }, { once: true });
+        avatar.src = result.avatar;
+        avatar.hidden = false;
+      }
+      name.textContent = result.username || "(no username)";
+      name.classList.remove("text-muted");
+      icon.className = "bi bi-check-circle-fill pal-item-check is-ok";
+      icon.title = result.feed ? "No mygram manifest, but serves a JSON Feed (feed.json)" : "Serves a mygram data/photos.json";
+    } else {
+      name.textContent = "Not reachable";
+      icon.className = "bi bi-exclamation-triangle-fill pal-item-check is-failed";
+      icon.title = "No mygram data/photos.json here (" + result.error + ")";
+    }
+  }
+
+  /** Group names for the group field: the ones in use, then a few suggestions */
+  function renderPalGroupOptions() {
+    const list = document.getElementById("palGroupOptions");
+    if (!list) return;
+    const names = new Set(_palsData.pals.map((pal) => pal.group).filter(Boolean));
+    PAL_GROUP_SUGGESTIONS.forEach((name) => names.add(name));
+    list.innerHTML = "";
+    names.forEach((name) => {
+      const option = document.createElement("option");
+      option.value = name;
+      list.appendChild(option);
+    });
+  }
+
+  /** Set one of a pal's optional fields; empty values are left out of pals.json */
+  function setPalField(index, field, value) {
+    const pal = _palsData.pals[index];
+    if (!pal) return;
+    record(PALS_FILE, "Edit pal", () => {
+      if (value === "" || value === false) delete pal[field];
+      else pal[field] = value;
+    }, "pal:" + pal.url + ":" + field);
+  }
+
+  function movePal(from, to) {
+    const pals = _palsData.pals;
+    if (from === to || to < 0 || to >= pals.length) return null;
+    const url = pals[from].url;
+    record(PALS_FILE, "Reorder pals", () => {
+      const [moved] = pals.splice(from, 1);
+      pals.splice(to, 0, moved);
     });
+    renderPalsList();
+    return url;
+  }
+
+  function focusPalHandle(url) {
+    const idx = _palsData.pals.findIndex((pal) => pal.url === url);
+    const handle = document.querySelector(`.pal-item-handle[data-index="${idx}"]`);
+    if (handle) handle.focus();
+  }
+
+  /** Gather each group's pals together: ungrouped first, then groups in first-seen order */
+  function sortPalsByGroup() {
+    const names = [...new Set([""].concat(_palsData.pals.map((pal) => pal.group || "")))];
+    record(PALS_FILE, "Sort pals by group", () => {
+      _palsData.pals = names.flatMap((name) => _palsData.pals.filter((pal) => (pal.group || "") === name));
+    });
+    renderPalsList();
   }
 
-  function addPal() {
+  function setPalError(message) {
     const input = document.getElementById("newPalUrl");
+    const feedback = document.getElementById("newPalError");
+    input.classList.toggle("is-invalid", !!message);
+    if (feedback) feedback.textContent = message;
+  }
+
+  /** Add the URL in the input once it's confirmed to serve a mygram data/photos.json */
+  async function addPal() {
+    const input = document.getElementById("newPalUrl");
+    const button = document.getElementById("addPalBtn");
     let url = input.value.trim();
-    if (!url) return;
+    if (!url || button.disabled) return;
 
     if (!url.startsWith("http://") && !url.startsWith("https://")) {
       url = "https://" + url;
     }
+    try {
+      url = new URL(url).href;
+    } catch (e) {
+      setPalError("That isn't a valid URL");
+      return;
+    }
 
-    if (_palsData.pals.some((p) => p.url === url)) {
+    if (_palsData.pals.some((p) => palBase(p.url) === palBase(url))) {
       showToast("This URL is already in your pals list");
       return;
     }
 
-    _palsData.pals.push({ url: url });
+    setPalError("");
+    button.disabled = true;
+    _palChecks.delete(palBase(url)); // an earlier failure may have been fixed
+    const result = await checkPal(url);
+    button.disabled = false;
+    if (!result.ok) {
+      setPalError("No mygram site here — couldn't read data/photos.json or feed.json (" + result.error + ")");
+      return;
+    }
+
+    record(PALS_FILE, "Add pal", () => _palsData.pals.push({ url: url }));
     input.value = "";
     renderPalsList();
-    showToast("Pal added — download pals.json to save");
+    showToast("Added " + (result.username || url) + " — save pals.json to keep changes");
+  }
+
+  /**
+   * admin.html?addPal=<url> (the Palgram Discover "Add" button) opens
+   * the Pals tab with the URL filled in. Any site can link here, so
+   * nothing is added until the user clicks Add.
+   */
+  function addPalFromLink() {
+    const params = new URLSearchParams(window.location.search);
+    const url = params.get("addPal");
+    if (!url) return;
+    params.delete("addPal");
+    const query = params.toString();
+    history.replaceState(null, "", window.location.pathname + (query ? "?" + query : "") + window.location.hash);
+
+    bootstrap.Tab.getOrCreateInstance(document.getElementById("pals-tab")).show();
+    const input = document.getElementById("newPalUrl");
+    input.value = url;
+    input.focus();
+    showToast("Check the URL, then click Add to follow this pal");
   }
 
   function removePal(index) {
-    _palsData.pals.splice(index, 1);
+    record(PALS_FILE, "Remove pal", () => _palsData.pals.splice(index, 1));
     renderPalsList();
-    showToast("Pal removed — download pals.json to save");
+    showToast("Pal removed — save pals.json to keep changes");
   }
 
   // =========================================================
@@ -253,9 +992,7 @@
     }
 
     photos.forEach((photo) => {
-      const thumbSrc = photo.thumbnail
-        ? "photos/thumbnails/360/" + photo.thumbnail
-        : (photo.web ? "photos/web/" + photo.web : "");
+      const thumbSrc = thumbSrcFor(photo);
       const isSelected = _selectedPhotos.has(photo.filename);
 
       const item = document.createElement("div");
@@ -323,12 +1060,14 @@
 
     if (_editingAlbumIndex >= 0) {
       // Update existing
-      const album = _photosData.albums[_editingAlbumIndex];
-      album.title = title;
-      album.description = description;
-      album.cover = cover;
-      album.photos = selectedArr;
-      showToast("Album updated — download photos.json to save");
+      record(PHOTOS_FILE, "Edit album", () => {
+        const album = _photosData.albums[_editingAlbumIndex];
+        album.title = title;
+        album.description = description;
+        album.cover = cover;
+        album.photos = selectedArr;
+      });
+      showToast("Album updated — save photos.json to keep changes");
     } else {
       // Create new
       const id = slugify(title) || "album-" + Date.now();
@@ -338,14 +1077,16 @@
       while (_photosData.albums.some((a) => a.id === uniqueId)) {
         uniqueId = id + "-" + counter++;
       }
-      _photosData.albums.push({
-        id: uniqueId,
-        title: title,
-        description: description,
-        cover: cover,
-        photos: selectedArr,
+      record(PHOTOS_FILE, "Create album", () => {
+        _photosData.albums.push({
+          id: uniqueId,
+          title: title,
+          description: description,
+          cover: cover,
+          photos: selectedArr,
+        });
       });
-      showToast("Album created — download photos.json to save");
+      showToast("Album created — save photos.json to keep changes");
     }
 
     renderAlbumList();
@@ -354,13 +1095,110 @@
 
   function deleteAlbum(index) {
     if (index >= 0 && index < _photosData.albums.length) {
-      const removed = _photosData.albums.splice(index, 1);
-      showToast((removed[0]?.title || "Album") + " deleted — download to save");
+      const removed = record(PHOTOS_FILE, "Delete album", () => _photosData.albums.splice(index, 1));
+      showToast((removed[0]?.title || "Album") + " deleted — save to keep changes");
       renderAlbumList();
       if (_editingAlbumIndex === index) resetAlbumForm();
     }
   }
 
+  // =========================================================
+  //  Health Section
+  // =========================================================
+  let _mediaIssues = []; // from the last "Check files" run
+  let _checkingFiles = false;
+
+  /** Current issues: structural checks plus still-relevant missing files */
+  function healthIssues() {
+    if (typeof PhotosValidator === "undefined") return [];
+    const visible = new Set(_photosData.photos.filter((p) => p.hidden !== true).map((p) => p.filename));
+    return PhotosValidator.validate(_photosData)
+      .concat(_mediaIssues.filter((i) => visible.has(i.photo)));
+  }
+
+  function renderHealth() {
+    const container = document.getElementById("healthList");
+    if (!container) return;
+    const issues = healthIssues();
+    const errors = issues.filter((i) => i.level === "error").length;
+
+    const count = document.getElementById("healthCount");
+    count.hidden = errors === 0;
+    count.textContent = errors;
+    document.getElementById("healthSummary").textContent = issues.length
+      ? issues.length + " issue" + (issues.length !== 1 ? "s" : "")
+      : "No issues";
+    document.getElementById("fixAllBtn").disabled = !issues.some((i) => i.fix);
+
+    if (issues.length === 0) {
+      container.innerHTML = `
+        <div class="photos-empty">
+          <i class="bi bi-check-circle d-block mb-1" style="font-size:1.5rem"></i>
+          photos.json looks healthy
+        </div>`;
+      return;
+    }
+
+    container.innerHTML = "";
+    issues.forEach((issue, i) => {
+      const item = document.createElement("div");
+      item.className = "health-item " + issue.level;
+      item.innerHTML = `
+        <i class="bi bi-${issue.level === "error" ? "x-octagon-fill" : "exclamation-triangle-fill"}" aria-label="${issue.level}"></i>
+        <span class="health-item-message"></span>
+        ${issue.fix ? `<button class="btn btn-sm btn-outline-primary btn-fix" data-index="${i}">${PhotosValidator.FIX_LABELS[issue.fix]}</button>` : ""}
+      `;
+      item.querySelector(".health-item-message").textContent = issue.message;
+      container.appendChild(item);
+    });
+  }
+
+  function fixIssue(index) {
+    const issue = healthIssues()[index];
+    if (!issue || !issue.fix) return;
+    record(PHOTOS_FILE, PhotosValidator.FIX_LABELS[issue.fix], () => PhotosValidator.fix(_photosData, issue));
+    renderAll();
+  }
+
+  /** Apply every available fix as one undoable step */
+  function fixAll() {
+    let fixed = 0;
+    record(PHOTOS_FILE, "Fix all health issues", () => {
+      const tried = new Set();
+      // Re-validate after each fix: one repair can resolve or shift others
+      for (let guard = 0; guard < 10000; guard++) {
+        const next = healthIssues().find((i) => i.fix && !tried.has(i.id));
+        if (!next) break;
+        tried.add(next.id);
+        if (PhotosValidator.fix(_photosData, next)) fixed++;
+      }
+    });
+    renderAll();
+    showToast(fixed ? fixed + " issue" + (fixed !== 1 ? "s" : "") + " fixed — save photos.json to keep changes" : "Nothing to fix");
+  }
+
+  async function checkFiles() {
+    if (_checkingFiles || typeof PhotosValidator === "undefined") return;
+    _checkingFiles = true;
+    const btn = document.getElementById("checkFilesBtn");
+    btn.disabled = true;
+    try {
+      _mediaIssues = await PhotosValidator.checkMedia(_photosData, {
+        onProgress: (done, total) => {
+          btn.innerHTML = `<span class="spinner-border spinner-border-sm me-1"></span>Checking ${done}/${total}`;
+        },
+      });
+      showToast(_mediaIssues.length
+        ? _mediaIssues.length + " missing file" + (_mediaIssues.length !== 1 ? "s" : "")
+        : "All image files are present");
+    } finally {
+      _checkingFiles = false;
+      btn.disabled = false;
+      btn.innerHTML = '<i class="bi bi-search me-1"></i>Check files';
+      renderHealth();
+    }
+  }
+
   // =========================================================
   //  Build JSON outputs
   // =========================================================
@@ -378,34 +1216,451 @@
 
   function buildPalsJSON() {
     return {
-      _instructions: "Add your friends' mygram URLs below. Each entry needs a \"url\" pointing to the root of their mygram site.",
-      _example: { url: "https://friendname.github.io/mygram/" },
+      _instructions: "Add your friends' mygram URLs below. Each entry needs a \"url\" pointing to the root of their mygram site. Optional: \"nickname\", \"group\", \"hidden\": true (leave out of Palgram) and \"maxPosts\".",
+      _example: { url: "https://friendname.github.io/mygram/", nickname: "Sam", group: "family" },
       pals: _palsData.pals,
     };
   }
 
+  // =========================================================
+  //  Saving
+  // =========================================================
+  /**
+   * Recompute whether a file differs from what was loaded / last saved.
+   * Pass its JSON when it has just been captured anyway.
+   */
+  function markDirty(file, json) {
+    _fileState[file].dirty = (json === undefined ? capture(file) : json) !== _fileState[file].clean;
+    renderSaveStatus();
+    scheduleDraft();
+  }
+
+  // =========================================================
+  //  Undo / redo
+  // =========================================================
+
+  /** JSON text of a file's in-memory data (history snapshots, draft, dirty check) */
+  function capture(file) {
+    return JSON.stringify(file === PHOTOS_FILE ? _photosData : _palsData);
+  }
+
+  /**
+   * Apply a structural edit (add, delete, reorder…) as one undoable
+   * step. `mutate` changes _photosData or _palsData; the file is
+   * snapshotted before and after, so any edit can be undone the same
+   * way. Returns whatever `mutate` returns. Text typed into one field
+   * goes through recordField instead.
+   */
+  function record(file, label, mutate, mergeKey) {
+    const before = capture(file);
+    const result = mutate();
+    commit(file, label, before, mergeKey);
+    return result;
+  }
+
+  /** Push a history step for an edit already made since `before` was captured */
+  function commit(file, label, before, mergeKey) {
+    const after = capture(file);
+    if (after === before) return;
+    if (typeof AdminHistory !== "undefined") {
+      AdminHistory.push({
+        label,
+        mergeKey,
+        undo: () => restore(file, before),
+        redo: () => restore(file, after),
+      });
+    }
+    markDirty(file, after);
+  }
+
+  /**
+   * Set one text field as an undoable step, keeping only its old and
+   * new value: typing must not snapshot the whole file per keystroke.
+   * `locate` finds the object again on undo, since a structural undo
+   * replaces every object in the file. An undefined value deletes the key.
+   */
+  function recordField(file, label, locate, key, value, mergeKey) {
+    const target = locate();
+    if (!target || target[key] === value) return;
+    const before = target[key];
+    setField(target, key, value);
+    if (typeof AdminHistory !== "undefined") {
+      AdminHistory.push({
+        label,
+        mergeKey,
+        undo: () => restoreField(file, locate, key, before),
+        redo: () => restoreField(file, locate, key, value),
+      });
+    }
+    // The exact check (did the text go back to the saved one?) waits for the draft timer
+    _fileState[file].dirty = true;
+    renderSaveStatus();
+    scheduleDraft();
+  }
+
+  function setField(target, key, value) {
+    if (value === undefined) delete target[key];
+    else target[key] = value;
+  }
+
+  function restoreField(file, locate, key, value) {
+    rerender(file, () => {
+      const target = locate();
+      if (target) setField(target, key, value);
+    });
+  }
+
+  function restore(file, json) {
+    rerender(file, () => {
+      if (file === PHOTOS_FILE) _photosData = JSON.parse(json);
+      else _palsData = JSON.parse(json);
+    }, json);
+  }
+
+  /** Apply an undo / redo and redraw, keeping the caret in the caption or alt text being typed in */
+  function rerender(file, apply, json) {
+    const active = document.activeElement;
+    const field = active && ["photo-item-caption", "photo-item-alt"].find((cls) => active.classList.contains(cls));
+    const caption = field
+      ? (_photosData.photos[parseInt(active.dataset.index, 10)] || {}).filename
+      : null;
+
+    apply();
+    markDirty(file, json);
+    renderAll();
+
+    if (caption) {
+      const idx = _photosData.photos.findIndex((p) => p.filename === caption);
+      const textarea = document.querySelector(`.${field}[data-index="${idx}"]`);
+      if (textarea) {
+        textarea.focus();
+        textarea.selectionStart = textarea.selectionEnd = textarea.value.length;
+      }
+    }
+  }
+
+  function renderAll() {
+    populateProfileForm();
+    renderPhotoList();
+    renderPhotoSelector();
+    renderAlbumList();
+    renderPalsList();
+    renderHealth();
+    if (_editingAlbumIndex >= _photosData.albums.length) resetAlbumForm();
+  }
+
+  function undoStep() {
+    const command = AdminHistory.undo();
+    showToast(command ? "Undone: " + command.label : "Nothing to undo");
+  }
+
+  function redoStep() {
+    const command = AdminHistory.redo();
+    showToast(command ? "Redone: " + command.label : "Nothing to redo");
+  }
+
+  function renderHistoryButtons() {
+    const undoBtn = document.getElementById("undoBtn");
+    const redoBtn = document.getElementById("redoBtn");
+    if (!undoBtn || !redoBtn) return;
+    const undoLabel = AdminHistory.peek("undo");
+    const redoLabel = AdminHistory.peek("redo");
+    undoBtn.disabled = !undoLabel;
+    redoBtn.disabled = !redoLabel;
+    undoBtn.title = undoLabel ? "Undo " + undoLabel + " (Ctrl+Z)" : "Nothing to undo";
+    redoBtn.title = redoLabel ? "Redo " + redoLabel + " (Ctrl+Shift+Z)" : "Nothing to redo";
+    renderBulkBar();
+  }
+
+  // =========================================================
+  //  Draft autosave
+  // =========================================================
+  let _draftTimer = null;
+
+  function scheduleDraft() {
+    clearTimeout(_draftTimer);
+    _draftTimer = setTimeout(writeDraft, 500);
+  }
+
+  /** Keep unsaved files in localStorage so a closed tab can be recovered */
+  function writeDraft() {
+    clearTimeout(_draftTimer);
+    const files = {};
+    Object.keys(_fileState).forEach((file) => {
+      if (!_fileState[file].dirty) return;
+      // Field edits only flag the file; settle it here, once per pause in typing
+      const json = capture(file);
+      _fileState[file].dirty = json !== _fileState[file].clean;
+      if (_fileState[file].dirty) files[file] = json;
+    });
+    renderSaveStatus();
+    try {
+      if (Object.keys(files).length) {
+        localStorage.setItem(DRAFT_KEY, JSON.stringify({ at: new Date().toISOString(), files }));
+      } else {
+        localStorage.removeItem(DRAFT_KEY);
+      }
+    } catch (e) {
+      console.warn("Admin: could not autosave draft", e);
+    }
+  }
+
+  /** On load: offer a draft left by an earlier session, if it differs from the files */
+  function offerDraft() {
+    let draft = null;
+    try {
+      draft = JSON.parse(localStorage.getItem(DRAFT_KEY) || "null");
+    } catch (e) {
+      draft = null;
+    }
+    if (!draft || !draft.files) return;
+    const files = Object.keys(draft.files).filter((f) => _fileState[f] && draft.files[f] !== capture(f));
+    if (files.length === 0) {
+      localStorage.removeItem(DRAFT_KEY);
+      return;
+    }
+
+    const banner = document.getElementById("draftBanner");
+    if (!banner) return;
+    const when = new Date(draft.at);
+    document.getElementById("draftBannerText").textContent =
+      "Unsaved changes from " + (isNaN(when) ? "an earlier session" : when.toLocaleString()) +
+      " (" + files.map((f) => f.split("/").pop()).join(", ") + ")";
+    banner.hidden = false;
+
+    document.getElementById("draftRestoreBtn").onclick = () => {
+      files.forEach((file) => {
+        record(file, "Restore draft", () => {
+          if (file === PHOTOS_FILE) _photosData = JSON.parse(draft.files[file]);
+          else _palsData = JSON.parse(draft.files[file]);
+        });
+      });
+      renderAll();
+      banner.hidden = true;
+      showToast("Draft restored — save to keep changes");
+    };
+    document.getElementById("draftDiscardBtn").onclick = () => {
+      localStorage.removeItem(DRAFT_KEY);
+      banner.hidden = true;
+    };
+  }
+
+  /** Write a file through the selected storage backend (download fallback) */
+  async function saveFile(file, data) {
+    const name = file.split("/").pop();
+    const state = _fileState[file];
+
+    if (typeof AdminStorage === "undefined") {
+      downloadJSON(data, name);
+      Object.assign(state, { dirty: false, status: "downloaded", at: new Date(), clean: capture(file) });
+      renderSaveStatus();
+      writeDraft();
+      return;
+    }
+
+    try {
+      // First thing after the click: the folder may need allowing again
+      const access = await AdminStorage.prepare();
+      if (!access.ok) {
+        showToast("Could not save " + name + " (" + access.error.message + ")");
+        return;
+      }
+      const result = await AdminStorage.save(file, data);
+      const downloaded = result.backend === "download";
+      Object.assign(state, { dirty: false, status: downloaded ? "downloaded" : "saved", at: new Date(), clean: capture(file) });
+      const shards = file === PHOTOS_FILE && _shardPages ? await saveShards(data, downloaded) : "";
+      if (result.error) {
+        showToast("Couldn't save (" + result.error.message + ") — downloaded " + name + " instead");
+      } else if (downloaded) {
+        showToast(name + " downloaded — replace the file in your repo." + shards);
+      } else {
+        showToast(file + " saved" + shards);
+      }
+    } catch (err) {
+      console.error("Admin: save failed", err);
+      showToast("Could not save " + name);
+    }
+    renderSaveStatus();
+    writeDraft();
+  }
+
+  /**
+   * Rewrite data/index.json and its pages next to photos.json, and
+   * delete pages left over from a longer manifest. Only with a
+   * backend that writes in place; a page-by-page download would be a
+   * pile of files. Returns a note for the save toast.
+   */
+  async function saveShards(data, downloaded) {
+    if (downloaded) return " Run scripts/shard-manifest.sh to update the paged manifest.";
+    const files = Manifest.shard(data);
+    try {
+      for (const path of Object.keys(files)) {
+        const result = await AdminStorage.save(path, files[path]);
+        if (result.error) throw result.error;
+      }
+      const pages = files[Manifest.INDEX_FILE].pages;
+      const stale = _shardPages.filter((name) => !pages.includes(name));
+      _shardPages = pages;
+      const left = [];
+      for (const name of stale) {
+        const result = await AdminStorage.remove("data/" + name);
+        if (result.error) left.push("data/" + name);
+      }
+      if (left.length > 0) {
+        return " — delete the old " + left.join(", ") + " from your repo, they are no longer listed.";
+      }
+      return " (with " + pages.length + " manifest pages)";
+    } catch (err) {
+      console.error("Admin: could not write the paged manifest", err);
+      return " — paged manifest not updated, run scripts/shard-manifest.sh.";
+    }
+  }
+
+  function renderSaveStatus() {
+    document.querySelectorAll(".storage-file").forEach((row) => {
+      const state = _fileState[row.dataset.file];
+      const el = row.querySelector(".storage-file-status");
+      if (!state || !el) return;
+      row.classList.toggle("dirty", state.dirty);
+      if (state.dirty) {
+        el.innerHTML = '<i class="bi bi-circle-fill me-1"></i>Unsaved changes';
+      } else if (state.status) {
+        const verb = state.status === "saved" ? "Saved" : "Downloaded";
+        el.innerHTML = `<i class="bi bi-check-circle me-1"></i>${verb} ${formatTime(state.at)}`;
+      } else {
+        el.textContent = "No changes";
+      }
+    });
+
+    const backend = typeof AdminStorage !== "undefined" ? AdminStorage.current() : "download";
+    const verb = backend === "download" ? "Download" : "Save";
+    document.querySelectorAll("[data-save-file]").forEach((btn) => {
+      const file = btn.dataset.saveFile;
+      btn.classList.toggle("has-changes", _fileState[file].dirty);
+      btn.innerHTML = `<i class="bi bi-${backend === "download" ? "download" : "save"} me-1"></i>${verb} ${file.split("/").pop()}`;
+    });
+
+    const uploadZone = document.getElementById("uploadZone");
+    if (uploadZone) {
+      uploadZone.classList.toggle("is-disabled", backend === "download");
+      uploadZone.setAttribute("aria-disabled", String(backend === "download"));
+      document.getElementById("uploadHint").hidden = backend !== "download";
+    }
+  }
+
+  function renderStorageOptions() {
+    const select = document.getElementById("storageBackend");
+    const pickBtn = document.getElementById("pickFolderBtn");
+    if (!select || typeof AdminStorage === "undefined") return;
+
+    select.innerHTML = "";
+    AdminStorage.list().forEach((b) => {
+      const opt = document.createElement("option");
+      opt.value = b.id;
+      opt.textContent = b.label;
+      // Folder can be chosen while unpicked; the server must be running
+      opt.disabled = !b.available;
+      if (b.id === "folder" && AdminStorage.folderName()) {
+        opt.textContent += " (" + AdminStorage.folderName() + ")";
+      }
+      if (b.id === "server" && !b.available) opt.textContent += " (not running)";
+      if (b.id === "folder" && !b.available) opt.textContent += " (not supported)";
+      select.appendChild(opt);
+    });
+    select.value = AdminStorage.current();
+    if (pickBtn) pickBtn.classList.toggle("d-none", AdminStorage.current() !== "folder");
+  }
+
+  async function chooseFolder() {
+    try {
+      const name = await AdminStorage.pickFolder();
+      AdminStorage.use("folder");
+      showToast("Saving to " + name);
+      return true;
+    } catch (err) {
+      if (err.name !== "AbortError") showToast(err.message);
+      return false;
+    } finally {
+      renderStorageOptions();
+      renderSaveStatus();
+    }
+  }
+
+  // =========================================================
+  //  Stats Section
+  // =========================================================
+  /** Dashboard of the posts being edited; bars open the site's grid, filtered */
+  function renderStats() {
+    const container = document.getElementById("adminStats");
+    if (!container || typeof StatsModule === "undefined") return;
+    StatsModule.render(container, _photosData.photos, {
+      href: (query) => "index.html#q=" + encodeURIComponent(query),
+      target: "_blank",
+    });
+  }
+
   // =========================================================
   //  Event Wiring
   // =========================================================
   function initEvents() {
-    // Save photos.json (from Profile tab)
-    document.getElementById("savePhotosJson").addEventListener("click", () => {
-      downloadJSON(buildPhotosJSON(), "photos.json");
+    // Save buttons (photos.json on Profile / Photos / Albums, pals.json on Pals)
+    document.querySelectorAll("[data-save-file]").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const file = btn.dataset.saveFile;
+        saveFile(file, file === PALS_FILE ? buildPalsJSON() : buildPhotosJSON());
+      });
     });
 
-    // Save photos.json (from Photos tab)
-    document.getElementById("savePhotosJsonFromPhotos").addEventListener("click", () => {
-      downloadJSON(buildPhotosJSON(), "photos.json");
-    });
+    // Storage backend picker
+    const storageSelect = document.getElementById("storageBackend");
+    if (storageSelect && typeof AdminStorage !== "undefined") {
+      storageSelect.addEventListener("change", async () => {
+        const id = storageSelect.value;
+        if (id === "folder" && !AdminStorage.folderName()) {
+          await chooseFolder();
+          return;
+        }
+        AdminStorage.use(id);
+        renderStorageOptions();
+        renderSaveStatus();
+      });
+      document.getElementById("pickFolderBtn").addEventListener("click", chooseFolder);
+    }
 
-    // Save photos.json (from Albums tab)
-    document.getElementById("savePhotosJsonFromAlbums").addEventListener("click", () => {
-      downloadJSON(buildPhotosJSON(), "photos.json");
+    // Profile edits
+    document.getElementById("profileForm").addEventListener("input", (e) => {
+      const key = PROFILE_FIELDS[e.target.id];
+      if (!key) return;
+      recordField(PHOTOS_FILE, "Edit profile", () => _photosData.profile, key, e.target.value.trim(), "profile:" + e.target.id);
     });
 
-    // Save pals.json
-    document.getElementById("savePalsJson").addEventListener("click", () => {
-      downloadJSON(buildPalsJSON(), "pals.json");
+    // Undo / redo: toolbar buttons and Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z (or Ctrl+Y)
+    if (typeof AdminHistory !== "undefined") {
+      AdminHistory.onChange(renderHistoryButtons);
+      renderHistoryButtons();
+      document.getElementById("undoBtn").addEventListener("click", undoStep);
+      document.getElementById("redoBtn").addEventListener("click", redoStep);
+
+      document.addEventListener("keydown", (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        if (key !== "z" && key !== "y") return;
+        // Fields whose edits aren't recorded keep the browser's own undo
+        const field = e.target.closest("input, textarea, select");
+        if (field && !field.matches(".photo-item-caption, .photo-item-alt") && !field.closest("#profileForm")) return;
+        e.preventDefault();
+        if (key === "y" || e.shiftKey) redoStep();
+        else undoStep();
+      });
+    }
+
+    // Warn before leaving with unsaved edits (the draft is kept either way)
+    window.addEventListener("beforeunload", (e) => {
+      writeDraft();
+      if (Object.values(_fileState).some((f) => f.dirty)) {
+        e.preventDefault();
+        e.returnValue = "";
+      }
     });
 
     // Add pal
@@ -413,24 +1668,233 @@
     document.getElementById("newPalUrl").addEventListener("keydown", (e) => {
       if (e.key === "Enter") { e.preventDefault(); addPal(); }
     });
+    document.getElementById("newPalUrl").addEventListener("input", () => setPalError(""));
+    document.getElementById("sortPalsBtn").addEventListener("click", sortPalsByGroup);
 
     // Remove pal (delegation)
-    document.getElementById("palsList").addEventListener("click", (e) => {
+    const palsListEl = document.getElementById("palsList");
+    palsListEl.addEventListener("click", (e) => {
       const btn = e.target.closest(".btn-remove-pal");
       if (!btn) return;
       const idx = parseInt(btn.dataset.index, 10);
       removePal(idx);
     });
 
+    // Pal settings: nickname, group, max posts, hidden
+    palsListEl.addEventListener("input", (e) => {
+      const field = e.target.dataset.field;
+      if (!field || field === "hidden") return;
+      const value = e.target.value.trim();
+      if (field === "maxPosts") {
+        const max = parseInt(value, 10);
+        setPalField(parseInt(e.target.dataset.index, 10), field, max > 0 ? max : "");
+      } else {
+        setPalField(parseInt(e.target.dataset.index, 10), field, value);
+      }
+    });
+    palsListEl.addEventListener("change", (e) => {
+      const field = e.target.dataset.field;
+      if (field === "hidden") setPalField(parseInt(e.target.dataset.index, 10), field, e.target.checked);
+      // Redraw for the hidden style and group headings
+      if (field === "hidden" || field === "group") renderPalsList();
+    });
+
+    // Reorder pals: drag the grip handle, or focus it and use the arrow keys
+    let _palDrag = null;
+    palsListEl.addEventListener("pointerdown", (e) => {
+      const handle = e.target.closest(".pal-item-handle");
+      if (!handle || e.button !== 0) return;
+      e.preventDefault();
+      const item = handle.closest(".pal-item");
+      _palDrag = { item, from: parseInt(handle.dataset.index, 10) };
+      item.classList.add("dragging");
+      handle.setPointerCapture(e.pointerId);
+    });
+
+    palsListEl.addEventListener("pointermove", (e) => {
+      if (!_palDrag) return;
+      const hit = document.elementFromPoint(e.clientX, e.clientY);
+      const over = hit && hit.closest(".pal-item");
+      if (!over || over === _palDrag.item || over.parentElement !== palsListEl) return;
+      const rect = over.getBoundingClientRect();
+      const after = e.clientY > rect.top + rect.height / 2;
+      palsListEl.insertBefore(_palDrag.item, after ? over.nextSibling : over);
+    });
+
+    const endPalDrag = () => {
+      if (!_palDrag) return;
+      const { item, from } = _palDrag;
+      _palDrag = null;
+      item.classList.remove("dragging");
+      const to = Array.from(palsListEl.querySelectorAll(".pal-item")).indexOf(item);
+      if (!movePal(from, to)) renderPalsList();
+    };
+    palsListEl.addEventListener("pointerup", endPalDrag);
+    palsListEl.addEventListener("pointercancel", endPalDrag);
+
+    palsListEl.addEventListener("keydown", (e) => {
+      const handle = e.target.closest(".pal-item-handle");
+      if (!handle || (e.key !== "ArrowUp" && e.key !== "ArrowDown")) return;
+      e.preventDefault();
+      const from = parseInt(handle.dataset.index, 10);
+      const moved = movePal(from, from + (e.key === "ArrowUp" ? -1 : 1));
+      if (moved) focusPalHandle(moved);
+    });
+
     // Photo caption editing (delegation)
     document.getElementById("photoList").addEventListener("input", (e) => {
       if (!e.target.classList.contains("photo-item-caption")) return;
       const idx = parseInt(e.target.dataset.index, 10);
-      if (_photosData.photos[idx]) {
-        _photosData.photos[idx].caption = e.target.value;
+      const photo = _photosData.photos[idx];
+      if (photo) {
+        const filename = photo.filename;
+        recordField(PHOTOS_FILE, "Edit caption", () => _photosData.photos.find((p) => p.filename === filename),
+          "caption", e.target.value, "caption:" + filename);
+      }
+      const chips = e.target.parentElement.querySelector(".photo-item-tags");
+      if (chips) chips.innerHTML = tagChipsHtml(e.target.value);
+      showTagSuggest(e.target);
+    });
+
+    // Alt text (delegation); empty means the caption is used
+    document.getElementById("photoList").addEventListener("input", (e) => {
+      if (!e.target.classList.contains("photo-item-alt")) return;
+      const photo = _photosData.photos[parseInt(e.target.dataset.index, 10)];
+      if (!photo) return;
+      const filename = photo.filename;
+      recordField(PHOTOS_FILE, "Edit alt text", () => _photosData.photos.find((p) => p.filename === filename),
+        "alt", e.target.value.trim() ? e.target.value : undefined, "alt:" + filename);
+    });
+
+    document.getElementById("photoList").addEventListener("focusout", (e) => {
+      if (e.target.classList.contains("photo-item-caption")) hideTagSuggest();
+    });
+
+    document.getElementById("photoList").addEventListener("keydown", (e) => {
+      if (!_tagSuggest || !e.target.classList.contains("photo-item-caption")) return;
+      if (e.key === "Escape") {
+        hideTagSuggest();
+      } else if (e.key === "Tab" || e.key === "Enter") {
+        // Accept the first suggestion
+        const first = _tagSuggest.querySelector(".tag-suggest-item");
+        const partial = partialTagAt(e.target);
+        if (first && partial !== null) {
+          e.preventDefault();
+          completeTag(e.target, partial, first.textContent.slice(1));
+        }
+      }
+    });
+
+    // Reorder: drag the grip handle, or focus it and use the arrow keys
+    const photoListEl = document.getElementById("photoList");
+    let _drag = null;
+
+    photoListEl.addEventListener("pointerdown", (e) => {
+      const handle = e.target.closest(".photo-item-handle");
+      if (!handle || e.button !== 0) return;
+      e.preventDefault();
+      const item = handle.closest(".photo-item");
+      _drag = { item, from: parseInt(handle.dataset.index, 10) };
+      item.classList.add("dragging");
+      handle.setPointerCapture(e.pointerId);
+    });
+
+    photoListEl.addEventListener("pointermove", (e) => {
+      if (!_drag) return;
+      const hit = document.elementFromPoint(e.clientX, e.clientY);
+      const over = hit && hit.closest(".photo-item");
+      if (!over || over === _drag.item || over.parentElement !== photoListEl) return;
+      const rect = over.getBoundingClientRect();
+      const after = e.clientY > rect.top + rect.height / 2;
+      photoListEl.insertBefore(_drag.item, after ? over.nextSibling : over);
+    });
+
+    const endDrag = () => {
+      if (!_drag) return;
+      const { item, from } = _drag;
+      _drag = null;
+      item.classList.remove("dragging");
+      const to = Array.from(photoListEl.children).indexOf(item);
+      if (!movePhoto(from, to)) renderPhotoList();
+    };
+    photoListEl.addEventListener("pointerup", endDrag);
+    photoListEl.addEventListener("pointercancel", endDrag);
+
+    photoListEl.addEventListener("keydown", (e) => {
+      const handle = e.target.closest(".photo-item-handle");
+      if (!handle || (e.key !== "ArrowUp" && e.key !== "ArrowDown")) return;
+      e.preventDefault();
+      const from = parseInt(handle.dataset.index, 10);
+      const moved = movePhoto(from, from + (e.key === "ArrowUp" ? -1 : 1));
+      if (moved) focusHandle(moved);
+    });
+
+    photoListEl.addEventListener("click", (e) => {
+      const btn = e.target.closest(".btn-pin-photo");
+      if (btn) togglePin(parseInt(btn.dataset.index, 10));
+    });
+
+    const resetOrderBtn = document.getElementById("resetOrderBtn");
+    if (resetOrderBtn) resetOrderBtn.addEventListener("click", resetOrder);
+
+    // Bulk editing: checkboxes, action bar, one confirm
+    photoListEl.addEventListener("click", (e) => {
+      const box = e.target.closest(".photo-item-select");
+      if (box) selectPhoto(parseInt(box.dataset.index, 10), box.checked, e.shiftKey);
+    });
+
+    const bulkModal = new bootstrap.Modal(document.getElementById("bulkModal"));
+    let _pendingBulk = null;
+
+    document.getElementById("bulkAction").innerHTML = '<option value="">Choose an action…</option>' +
+      Object.keys(BULK_ACTIONS).map((id) => `<option value="${id}">${BULK_ACTIONS[id].label}</option>`).join("");
+    document.getElementById("bulkAction").addEventListener("change", renderBulkInput);
+    document.getElementById("bulkSelectAll").addEventListener("change", (e) => selectAll(e.target.checked));
+    document.getElementById("bulkUndoBtn").addEventListener("click", undoStep);
+
+    document.getElementById("bulkApplyBtn").addEventListener("click", () => {
+      const action = document.getElementById("bulkAction").value;
+      if (!BULK_ACTIONS[action]) {
+        showToast("Choose an action first");
+        return;
       }
+      const value = bulkValue(action);
+      if (value === null) return;
+      if (!showBulkSummary(action, value)) return;
+      _pendingBulk = { action, value };
+      bulkModal.show();
+    });
+
+    document.getElementById("confirmBulkBtn").addEventListener("click", () => {
+      if (_pendingBulk) runBulk(_pendingBulk.action, _pendingBulk.value);
+      _pendingBulk = null;
+      bulkModal.hide();
     });
 
+    // Add photos: drop zone + file picker
+    const uploadZone = document.getElementById("uploadZone");
+    const uploadInput = document.getElementById("uploadInput");
+    if (uploadZone && uploadInput) {
+      uploadZone.addEventListener("click", () => uploadInput.click());
+      uploadZone.addEventListener("keydown", (e) => {
+        if (e.key === "Enter" || e.key === " ") { e.preventDefault(); uploadInput.click(); }
+      });
+      uploadInput.addEventListener("change", () => {
+        addPhotos(uploadInput.files);
+        uploadInput.value = "";
+      });
+      uploadZone.addEventListener("dragover", (e) => {
+        e.preventDefault();
+        uploadZone.classList.add("dragover");
+      });
+      uploadZone.addEventListener("dragleave", () => uploadZone.classList.remove("dragover"));
+      uploadZone.addEventListener("drop", (e) => {
+        e.preventDefault();
+        uploadZone.classList.remove("dragover");
+        addPhotos(e.dataTransfer.files);
+      });
+    }
+
     // Photo delete (delegation) — opens confirm modal
     const deleteModal = new bootstrap.Modal(document.getElementById("deleteModal"));
 
@@ -445,8 +1909,9 @@
 
     document.getElementById("confirmDeleteBtn").addEventListener("click", () => {
       if (_deleteIndex >= 0 && _deleteIndex < _photosData.photos.length) {
-        const removed = _photosData.photos.splice(_deleteIndex, 1);
-        showToast((removed[0]?.filename || "Photo") + " deleted — download to save");
+        const index = _deleteIndex;
+        const removed = record(PHOTOS_FILE, "Delete photo", () => _photosData.photos.splice(index, 1));
+        showToast((removed[0]?.filename || "Photo") + " deleted — save to keep changes");
         renderPhotoList();
       }
       _deleteIndex = -1;
@@ -494,6 +1959,17 @@
       updateCoverDropdown();
     });
 
+    // --- Health events ---
+    document.getElementById("checkFilesBtn").addEventListener("click", checkFiles);
+    document.getElementById("fixAllBtn").addEventListener("click", fixAll);
+    document.getElementById("healthList").addEventListener("click", (e) => {
+      const btn = e.target.closest(".btn-fix");
+      if (btn) fixIssue(parseInt(btn.dataset.index, 10));
+    });
+    // Edits elsewhere can add or clear issues; refresh when the tab opens
+    document.getElementById("health-tab").addEventListener("shown.bs.tab", renderHealth);
+    document.getElementById("stats-tab").addEventListener("shown.bs.tab", renderStats);
+
     // Album form save / cancel
     document.getElementById("albumFormSave").addEventListener("click", saveAlbum);
     document.getElementById("albumFormCancel").addEventListener("click", resetAlbumForm);
@@ -502,12 +1978,25 @@
   // =========================================================
   //  Init
   // =========================================================
-  await Promise.all([loadPhotosJSON(), loadPalsJSON()]);
+  await Promise.all([
+    loadPhotosJSON(),
+    loadPalsJSON(),
+    typeof AdminStorage !== "undefined" ? AdminStorage.init() : null,
+  ]);
+
+  // Baselines for the dirty check
+  _fileState[PHOTOS_FILE].clean = capture(PHOTOS_FILE);
+  _fileState[PALS_FILE].clean = capture(PALS_FILE);
 
   populateProfileForm();
   renderPhotoList();
   renderPalsList();
   renderAlbumList();
   renderPhotoSelector();
+  renderHealth();
+  renderStorageOptions();
+  renderSaveStatus();
   initEvents();
+  offerDraft();
+  addPalFromLink();
 })();
@@ -3,7 +3,12 @@
  *
  * Albums are stored in photos.json under an "albums" array.
  * Each album has: id, title, cover (filename), description,
- * and photos (array of filenames).
+ * and photos (array of filenames). The share button in the detail
+ * header copies the album's link (js/share-links.js); the play button
+ * starts a slideshow (js/slideshow.js).
+ *
+ * URL scheme:  #album=<id>          – album detail
+ *              #album=<id>&play=1   – album detail, playing as a slideshow
  */
 
 // eslint-disable-next-line no-unused-vars
@@ -14,6 +19,20 @@ const AlbumsModule = (() => {
   let _albums = [];
   let _allPhotos = [];
   let _currentAlbum = null;
+  let _visibleIds = null; // Set of album ids to show, or null for all
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /** The album's photos that are on the site, in album order */
+  function photosOf(album) {
+    return (album.photos || []).map((fn) => findPhoto(fn)).filter(Boolean);
+  }
 
   /** Find a photo object by filename */
   function findPhoto(filename) {
@@ -48,21 +67,36 @@ const AlbumsModule = (() => {
       return;
     }
 
+    if (_visibleIds && !_albums.some((a) => _visibleIds.has(a.id))) {
+      container.innerHTML = `
+        <div class="col-12 empty-state">
+          <i class="bi bi-search"></i>
+          <p class="h6">No Matching Albums</p>
+          <p class="small">Try a different search.</p>
+        </div>`;
+      return;
+    }
+
     const fragment = document.createDocumentFragment();
     _albums.forEach((album, i) => {
+      if (_visibleIds && !_visibleIds.has(album.id)) return;
       const coverSrc = album.cover ? thumbSrc(album.cover) : "";
-      const photoCount = (album.photos || []).length;
+      // Count only photos on the site (hidden or deleted ones are skipped)
+      const photoCount = (album.photos || []).filter((fn) => findPhoto(fn)).length;
 
       const col = document.createElement("div");
       col.className = "col-6 album-grid-item";
       col.setAttribute("data-album-index", i);
+      col.setAttribute("role", "button");
+      col.setAttribute("tabindex", "0");
+      col.setAttribute("aria-label", (album.title || "Untitled") + ", " + photoCount + " photo" + (photoCount !== 1 ? "s" : ""));
       col.innerHTML = `
         <div class="album-cover-wrap">
           ${coverSrc
-            ? `<img class="album-cover lazy" data-src="${coverSrc}" alt="${album.title || ""}">`
+            ? `<img class="album-cover lazy" data-src="${coverSrc}" alt="${escapeHtml(album.title || "")}">`
             : `<div class="album-cover-placeholder"><i class="bi bi-collection"></i></div>`
           }
-          <div class="album-cover-overlay">
+          <div class="album-cover-overlay" aria-hidden="true">
             <span class="album-title">${album.title || "Untitled"}</span>
             <span class="album-count">${photoCount} photo${photoCount !== 1 ? "s" : ""}</span>
           </div>
@@ -75,6 +109,35 @@ const AlbumsModule = (() => {
     if (typeof LazyLoad !== "undefined") LazyLoad.refresh();
   }
 
+  function showToast(message) {
+    const toast = document.getElementById("shareToast");
+    const body = document.getElementById("shareToastBody");
+    if (!toast || !body) return;
+    body.textContent = message;
+    const bsToast = new bootstrap.Toast(toast, { delay: 2000 });
+    bsToast.show();
+  }
+
+  /** Copy a link to the open album (its static share page, if generated) */
+  function shareAlbum(album) {
+    const url = typeof ShareLinks !== "undefined"
+      ? ShareLinks.albumUrl(album.id)
+      : window.location.origin + window.location.pathname + "#album=" + album.id;
+    navigator.clipboard.writeText(url).then(() => {
+      showToast("Link copied to clipboard");
+    }).catch(() => {
+      const ta = document.createElement("textarea");
+      ta.value = url;
+      ta.style.position = "fixed";
+      ta.style.opacity = "0";
+      document.body.appendChild(ta);
+      ta.select();
+      document.execCommand("copy");
+      document.body.removeChild(ta);
+      showToast("Link copied to clipboard");
+    });
+  }
+
   /** Render a single album's photos in detail view */
   function renderDetail(albumIndex) {
     const album = _albums[albumIndex];
@@ -91,6 +154,10 @@ const AlbumsModule = (() => {
       backBtn.classList.remove("d-none");
       const titleEl = document.getElementById("albumDetailTitle");
       if (titleEl) titleEl.textContent = album.title || "Untitled";
+      const shareBtn = document.getElementById("albumShareBtn");
+      if (shareBtn) shareBtn.classList.toggle("d-none", !album.id);
+      const playBtn = document.getElementById("albumPlayBtn");
+      if (playBtn) playBtn.classList.toggle("d-none", typeof SlideshowModule === "undefined" || photosOf(album).length === 0);
     }
 
     const filenames = album.photos || [];
@@ -105,9 +172,7 @@ const AlbumsModule = (() => {
     }
 
     // Build array of resolved photo objects for this album
-    const albumPhotos = filenames
-      .map((fn) => findPhoto(fn))
-      .filter(Boolean);
+    const albumPhotos = photosOf(album);
 
     const fragment = document.createDocumentFragment();
     albumPhotos.forEach((photo, i) => {
@@ -118,12 +183,15 @@ const AlbumsModule = (() => {
       const col = document.createElement("div");
       col.className = "col-4 grid-item album-photo-item";
       col.setAttribute("data-album-photo-index", i);
+      col.setAttribute("role", "button");
+      col.setAttribute("tabindex", "0");
+      col.setAttribute("aria-label", photo.alt || photo.caption || "Photo");
       col.innerHTML = `
         <img class="lazy" data-src="${src}"
              data-srcset="${photo.thumbnail ? THUMB_DIR + '360/' + photo.thumbnail + ' 360w, ' + THUMB_DIR + '640/' + photo.thumbnail + ' 640w, ' + THUMB_DIR + photo.thumbnail + ' 1080w' : ''}"
              sizes="(max-width: 767px) 33vw, 312px"
-             alt="${photo.caption || ""}">
-        <div class="overlay">
+             alt="${escapeHtml(photo.alt || photo.caption || "")}">
+        <div class="overlay" aria-hidden="true">
           ${photo.location ? `<i class="bi bi-geo-alt-fill me-1"></i>${photo.location}` : ""}
         </div>
       `;
@@ -152,19 +220,46 @@ const AlbumsModule = (() => {
     }
   }
 
-  /** Handle hash-based deep linking for albums */
+  /** Play the open album as a slideshow; the hash says so while it runs */
+  function playAlbum() {
+    const album = _albums[_currentAlbum];
+    if (!album || typeof SlideshowModule === "undefined") return;
+    const albumPhotos = photosOf(album);
+    if (albumPhotos.length === 0) return;
+    if (album.id) history.replaceState(null, "", "#album=" + album.id + "&play=1");
+    SlideshowModule.start(albumPhotos, {
+      onClose: () => {
+        if (album.id && window.location.hash.startsWith("#album=" + album.id + "&")) {
+          history.replaceState(null, "", "#album=" + album.id);
+        }
+      },
+    });
+  }
+
+  /** Handle hash-based deep linking for albums (#album=<id>[&play=1]) */
   function checkHash() {
     const hash = window.location.hash;
     if (!hash.startsWith("#album=")) return false;
-    const albumId = hash.replace("#album=", "");
-    const idx = _albums.findIndex((a) => a.id === albumId);
+    const params = new URLSearchParams(hash.slice(1));
+    const idx = _albums.findIndex((a) => a.id === params.get("album"));
     if (idx !== -1) {
       renderDetail(idx);
+      if (params.get("play") === "1") playAlbum();
       return true;
     }
     return false;
   }
 
+  /**
+   * Limit the album grid to the given album ids (null shows all).
+   * Re-renders the grid unless an album detail view is open.
+   * @param {Array|null} ids
+   */
+  function setFilter(ids) {
+    _visibleIds = ids ? new Set(ids) : null;
+    if (_currentAlbum === null) renderGrid();
+  }
+
   function init(photos, albums) {
     _allPhotos = photos || [];
     _albums = albums || [];
@@ -173,6 +268,8 @@ const AlbumsModule = (() => {
     const container = document.getElementById("albumsGrid");
     if (!container) return;
 
+    if (typeof A11y !== "undefined") A11y.gridKeys(container, ".album-grid-item, .album-photo-item");
+
     // Album grid click → open album detail
     container.addEventListener("click", (e) => {
       const item = e.target.closest(".album-grid-item");
@@ -184,20 +281,35 @@ const AlbumsModule = (() => {
         history.replaceState(null, "", "#album=" + _albums[idx].id);
       }
       window.scrollTo({ top: 0, behavior: "smooth" });
+      // The tile that had focus is gone; hand it to the back button
+      const back = document.querySelector("#albumsBackBtn button");
+      if (back) back.focus({ preventScroll: true });
+      if (typeof A11y !== "undefined" && _albums[idx]) A11y.announce("Album " + (_albums[idx].title || "Untitled"));
     });
 
     // Back button
     const backBtn = document.getElementById("albumsBackBtn");
     if (backBtn) {
-      backBtn.addEventListener("click", () => {
+      backBtn.addEventListener("click", (e) => {
+        if (e.target.closest("#albumShareBtn")) {
+          if (_albums[_currentAlbum] && _albums[_currentAlbum].id) shareAlbum(_albums[_currentAlbum]);
+          return;
+        }
+        if (e.target.closest("#albumPlayBtn")) {
+          playAlbum();
+          return;
+        }
+        const closed = _currentAlbum;
         _currentAlbum = null;
         renderGrid();
+        const tile = container.querySelector(`.album-grid-item[data-album-index="${closed}"]`);
+        if (tile) tile.focus({ preventScroll: true });
         history.replaceState(null, "", window.location.pathname + window.location.search);
         window.scrollTo({ top: 0, behavior: "smooth" });
 
-        // Restore lightbox to all photos
+        // Restore lightbox to all photos (or the current search results)
         if (typeof LightboxModule !== "undefined") {
-          LightboxModule.setPhotos(_allPhotos);
+          LightboxModule.setPhotos(typeof SearchModule !== "undefined" ? SearchModule.results() : _allPhotos);
         }
       });
     }
@@ -208,5 +320,5 @@ const AlbumsModule = (() => {
     }
   }
 
-  return { init, renderGrid };
+  return { init, renderGrid, setFilter };
 })();
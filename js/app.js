@@ -5,22 +5,39 @@
 (async function () {
   "use strict";
 
-  const DATA_URL = "data/photos.json";
+  // ---- Service worker (offline support) ----
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.register("sw.js").catch((err) => {
+      console.warn("Service worker registration failed:", err);
+    });
+  }
 
-  // ---- Load JSON ----
-  let data = {};
+  // Static share pages, if generated (scripts/generate-share-pages.js)
+  if (typeof ShareLinks !== "undefined") ShareLinks.load();
+
+  // ---- Load JSON (photos.json, or the first page of a sharded manifest) ----
+  // Broken entries are logged and skipped by the validator; hidden
+  // posts are left out of every view.
+  let feed;
   try {
-    const res = await fetch(DATA_URL, { cache: "no-cache" });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    data = await res.json();
+    feed = await Manifest.load("", {
+      prepare: typeof PhotosValidator !== "undefined" ? PhotosValidator.sanitize : undefined,
+    });
   } catch (err) {
     console.error("Failed to load photo data:", err);
     return;
   }
 
-  const photos = data.photos || [];
-  const profile = data.profile || {};
-  const albums = data.albums || [];
+  // Deep links, the map and curated grid orders need every post; fetch
+  // the remaining pages before rendering rather than show a partial view
+  const NEEDS_ALL = ["#photo=", "#tag=", "#album=", "#q=", "#map="];
+  if (feed.curated || NEEDS_ALL.some((prefix) => window.location.hash.startsWith(prefix))) {
+    await feed.all().catch((err) => console.error("Failed to load photo pages:", err));
+  }
+
+  const photos = feed.photos; // grows in place as later pages load
+  const profile = feed.profile;
+  const albums = feed.albums;
 
   // ---- Populate profile header from JSON ----
   function setText(selector, value) {
@@ -59,7 +76,7 @@
   }
 
   // ---- Update post counts ----
-  const count = photos.length;
+  const count = feed.count;
   const el1 = document.getElementById("post-count");
   const el2 = document.getElementById("post-count-mobile");
   if (el1) el1.textContent = count;
@@ -88,18 +105,81 @@
   // ---- Initialise modules ----
   if (typeof GridModule !== "undefined") GridModule.init(photos);
   if (typeof TimelineModule !== "undefined") TimelineModule.init(photos, profile);
+  if (typeof SlideshowModule !== "undefined") SlideshowModule.init();
   if (typeof LightboxModule !== "undefined") LightboxModule.init(photos, profile);
   if (typeof AlbumsModule !== "undefined") AlbumsModule.init(photos, albums);
+  if (typeof MapModule !== "undefined") MapModule.init(photos, feed.map);
+  if (typeof SearchModule !== "undefined") SearchModule.init(photos, albums);
+  if (typeof StatsModule !== "undefined") StatsModule.init(photos);
+  if (typeof TagsModule !== "undefined") TagsModule.init(photos);
   if (typeof LazyLoad !== "undefined") LazyLoad.observe();
 
+  // ---- Sharded manifests: fetch later pages as they're needed ----
+  if (!feed.complete()) {
+    feed.onLoad((more) => {
+      if (typeof StatsModule !== "undefined") StatsModule.refresh();
+      // An active search re-renders every view from the new index
+      if (typeof SearchModule !== "undefined" && SearchModule.refresh()) return;
+      if (typeof GridModule !== "undefined") GridModule.append(more);
+      if (typeof TimelineModule !== "undefined") TimelineModule.append(more);
+      if (typeof AlbumsModule !== "undefined") AlbumsModule.setFilter(null);
+      if (typeof MapModule !== "undefined") MapModule.render(photos);
+    });
+
+    const loadFailed = (err) => console.error("Failed to load photo pages:", err);
+
+    // Scrolled to the end of the grid or timeline → next page
+    document.addEventListener("pagedlist:end", (e) => {
+      if (e.target.id === "photoGrid" || e.target.id === "photoTimeline") feed.next().catch(loadFailed);
+    });
+
+    // Everything else searches or links across all posts: fetch the
+    // rest, then replay the hash so tag / photo views see every post
+    const loadAll = () => feed.all().catch(loadFailed);
+    const searchInput = document.getElementById("searchInput");
+    if (searchInput) searchInput.addEventListener("focus", loadAll, { once: true });
+    ["map-tab", "albums-tab", "stats-tab"].forEach((id) => {
+      const tab = document.getElementById(id);
+      if (tab) tab.addEventListener("show.bs.tab", loadAll, { once: true });
+    });
+    window.addEventListener("hashchange", () => {
+      if (feed.complete() || !NEEDS_ALL.some((prefix) => window.location.hash.startsWith(prefix))) return;
+      loadAll().then((added) => {
+        if (added && added.length) window.dispatchEvent(new HashChangeEvent("hashchange"));
+      });
+    });
+  }
+
   // ---- Palgram: lazy-init on first switch ----
   let palgramLoaded = false;
 
+  // ---- Palgram unread badge: pals are checked in the background ----
+  const UNREAD_CHECK_DELAY_MS = 3000; // let the gallery load first
+  const palgramBadge = document.getElementById("palgramBadge");
+
+  function setUnread(count) {
+    if (!palgramBadge) return;
+    palgramBadge.textContent = count > 99 ? "99+" : String(count);
+    palgramBadge.classList.toggle("d-none", count === 0);
+    const palBtn = document.getElementById("bubblePalgram");
+    if (palBtn) palBtn.setAttribute("aria-label", count ? "Palgram, " + count + " new" : "Palgram");
+  }
+
+  if (palgramBadge && typeof PalgramModule !== "undefined") {
+    setTimeout(() => {
+      if (palgramLoaded) return;
+      PalgramModule.checkUnread()
+        .then((count) => { if (!palgramLoaded) setUnread(count); })
+        .catch((err) => console.warn("Palgram: unread check failed", err));
+    }, UNREAD_CHECK_DELAY_MS);
+  }
+
   // ---- Nav view switching (mygram ↔ palgram) ----
   const profileHeader = document.getElementById("profile-header");
   const viewTabsContainer = document.querySelector("#viewTabs")?.closest(".container");
   const mygramContent = document.getElementById("mygram-content");
   const palgramView = document.getElementById("palgram-view");
+  const searchBar = document.getElementById("searchBar");
 
   // ---- Desktop: move bubble elements into header bar ----
   const desktopHeader = document.getElementById("desktopHeader");
@@ -251,9 +331,11 @@
       if (viewTabsContainer) viewTabsContainer.classList.add("d-none");
       if (mygramContent) mygramContent.classList.add("d-none");
       if (palgramView) palgramView.classList.remove("d-none");
+      if (searchBar) searchBar.classList.add("d-none");
       if (!palgramLoaded && typeof PalgramModule !== "undefined") {
         palgramLoaded = true;
-        PalgramModule.init(photos, profile);
+        setUnread(0); // opening the feed marks them seen
+        PalgramModule.init(feed);
       } else if (typeof LazyLoad !== "undefined") {
         LazyLoad.refresh();
       }
@@ -262,7 +344,14 @@
       if (viewTabsContainer) viewTabsContainer.classList.remove("d-none");
       if (mygramContent) mygramContent.classList.remove("d-none");
       if (palgramView) palgramView.classList.add("d-none");
-      if (typeof LightboxModule !== "undefined") LightboxModule.setPhotos(photos);
+      if (searchBar) searchBar.classList.remove("d-none");
+      // A Palgram filter hash doesn't apply to the gallery
+      if (window.location.hash.startsWith("#palgram=")) {
+        history.replaceState(null, "", window.location.pathname + window.location.search);
+      }
+      if (typeof LightboxModule !== "undefined") {
+        LightboxModule.setPhotos(typeof SearchModule !== "undefined" ? SearchModule.results() : photos);
+      }
     }
     window.scrollTo({ top: 0, behavior: "smooth" });
   }
@@ -275,6 +364,20 @@
     });
   });
 
+  // Tag and map links opened from the palgram feed belong to the mygram view;
+  // a shared Palgram filter link belongs to palgram
+  window.addEventListener("hashchange", () => {
+    const hash = window.location.hash;
+    const toMygram = (hash.startsWith("#tag=") || hash.startsWith("#map=")) && currentView === "palgram";
+    const toPalgram = hash.startsWith("#palgram=") && currentView !== "palgram";
+    if (!toMygram && !toPalgram) return;
+    switchView(toPalgram ? "palgram" : "mygram");
+    const bubbleGal = document.getElementById("bubbleGallery");
+    const bubblePal = document.getElementById("bubblePalgram");
+    if (bubbleGal) bubbleGal.classList.toggle("active", !toPalgram);
+    if (bubblePal) bubblePal.classList.toggle("active", toPalgram);
+  });
+
   // ---- Refresh lazy-load & scroll-to-top when switching tabs ----
   document.querySelectorAll('#viewTabs button[data-bs-toggle="tab"]').forEach((tab) => {
     tab.addEventListener("shown.bs.tab", () => {
@@ -282,6 +385,10 @@
       if (typeof LazyLoad !== "undefined") LazyLoad.refresh();
       updateContentPadding();
       updateProfileZone();
+      // Keep the view bubble in sync when a tab is shown from code (e.g. #map=)
+      document.querySelectorAll(".bubble-btn-view").forEach((b) => {
+        b.classList.toggle("active", b.dataset.viewTab === tab.id);
+      });
     });
   });
 
@@ -380,6 +487,12 @@
       profileBubble.classList.add("expanded");
     }
 
+    // Move the search bar into the header, between profile and navs
+    const desktopSpacer = desktopHeader.querySelector(".desktop-header-spacer");
+    if (searchBar && desktopSpacer) {
+      desktopSpacer.appendChild(searchBar);
+    }
+
     // Move both nav bubbles into the grouped navs wrapper
     if (bubbleViewNav && desktopNavsWrap) {
       desktopNavsWrap.appendChild(bubbleViewNav);
@@ -541,11 +654,11 @@
     });
   })();
 
-  // ---- Auto-switch to palgram if ?view=palgram or localStorage default ----
+  // ---- Auto-switch to palgram if ?view=palgram, #palgram= or localStorage default ----
   // Placed at the end so all switchView wrapping and DOM reparenting is complete.
   const urlParams = new URLSearchParams(window.location.search);
   const savedDefault = localStorage.getItem('mygram_default_view');
-  if (urlParams.get('view') === 'palgram' || savedDefault === 'palgram') {
+  if (urlParams.get('view') === 'palgram' || window.location.hash.startsWith('#palgram=') || savedDefault === 'palgram') {
     switchView('palgram');
     // Sync bubble nav active states
     const bubbleGal = document.getElementById('bubbleGallery');
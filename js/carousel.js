@@ -2,7 +2,9 @@
  * carousel.js – Shared media carousel for multi-photo posts and video.
  *
  * Provides factory methods to create swipeable carousels with dot
- * indicators, plus helpers to detect post media types.
+ * indicators, plus helpers to detect post media types. A carousel
+ * fires a bubbling "slidechange" event ({ detail: { index } }) when
+ * it moves to another slide.
  */
 
 // eslint-disable-next-line no-unused-vars
@@ -11,6 +13,18 @@ const CarouselFactory = (() => {
 
   const WEB_DIR = "photos/web/";
 
+  /**
+   * URL of a file in photos/web/, on this site (no baseUrl) or a
+   * pal's. Absolute URLs (pals read from a JSON Feed) are kept as is.
+   * @param {string} baseUrl - pal base URL, or "" for this site
+   * @param {string} file
+   * @returns {string}
+   */
+  function mediaUrl(baseUrl, file) {
+    if (/^https?:\/\//.test(file)) return file;
+    return (baseUrl ? baseUrl + "photos/web/" : WEB_DIR) + file;
+  }
+
   /**
    * Get the media array from a photo object, with legacy fallback.
    * @param {Object} photo - A photo entry from photos.json
@@ -50,13 +64,12 @@ const CarouselFactory = (() => {
    */
   function create(mediaItems, options = {}) {
     const baseUrl = options.baseUrl || "";
-    const webDir = baseUrl ? baseUrl + "photos/web/" : WEB_DIR;
     const imgClass = options.imgClass || "";
 
     // ---- Single image ----
     if (mediaItems.length === 1 && mediaItems[0].type !== "video") {
       const img = document.createElement("img");
-      const src = webDir + mediaItems[0].web;
+      const src = mediaUrl(baseUrl, mediaItems[0].web);
       if (options.lazy) {
         img.setAttribute("data-src", src);
         img.className = "lazy" + (imgClass ? " " + imgClass : "");
@@ -72,8 +85,8 @@ const CarouselFactory = (() => {
     // ---- Single video ----
     if (mediaItems.length === 1 && mediaItems[0].type === "video") {
       const video = document.createElement("video");
-      video.src = webDir + mediaItems[0].web;
-      if (mediaItems[0].poster) video.poster = webDir + mediaItems[0].poster;
+      video.src = mediaUrl(baseUrl, mediaItems[0].web);
+      if (mediaItems[0].poster) video.poster = mediaUrl(baseUrl, mediaItems[0].poster);
       video.controls = true;
       video.playsInline = true;
       video.preload = "metadata";
@@ -95,8 +108,8 @@ const CarouselFactory = (() => {
 
       if (item.type === "video") {
         const video = document.createElement("video");
-        video.src = webDir + item.web;
-        if (item.poster) video.poster = webDir + item.poster;
+        video.src = mediaUrl(baseUrl, item.web);
+        if (item.poster) video.poster = mediaUrl(baseUrl, item.poster);
         video.controls = true;
         video.playsInline = true;
         video.preload = "metadata";
@@ -104,7 +117,7 @@ const CarouselFactory = (() => {
         slide.appendChild(video);
       } else {
         const img = document.createElement("img");
-        const src = webDir + item.web;
+        const src = mediaUrl(baseUrl, item.web);
         if (options.lazy) {
           img.setAttribute("data-src", src);
           img.className = "lazy";
@@ -177,6 +190,7 @@ const CarouselFactory = (() => {
       });
       // Update arrow visibility
       if (container._updateArrows) container._updateArrows();
+      container.dispatchEvent(new CustomEvent("slidechange", { bubbles: true, detail: { index: idx } }));
     }
 
     // Expose API on the DOM element
@@ -260,5 +274,5 @@ const CarouselFactory = (() => {
     return container;
   }
 
-  return { create, getMedia, isMulti, isVideo };
+  return { create, getMedia, isMulti, isVideo, mediaUrl };
 })();
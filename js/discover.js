@@ -0,0 +1,159 @@
+/**
+ * discover.js – "Pals of pals" suggestions for the Palgram view.
+ *
+ * Every mygram site publishes palgram/pals.json. Discover reads the
+ * lists of your pals, ranks the sites they follow that you don't by
+ * how many of your pals follow them, and shows each with the avatar
+ * and username from its own manifest. "Add" opens the admin Pals tab
+ * with the URL filled in (admin.html?addPal=…).
+ */
+
+// eslint-disable-next-line no-unused-vars
+const PalDiscover = (() => {
+  "use strict";
+
+  const FETCH_TIMEOUT_MS = 8000;
+  const MAX_SUGGESTIONS = 20; // profiles fetched for the top of the ranking
+  let _loading = false;
+
+  /** Site root with a trailing slash, or "" if the URL is unusable */
+  function normalise(url) {
+    try {
+      const u = new URL(url);
+      if (u.protocol !== "https:" && u.protocol !== "http:") return "";
+      u.hash = "";
+      u.search = "";
+      return u.href.endsWith("/") ? u.href : u.href + "/";
+    } catch (e) {
+      return "";
+    }
+  }
+
+  function hostOf(base) {
+    return new URL(base).host;
+  }
+
+  /** A site's pal URLs (entries may be { url } objects or plain strings) */
+  async function fetchPalList(base) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    try {
+      const res = await fetch(base + "palgram/pals.json", { cache: "no-cache", signal: controller.signal });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      return (data.pals || [])
+        .map((pal) => normalise(typeof pal === "string" ? pal : pal && pal.url))
+        .filter(Boolean);
+    } catch (err) {
+      console.warn("Discover: could not read the pals of " + base, err);
+      return [];
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Second-degree sites ranked by how many of your pals follow them.
+   * @param {Array<{ base: string, label: string }>} pals - your pals
+   * @param {string[]} [exclude] - other sites not to suggest (hidden pals)
+   * @returns {Promise<Array<{ base: string, followers: string[] }>>}
+   */
+  async function rank(pals, exclude = []) {
+    const known = new Set(pals.map((pal) => pal.base).concat(exclude).map(normalise));
+    known.add(normalise(new URL(".", window.location.href).href));
+
+    const followers = new Map(); // base → labels of your pals who follow it
+    const lists = await Promise.all(pals.map((pal) => fetchPalList(normalise(pal.base))));
+    lists.forEach((list, i) => {
+      new Set(list).forEach((base) => {
+        if (known.has(base)) return;
+        if (!followers.has(base)) followers.set(base, []);
+        followers.get(base).push(pals[i].label);
+      });
+    });
+
+    return [...followers.entries()]
+      .map(([base, names]) => ({ base, followers: names }))
+      .sort((a, b) => b.followers.length - a.followers.length || hostOf(a.base).localeCompare(hostOf(b.base)));
+  }
+
+  /** Profile from the site's manifest index (or photos.json), or {} */
+  async function fetchProfile(base) {
+    try {
+      const feed = await Manifest.load(base, { pages: 0, timeout: FETCH_TIMEOUT_MS });
+      return feed.profile;
+    } catch (err) {
+      return {};
+    }
+  }
+
+  function followedBy(names) {
+    if (names.length <= 2) return "Followed by " + names.join(" and ");
+    return "Followed by " + names.slice(0, 2).join(", ") + " and " + (names.length - 2) + " more";
+  }
+
+  function createItem(suggestion, profile) {
+    const item = document.createElement("li");
+    item.className = "discover-item";
+
+    const avatar = document.createElement("img");
+    avatar.className = "discover-avatar";
+    avatar.alt = "";
+    const photo = profile.profilePhoto || "assets/profile.jpg";
+    avatar.src = /^https?:\/\//.test(photo) ? photo : suggestion.base + photo;
+    avatar.addEventListener("error", () => avatar.classList.add("is-missing"), { once: true });
+
+    const text = document.createElement("div");
+    text.className = "discover-text";
+    const name = document.createElement("a");
+    name.className = "discover-name";
+    name.href = suggestion.base;
+    name.target = "_blank";
+    name.rel = "noopener";
+    name.textContent = profile.username || hostOf(suggestion.base);
+    const meta = document.createElement("small");
+    meta.className = "text-muted d-block";
+    meta.textContent = followedBy(suggestion.followers);
+    text.append(name, meta);
+
+    const add = document.createElement("a");
+    add.className = "btn btn-sm btn-primary discover-add";
+    add.href = "admin.html?addPal=" + encodeURIComponent(suggestion.base);
+    add.target = "_blank";
+    add.rel = "noopener";
+    add.innerHTML = '<i class="bi bi-person-plus me-1"></i>Add';
+    add.setAttribute("aria-label", "Add " + name.textContent + " as a pal");
+
+    item.append(avatar, text, add);
+    return item;
+  }
+
+  /**
+   * Fill the Discover panel from your pals' lists.
+   * @param {Array<{ base: string, label: string }>} pals
+   * @param {string[]} [exclude] - other sites not to suggest
+   */
+  async function render(pals, exclude) {
+    const list = document.getElementById("discoverList");
+    const note = document.getElementById("discoverNote");
+    if (!list || _loading) return;
+    _loading = true;
+    list.innerHTML = "";
+    if (note) note.textContent = "Looking through your pals' lists…";
+
+    try {
+      const ranked = (await rank(pals, exclude)).slice(0, MAX_SUGGESTIONS);
+      const profiles = await Promise.all(ranked.map((suggestion) => fetchProfile(suggestion.base)));
+      ranked.forEach((suggestion, i) => list.appendChild(createItem(suggestion, profiles[i])));
+      if (note) {
+        note.textContent = ranked.length
+          ? "Sites your pals follow, most-followed first."
+          : "Your pals don't follow anyone you aren't already following.";
+      }
+    } finally {
+      _loading = false;
+    }
+  }
+
+  return { render };
+})();
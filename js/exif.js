@@ -0,0 +1,288 @@
+/**
+ * exif.js – Minimal EXIF reader for JPEG and WebP files.
+ *
+ * Reads only the tags mygram uses (camera, lens, exposure, flash,
+ * software, dates, GPS, dimensions, orientation) straight from the
+ * TIFF structure, and formats them the way exiftool prints them.
+ * DOM-free; takes an ArrayBuffer. Used by the admin upload and
+ * scripts/mygram.js; exposureOf() also by the lightbox's Info panel,
+ * search and stats.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const ExifModule = (() => {
+  "use strict";
+
+  // Tag IDs by IFD
+  const IFD0_TAGS = {
+    0x010f: "Make",
+    0x0110: "Model",
+    0x0112: "Orientation",
+    0x0131: "Software",
+    0x0132: "ModifyDate",
+    0x8769: "ExifOffset",
+    0x8825: "GPSInfo",
+  };
+  const EXIF_TAGS = {
+    0x829a: "ExposureTime",
+    0x829d: "FNumber",
+    0x8827: "ISO",
+    0x9003: "DateTimeOriginal",
+    0x9004: "CreateDate",
+    0x9209: "Flash",
+    0x920a: "FocalLength",
+    0xa002: "ImageWidth",
+    0xa003: "ImageHeight",
+    0xa434: "LensModel",
+  };
+  const GPS_TAGS = {
+    0x0001: "GPSLatitudeRef",
+    0x0002: "GPSLatitude",
+    0x0003: "GPSLongitudeRef",
+    0x0004: "GPSLongitude",
+  };
+
+  // TIFF type → byte size
+  const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+  // =========================================================
+  //  Container parsing
+  // =========================================================
+
+  /** Locate the TIFF header inside a JPEG APP1 segment; returns offset or -1 */
+  function findJpegTiff(view) {
+    let offset = 2;
+    while (offset + 8 <= view.byteLength) {
+      if (view.getUint8(offset) !== 0xff) return -1;
+      const marker = view.getUint8(offset + 1);
+      const length = view.getUint16(offset + 2);
+      if (marker === 0xda) return -1; // start of scan – no EXIF before image data
+      if (marker === 0xe1 && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+        return offset + 10;
+      }
+      offset += 2 + length;
+    }
+    return -1;
+  }
+
+  /** Locate the TIFF header inside a WebP "EXIF" chunk; returns offset or -1 */
+  function findWebpTiff(view) {
+    let offset = 12;
+    while (offset + 8 <= view.byteLength) {
+      const id = String.fromCharCode(
+        view.getUint8(offset), view.getUint8(offset + 1),
+        view.getUint8(offset + 2), view.getUint8(offset + 3)
+      );
+      const size = view.getUint32(offset + 4, true);
+      if (id === "EXIF") {
+        let start = offset + 8;
+        // Some writers keep the JPEG-style "Exif\0\0" prefix
+        if (view.getUint32(start) === 0x45786966) start += 6;
+        return start;
+      }
+      offset += 8 + size + (size % 2);
+    }
+    return -1;
+  }
+
+  // =========================================================
+  //  TIFF / IFD parsing
+  // =========================================================
+  function readValue(view, tiff, entry, little) {
+    const type = view.getUint16(entry + 2, little);
+    const count = view.getUint32(entry + 4, little);
+    const size = (TYPE_SIZES[type] || 1) * count;
+    const at = size > 4 ? tiff + view.getUint32(entry + 8, little) : entry + 8;
+    if (at + size > view.byteLength) return null;
+
+    const values = [];
+    for (let i = 0; i < count; i++) {
+      switch (type) {
+        case 1: case 7: values.push(view.getUint8(at + i)); break;
+        case 2: values.push(view.getUint8(at + i)); break;
+        case 3: values.push(view.getUint16(at + i * 2, little)); break;
+        case 4: values.push(view.getUint32(at + i * 4, little)); break;
+        case 9: values.push(view.getInt32(at + i * 4, little)); break;
+        case 5: {
+          const d = view.getUint32(at + i * 8 + 4, little);
+          values.push(d ? view.getUint32(at + i * 8, little) / d : 0);
+          break;
+        }
+        case 10: {
+          const d = view.getInt32(at + i * 8 + 4, little);
+          values.push(d ? view.getInt32(at + i * 8, little) / d : 0);
+          break;
+        }
+        default: return null;
+      }
+    }
+
+    if (type === 2) {
+      return String.fromCharCode(...values).replace(/\0+$/, "").trim();
+    }
+    return count === 1 ? values[0] : values;
+  }
+
+  function readIfd(view, tiff, offset, little, names, out) {
+    if (tiff + offset + 2 > view.byteLength) return;
+    const start = tiff + offset;
+    const count = view.getUint16(start, little);
+    for (let i = 0; i < count; i++) {
+      const entry = start + 2 + i * 12;
+      if (entry + 12 > view.byteLength) return;
+      const name = names[view.getUint16(entry, little)];
+      if (!name) continue;
+      const value = readValue(view, tiff, entry, little);
+      if (value !== null && value !== "") out[name] = value;
+    }
+  }
+
+  /**
+   * Read raw EXIF tags from a JPEG or WebP file.
+   * @param {ArrayBuffer} buffer
+   * @returns {Object} tag name → value ({} if the file has no EXIF)
+   */
+  function read(buffer) {
+    const tags = {};
+    const view = new DataView(buffer);
+    if (view.byteLength < 12) return tags;
+
+    let tiff = -1;
+    if (view.getUint16(0) === 0xffd8) {
+      tiff = findJpegTiff(view);
+    } else if (view.getUint32(0) === 0x52494646 && view.getUint32(8) === 0x57454250) { // RIFF….WEBP
+      tiff = findWebpTiff(view);
+    }
+    if (tiff < 0 || tiff + 8 > view.byteLength) return tags;
+
+    const little = view.getUint16(tiff) === 0x4949; // "II"
+    try {
+      readIfd(view, tiff, view.getUint32(tiff + 4, little), little, IFD0_TAGS, tags);
+      if (tags.ExifOffset) readIfd(view, tiff, tags.ExifOffset, little, EXIF_TAGS, tags);
+      if (tags.GPSInfo) readIfd(view, tiff, tags.GPSInfo, little, GPS_TAGS, tags);
+    } catch (e) {
+      // Truncated / malformed EXIF: keep whatever was read
+      console.warn("EXIF: could not fully parse", e);
+    }
+    delete tags.ExifOffset;
+    delete tags.GPSInfo;
+    return tags;
+  }
+
+  // =========================================================
+  //  Formatting (matches the shell scripts' exiftool output)
+  // =========================================================
+
+  /** "2024:05:01 17:02:33" → "2024-05-01T17:02:33" */
+  function formatDate(value) {
+    const m = String(value || "").match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    return m ? `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}` : "";
+  }
+
+  /** exiftool-style exposure: 1/250, 0.5, 2 */
+  function formatExposure(seconds) {
+    if (!seconds) return "";
+    if (seconds < 0.25001) return "1/" + Math.round(1 / seconds);
+    return String(parseFloat(seconds.toFixed(1)));
+  }
+
+  /** Degrees, minutes, seconds rationals → signed decimal degrees, or null */
+  function gpsDecimal(dms, ref) {
+    if (!Array.isArray(dms) || dms.length < 3) return null;
+    const deg = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return ref === "S" || ref === "W" ? -deg : deg;
+  }
+
+  /** exiftool's GPS position: 35.658667, "N" → 35 deg 39' 31.20" N */
+  function formatGps(decimal, ref) {
+    if (decimal === null) return "";
+    const abs = Math.abs(decimal);
+    let deg = Math.floor(abs);
+    let min = Math.floor((abs - deg) * 60);
+    let sec = ((abs - deg) * 60 - min) * 60;
+    // Don't print 60.00" after rounding
+    if (sec.toFixed(2) === "60.00") { sec = 0; min++; }
+    if (min === 60) { min = 0; deg++; }
+    return `${deg} deg ${min}' ${sec.toFixed(2)}"` + (ref ? " " + ref : "");
+  }
+
+  /** 35.04 → 35, 1.8 → 1.8 */
+  function round1(value) {
+    return parseFloat(value.toFixed(1));
+  }
+
+  /**
+   * Turn raw tags into the photos.json fields scripts/mygram.js writes.
+   * settings is the one-line summary; focalLength (mm), aperture (f-
+   * number), shutter, iso, flash (fired or not) and software are the
+   * same exposure as separate fields, null / "" when not recorded.
+   * gps holds exiftool's strings (35 deg 39' 31.20" N), as the shell
+   * scripts stored them; position is the same as numbers, for lookups.
+   * @param {Object} tags - from read()
+   * @returns {{ date, camera, lens, settings, focalLength, aperture, shutter, iso, flash,
+   *   software, gps: { lat, lon }, position: { lat, lon }, width, height, orientation }}
+   */
+  function summarize(tags) {
+    const make = tags.Make || "";
+    const model = tags.Model || "";
+    let camera = model;
+    // If the model already contains the make, just use the model
+    if (make && model && !model.toLowerCase().includes(make.toLowerCase())) {
+      camera = make + " " + model;
+    }
+
+    const settings = [];
+    if (tags.FocalLength) settings.push(tags.FocalLength.toFixed(1) + " mm");
+    if (tags.FNumber) settings.push("f/" + tags.FNumber.toFixed(1));
+    if (tags.ExposureTime) settings.push(formatExposure(tags.ExposureTime) + "s");
+    const iso = Array.isArray(tags.ISO) ? tags.ISO[0] : tags.ISO;
+    if (iso) settings.push("ISO " + iso);
+    const lat = gpsDecimal(tags.GPSLatitude, tags.GPSLatitudeRef);
+    const lon = gpsDecimal(tags.GPSLongitude, tags.GPSLongitudeRef);
+
+    return {
+      date: formatDate(tags.DateTimeOriginal || tags.CreateDate || tags.ModifyDate),
+      camera,
+      lens: tags.LensModel || "",
+      settings: settings.join(" "),
+      focalLength: tags.FocalLength ? round1(tags.FocalLength) : null,
+      aperture: tags.FNumber ? round1(tags.FNumber) : null,
+      shutter: formatExposure(tags.ExposureTime),
+      iso: iso || null,
+      // Bit 0 of the Flash tag: whether it fired
+      flash: typeof tags.Flash === "number" ? (tags.Flash & 1) === 1 : null,
+      software: tags.Software || "",
+      gps: {
+        lat: formatGps(lat, tags.GPSLatitudeRef),
+        lon: formatGps(lon, tags.GPSLongitudeRef),
+      },
+      position: { lat, lon },
+      width: tags.ImageWidth || null,
+      height: tags.ImageHeight || null,
+      orientation: tags.Orientation || 1,
+    };
+  }
+
+  /**
+   * A post's exposure as separate values, from its own fields or, for
+   * posts processed before they existed, from its settings string
+   * ("35.0 mm f/8.0 1/1000s ISO 1600").
+   * @param {Object} photo - photos.json entry
+   * @returns {{ focalLength: ?number, aperture: ?number, shutter: string, iso: ?number }}
+   */
+  function exposureOf(photo) {
+    const settings = String(photo.settings || "");
+    const match = (re) => {
+      const m = re.exec(settings);
+      return m ? m[1] : "";
+    };
+    return {
+      focalLength: photo.focalLength || parseFloat(match(/([\d.]+)\s*mm\b/)) || null,
+      aperture: photo.aperture || parseFloat(match(/f\/([\d.]+)/)) || null,
+      shutter: photo.shutter || match(/(\d+(?:\/\d+)?(?:\.\d+)?)s\b/),
+      iso: photo.iso || parseInt(match(/ISO\s*(\d+)/), 10) || null,
+    };
+  }
+
+  return { read, summarize, exposureOf, formatDate, formatExposure };
+})();
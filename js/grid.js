@@ -1,6 +1,10 @@
 /**
  * grid.js – Renders the 3-column photo grid with 1:1 crop previews.
  * Uses srcset for responsive image serving (360 / 640 / 1080).
+ * Posts are shown pinned-first in their curated order (js/post-order.js)
+ * and rendered a page at a time as you scroll (js/paged-list.js).
+ * Items are focusable buttons: arrow keys move between them and Enter
+ * opens the lightbox (js/a11y.js).
  */
 
 // eslint-disable-next-line no-unused-vars
@@ -8,31 +12,55 @@ const GridModule = (() => {
   "use strict";
 
   const THUMB_DIR = "photos/thumbnails/";
+  const PAGE_SIZE = 30; // a multiple of 3 so pages end on a full row
   let _photos = [];
+  let _list = null;
+
+  /** What a screen reader says for a grid item: alt text, then what kind of post */
+  function itemLabel(photo) {
+    const parts = [photo.alt || photo.caption || "Photo"];
+    if (typeof CarouselFactory !== "undefined") {
+      const media = CarouselFactory.getMedia(photo);
+      if (media.length > 1) parts.push(media.length + " photos");
+      else if (CarouselFactory.isVideo(photo)) parts.push("video");
+    }
+    if (photo.location) parts.push(photo.location);
+    if (photo.pinned === true) parts.push("pinned");
+    return parts.join(", ");
+  }
 
   function createGridItem(photo, index) {
     const col = document.createElement("div");
     col.className = "col-4 grid-item";
     col.setAttribute("data-index", index);
+    col.setAttribute("role", "button");
+    col.setAttribute("tabindex", "0");
+    col.setAttribute("aria-label", itemLabel(photo));
 
     const img = document.createElement("img");
-    // Default src (smallest for fast mobile loads)
-    img.setAttribute("data-src", THUMB_DIR + "360/" + photo.thumbnail);
-    // Responsive srcset: browser picks the best size
-    img.setAttribute(
-      "data-srcset",
-      THUMB_DIR + "360/" + photo.thumbnail + " 360w, " +
-      THUMB_DIR + "640/" + photo.thumbnail + " 640w, " +
-      THUMB_DIR + photo.thumbnail + " 1080w"
-    );
+    if (photo.thumbnail) {
+      // Default src (smallest for fast mobile loads)
+      img.setAttribute("data-src", THUMB_DIR + "360/" + photo.thumbnail);
+      // Responsive srcset: browser picks the best size
+      img.setAttribute(
+        "data-srcset",
+        THUMB_DIR + "360/" + photo.thumbnail + " 360w, " +
+        THUMB_DIR + "640/" + photo.thumbnail + " 640w, " +
+        THUMB_DIR + photo.thumbnail + " 1080w"
+      );
+    } else {
+      // No thumbnails generated yet (flagged by the validator)
+      img.setAttribute("data-src", "photos/web/" + photo.web);
+    }
     // Each grid column is ~33vw
     img.setAttribute("sizes", "(max-width: 767px) 33vw, 312px");
-    img.setAttribute("alt", photo.caption || "");
+    img.setAttribute("alt", photo.alt || photo.caption || "");
     img.className = "lazy";
 
     // Hover overlay (shows location or caption snippet)
     const overlay = document.createElement("div");
     overlay.className = "overlay";
+    overlay.setAttribute("aria-hidden", "true");
     overlay.innerHTML = photo.location
       ? `<i class="bi bi-geo-alt-fill me-1"></i>${photo.location}`
       : "";
@@ -40,17 +68,28 @@ const GridModule = (() => {
     col.appendChild(img);
     col.appendChild(overlay);
 
+    if (photo.pinned === true) {
+      const pin = document.createElement("div");
+      pin.className = "grid-pin";
+      pin.setAttribute("aria-hidden", "true");
+      pin.title = "Pinned";
+      pin.innerHTML = '<i class="bi bi-pin-angle-fill"></i>';
+      col.appendChild(pin);
+    }
+
     // Media badges (carousel / video)
     if (typeof CarouselFactory !== "undefined") {
       const media = CarouselFactory.getMedia(photo);
       if (media.length > 1) {
         const badge = document.createElement("div");
         badge.className = "grid-badge";
+        badge.setAttribute("aria-hidden", "true");
         badge.innerHTML = '<i class="bi bi-copy"></i>';
         col.appendChild(badge);
       } else if (CarouselFactory.isVideo(photo)) {
         const badge = document.createElement("div");
         badge.className = "grid-badge";
+        badge.setAttribute("aria-hidden", "true");
         badge.innerHTML = '<i class="bi bi-play-btn-fill"></i>';
         col.appendChild(badge);
       }
@@ -59,38 +98,92 @@ const GridModule = (() => {
     return col;
   }
 
-  function init(photos) {
-    _photos = photos;
+  /**
+   * Render (or re-render) the grid with the given photos.
+   * @param {Array}  photos
+   * @param {Object} [empty] - empty-state override { icon, title, text }
+   */
+  function render(photos, empty) {
+    _photos = typeof PostOrder !== "undefined" ? PostOrder.sort(photos) : photos;
+    photos = _photos;
     const grid = document.getElementById("photoGrid");
     if (!grid) return;
+    if (_list) _list.destroy();
+    _list = null;
+    grid.innerHTML = "";
 
     // Empty state
     if (photos.length === 0) {
+      const e = empty || {
+        icon: "bi-camera",
+        title: "No Posts Yet",
+        text: "Add photos to <code>photos/originals/</code> and run the processing script.",
+      };
       grid.innerHTML = `
         <div class="col-12 empty-state">
-          <i class="bi bi-camera"></i>
-          <p class="h6">No Posts Yet</p>
-          <p class="small">Add photos to <code>photos/originals/</code> and run the processing script.</p>
+          <i class="bi ${e.icon}"></i>
+          <p class="h6">${e.title}</p>
+          <p class="small">${e.text}</p>
         </div>`;
       return;
     }
 
-    const fragment = document.createDocumentFragment();
-    photos.forEach((photo, i) => {
-      fragment.appendChild(createGridItem(photo, i));
+    _list = PagedList.create(grid, {
+      items: photos,
+      pageSize: PAGE_SIZE,
+      pageClass: "grid-page row g-0",
+      renderPage(page, start, end) {
+        const fragment = document.createDocumentFragment();
+        for (let i = start; i < end; i++) fragment.appendChild(createGridItem(photos[i], i));
+        page.appendChild(fragment);
+      },
     });
-    grid.appendChild(fragment);
+  }
+
+  /**
+   * Add posts that arrived after the first render (later pages of a
+   * sharded manifest). Appends in place when the posts already shown
+   * keep their positions, otherwise re-renders.
+   * @param {Array} more
+   */
+  function append(more) {
+    const next = typeof PostOrder !== "undefined" ? PostOrder.sort(_photos.concat(more)) : _photos.concat(more);
+    if (!_list || _photos.some((p, i) => next[i] !== p)) {
+      render(next);
+      return;
+    }
+    _photos.push(...next.slice(_photos.length));
+    _list.grow();
+  }
+
+  /** Render down to a photo and scroll to it (deep links, closing the lightbox) */
+  function reveal(photo) {
+    const idx = _photos.indexOf(photo);
+    if (idx === -1 || !_list) return;
+    const page = _list.reveal(idx);
+    const item = page && page.querySelector(`.grid-item[data-index="${idx}"]`);
+    // Only scroll the grid when it is the view on screen
+    if (item && item.offsetParent !== null) item.scrollIntoView({ block: "nearest" });
+  }
+
+  function init(photos) {
+    const grid = document.getElementById("photoGrid");
+    if (!grid) return;
+
+    render(photos);
 
-    // Grid item click → open lightbox
+    // Grid item click → open lightbox scoped to the rendered photos
     grid.addEventListener("click", (e) => {
       const item = e.target.closest(".grid-item");
       if (!item) return;
       const idx = parseInt(item.dataset.index, 10);
       if (typeof LightboxModule !== "undefined") {
+        LightboxModule.setPhotos(_photos);
         LightboxModule.open(idx);
       }
     });
+    if (typeof A11y !== "undefined") A11y.gridKeys(grid, ".grid-item");
   }
 
-  return { init };
+  return { init, render, append, reveal, createItem: createGridItem };
 })();
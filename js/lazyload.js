@@ -1,5 +1,8 @@
 /**
  * lazyload.js – IntersectionObserver-based lazy loading for images.
+ *
+ * Also hosts generic visibility watchers (watch / unwatch), used by
+ * paged-list.js for infinite-scroll sentinels and page recycling.
  */
 
 // eslint-disable-next-line no-unused-vars
@@ -7,6 +10,7 @@ const LazyLoad = (() => {
   "use strict";
 
   let observer = null;
+  const _watchers = {}; // rootMargin → { observer, callbacks: Map<Element, Function> }
 
   function onIntersect(entries) {
     entries.forEach((entry) => {
@@ -47,5 +51,42 @@ const LazyLoad = (() => {
     });
   }
 
-  return { observe, refresh };
+  /** Stop lazy-loading images inside an element that is being emptied */
+  function release(root) {
+    if (!observer) return;
+    root.querySelectorAll("img.lazy[data-src]").forEach((img) => observer.unobserve(img));
+  }
+
+  /**
+   * Call callback(isVisible, entry) whenever el enters or leaves the
+   * viewport grown by rootMargin. Observers are shared per margin.
+   * @param {Element}  el
+   * @param {Function} callback
+   * @param {string}   [rootMargin]
+   */
+  function watch(el, callback, rootMargin = "200px 0px") {
+    let w = _watchers[rootMargin];
+    if (!w) {
+      const callbacks = new Map();
+      w = _watchers[rootMargin] = {
+        callbacks,
+        observer: new IntersectionObserver((entries) => {
+          entries.forEach((entry) => {
+            const cb = callbacks.get(entry.target);
+            if (cb) cb(entry.isIntersecting, entry);
+          });
+        }, { rootMargin }),
+      };
+    }
+    w.callbacks.set(el, callback);
+    w.observer.observe(el);
+  }
+
+  function unwatch(el) {
+    Object.values(_watchers).forEach((w) => {
+      if (w.callbacks.delete(el)) w.observer.unobserve(el);
+    });
+  }
+
+  return { observe, refresh, release, watch, unwatch };
 })();
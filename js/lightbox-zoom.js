@@ -0,0 +1,290 @@
+/**
+ * lightbox-zoom.js – Mouse zoom and pan for the desktop lightbox.
+ *
+ * Wheel (or trackpad pinch) zooms around the pointer, double-click
+ * toggles between fit and 2.5×, dragging pans, and LightboxModule
+ * passes on + / - / 0. While zoomed a minimap shows which part of the
+ * photo is in view; click it to jump there.
+ *
+ * Zooming past the web image's own resolution (2048px) swaps in the
+ * full-resolution file when the post declares one:
+ *   { "web": "x.webp", "full": "x.jpg" }  – photos/full/x.jpg
+ * (on a carousel, "full" goes on each media item). Touch devices keep
+ * the immersive pinch-to-zoom in LightboxModule.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const LightboxZoom = (() => {
+  "use strict";
+
+  const FULL_DIR = "photos/full/";
+  const MAX_SCALE = 8;
+  const DOUBLE_CLICK_SCALE = 2.5;
+  const KEY_STEP = 1.5;
+  const WHEEL_SPEED = 0.002;
+
+  let _container = null;
+  let _options = {};
+  let _img = null; // image currently zoomed
+  let _scale = 1;
+  let _x = 0; // translation in px, before scaling
+  let _y = 0;
+  let _centre = null; // image centre relative to its parent, measured unzoomed
+  let _drag = null;
+  let _minimap = null;
+  const _failed = new Set(); // full-resolution URLs that didn't load
+
+  /**
+   * URL of a file in photos/full/, on this site or a pal's.
+   * Absolute URLs are kept as is.
+   * @param {string} baseUrl - pal base URL, or "" for this site
+   * @param {string} file
+   * @returns {string}
+   */
+  function fullUrl(baseUrl, file) {
+    if (/^https?:\/\//.test(file)) return file;
+    return (baseUrl || "") + FULL_DIR + file;
+  }
+
+  function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+  }
+
+  /** Keep the zoomed image covering its own box: no empty edges from panning */
+  function clampPan() {
+    const maxX = ((_scale - 1) * _img.offsetWidth) / 2;
+    const maxY = ((_scale - 1) * _img.offsetHeight) / 2;
+    _x = clamp(_x, -maxX, maxX);
+    _y = clamp(_y, -maxY, maxY);
+  }
+
+  function apply(animate) {
+    if (!_img) return;
+    _img.style.transition = animate ? "transform 0.2s ease" : "none";
+    if (animate) setTimeout(() => { if (_img) _img.style.transition = ""; }, 200);
+    _img.style.transformOrigin = "";
+    _img.style.transform = _scale > 1 ? `translate(${_x}px, ${_y}px) scale(${_scale})` : "";
+    _container.classList.toggle("is-zoomed", _scale > 1);
+    updateMinimap();
+    if (_scale > 1) loadFull();
+  }
+
+  /** The image to zoom, switching to it (and resetting the last one) if it changed */
+  function target() {
+    const img = _options.image ? _options.image() : null;
+    if (img !== _img) {
+      reset();
+      _img = img;
+    }
+    if (_img && !_centre) {
+      const rect = _img.getBoundingClientRect();
+      const view = _img.parentElement.getBoundingClientRect();
+      _centre = { x: rect.left + rect.width / 2 - view.left, y: rect.top + rect.height / 2 - view.top };
+    }
+    return _img;
+  }
+
+  /**
+   * The image's unzoomed centre on screen, and the area it is seen
+   * through. Worked out from the state rather than the image's own
+   * rect, which lags behind while a zoom animates.
+   */
+  function geometry() {
+    const view = _img.parentElement.getBoundingClientRect();
+    return { x: view.left + _centre.x, y: view.top + _centre.y, view };
+  }
+
+  /**
+   * Zoom to scale, keeping the point under (clientX, clientY) still.
+   * Without a point, zooms around the middle of the image.
+   */
+  function zoomTo(scale, clientX, clientY, animate) {
+    if (!target()) return;
+    const next = clamp(scale, 1, MAX_SCALE);
+    const { x: cx, y: cy } = geometry();
+    const px = clientX === undefined ? cx : clientX;
+    const py = clientY === undefined ? cy : clientY;
+    _x = (px - cx) - (next / _scale) * (px - cx - _x);
+    _y = (py - cy) - (next / _scale) * (py - cy - _y);
+    _scale = next;
+    clampPan();
+    apply(animate);
+  }
+
+  function zoomIn() {
+    zoomTo(_scale * KEY_STEP, undefined, undefined, true);
+  }
+
+  function zoomOut() {
+    zoomTo(_scale / KEY_STEP, undefined, undefined, true);
+  }
+
+  /** Back to fit, e.g. when the lightbox moves to another photo */
+  function reset() {
+    if (_img) {
+      _img.style.transform = "";
+      _img.style.transition = "";
+    }
+    _scale = 1;
+    _x = 0;
+    _y = 0;
+    _centre = null;
+    _drag = null;
+    _img = null;
+    if (_container) _container.classList.remove("is-zoomed", "is-panning");
+    updateMinimap();
+  }
+
+  // ---- Full resolution ----
+
+  /** Swap in the full-resolution file once the web image runs out of pixels */
+  function loadFull() {
+    const img = _img;
+    const src = _options.fullSrc ? _options.fullSrc() : "";
+    if (!src || _failed.has(src) || img.getAttribute("src") === src || img.dataset.zoomLoading === src) return;
+    const shown = _scale * img.offsetWidth * (window.devicePixelRatio || 1);
+    if (shown <= img.naturalWidth) return;
+
+    const web = img.getAttribute("src");
+    img.dataset.zoomLoading = src;
+    _container.classList.add("is-loading-full");
+    const full = new Image();
+    if (img.hasAttribute("crossorigin")) full.crossOrigin = "anonymous";
+    full.onload = () => {
+      delete img.dataset.zoomLoading;
+      _container.classList.remove("is-loading-full");
+      // Same aspect ratio, so the box keeps its size and the zoom holds.
+      // Skip it if the lightbox has moved on to another photo meanwhile.
+      if (img.getAttribute("src") === web) img.src = src;
+    };
+    full.onerror = () => {
+      delete img.dataset.zoomLoading;
+      _container.classList.remove("is-loading-full");
+      _failed.add(src);
+      console.warn("Zoom: could not load " + src);
+    };
+    full.src = src;
+  }
+
+  // ---- Minimap ----
+  function createMinimap() {
+    const map = document.createElement("div");
+    map.className = "zoom-minimap d-none";
+    map.setAttribute("aria-hidden", "true");
+    map.innerHTML = '<img alt=""><div class="zoom-minimap-view"></div>';
+    map.addEventListener("mousedown", (e) => e.stopPropagation());
+    map.addEventListener("click", (e) => {
+      e.stopPropagation();
+      if (!_img) return;
+      // Centre the view on the clicked spot
+      const rect = map.getBoundingClientRect();
+      const fx = (e.clientX - rect.left) / rect.width;
+      const fy = (e.clientY - rect.top) / rect.height;
+      _x = -(fx - 0.5) * _img.offsetWidth * _scale;
+      _y = -(fy - 0.5) * _img.offsetHeight * _scale;
+      clampPan();
+      apply(true);
+    });
+    _container.appendChild(map);
+    return map;
+  }
+
+  function updateMinimap() {
+    if (!_minimap) return;
+    const show = !!_img && _scale > 1;
+    _minimap.classList.toggle("d-none", !show);
+    if (!show) return;
+
+    const thumb = _minimap.querySelector("img");
+    const src = _img.currentSrc || _img.src;
+    if (thumb.getAttribute("src") !== src) thumb.src = src;
+    thumb.style.aspectRatio = _img.offsetWidth + " / " + _img.offsetHeight;
+
+    // Visible part of the image, as fractions of its size
+    const w = _img.offsetWidth * _scale;
+    const h = _img.offsetHeight * _scale;
+    const { x, y, view } = geometry();
+    const imageLeft = x + _x - w / 2;
+    const imageTop = y + _y - h / 2;
+    const left = clamp((view.left - imageLeft) / w, 0, 1);
+    const top = clamp((view.top - imageTop) / h, 0, 1);
+    const right = clamp((view.right - imageLeft) / w, 0, 1);
+    const bottom = clamp((view.bottom - imageTop) / h, 0, 1);
+    const box = _minimap.querySelector(".zoom-minimap-view").style;
+    box.left = left * 100 + "%";
+    box.top = top * 100 + "%";
+    box.width = (right - left) * 100 + "%";
+    box.height = (bottom - top) * 100 + "%";
+  }
+
+  /**
+   * Enable zoom inside the lightbox's photo area.
+   * @param {HTMLElement} container - element holding the photo (clips the zoom)
+   * @param {Object} options
+   *   image   {Function} – () → the <img> on screen, or null (video)
+   *   fullSrc {Function} – () → full-resolution URL for it, or ""
+   */
+  function init(container, options = {}) {
+    if (!container) return;
+    _container = container;
+    _options = options;
+    _minimap = createMinimap();
+
+    container.addEventListener("wheel", (e) => {
+      if (!e.target.closest("img") || e.target.closest(".zoom-minimap") || !target()) return;
+      e.preventDefault();
+      // ctrlKey: trackpad pinch, which reports smaller deltas
+      const speed = e.ctrlKey ? WHEEL_SPEED * 5 : WHEEL_SPEED;
+      zoomTo(_scale * Math.exp(-e.deltaY * speed), e.clientX, e.clientY, false);
+    }, { passive: false });
+
+    container.addEventListener("dblclick", (e) => {
+      // A double tap on a touch screen is left to the browser
+      if (window.matchMedia("(pointer: coarse)").matches) return;
+      if (!e.target.closest("img") || e.target.closest(".zoom-minimap") || !target()) return;
+      e.preventDefault();
+      zoomTo(_scale > 1 ? 1 : DOUBLE_CLICK_SCALE, e.clientX, e.clientY, true);
+    });
+
+    // Drag to pan (mouse only; touch has its own gestures)
+    container.addEventListener("pointerdown", (e) => {
+      if (e.pointerType !== "mouse" || e.button !== 0 || _scale <= 1 || e.target !== _img) return;
+      e.preventDefault();
+      _drag = { x: e.clientX - _x, y: e.clientY - _y, id: e.pointerId };
+      container.setPointerCapture(e.pointerId);
+      container.classList.add("is-panning");
+    });
+
+    container.addEventListener("pointermove", (e) => {
+      if (!_drag || e.pointerId !== _drag.id) return;
+      _x = e.clientX - _drag.x;
+      _y = e.clientY - _drag.y;
+      clampPan();
+      apply(false);
+    });
+
+    const endDrag = (e) => {
+      if (!_drag || e.pointerId !== _drag.id) return;
+      _drag = null;
+      container.classList.remove("is-panning");
+      if (container.hasPointerCapture(e.pointerId)) container.releasePointerCapture(e.pointerId);
+    };
+    container.addEventListener("pointerup", endDrag);
+    container.addEventListener("pointercancel", endDrag);
+
+    // Don't start the browser's image drag while panning
+    container.addEventListener("dragstart", (e) => {
+      if (_scale > 1) e.preventDefault();
+    });
+
+    // A carousel moving to another slide leaves the zoomed one behind
+    container.addEventListener("click", (e) => {
+      if (e.target.closest(".carousel-arrow, .carousel-dot")) reset();
+    });
+
+    // The layout the zoom was measured against has changed
+    window.addEventListener("resize", reset);
+  }
+
+  return { init, reset, zoomIn, zoomOut, fullUrl, FULL_DIR };
+})();
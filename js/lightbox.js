@@ -4,6 +4,13 @@
  * URL scheme:  #photo=<slug>
  * On open/navigate the hash updates. On page load if hash is present
  * the lightbox opens automatically.
+ *
+ * Arrow keys step through the photos and each one is announced to
+ * screen readers; closing hands focus back to what opened the viewer
+ * (js/a11y.js). Escape closes the mobile post page too.
+ *
+ * Info, under the metadata, expands the full EXIF, a small map and a
+ * histogram (js/photo-info.js).
  */
 
 // eslint-disable-next-line no-unused-vars
@@ -17,6 +24,24 @@ const LightboxModule = (() => {
   let _suppressHashChange = false;
   let _profile = {};
   let _postPageOpen = false;
+  let _returnFocus = null; // element that opened the lightbox modal
+  let _releasePostPage = null; // ends the post page's focus trap
+  let _lightboxInfo = null; // PhotoInfo panels: { update }
+  let _postPageInfo = null;
+
+  /** photos/web/ URL on this site or a pal's (see CarouselFactory.mediaUrl) */
+  function webSrc(baseUrl, file) {
+    if (typeof CarouselFactory !== "undefined") return CarouselFactory.mediaUrl(baseUrl, file);
+    return (baseUrl ? baseUrl + "photos/web/" : WEB_DIR) + file;
+  }
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
 
   function formatDate(dateStr) {
     if (!dateStr) return "";
@@ -39,6 +64,15 @@ const LightboxModule = (() => {
       .replace(/^-|-$/g, "");
   }
 
+  /** Set a caption element's content, linking #tags and @mentions */
+  function setCaption(el, photo) {
+    if (typeof TagsModule !== "undefined") {
+      el.innerHTML = TagsModule.format(photo.caption || "", { baseUrl: photo._palBaseUrl });
+    } else {
+      el.textContent = photo.caption || "";
+    }
+  }
+
   /** Find photo index by slug */
   function indexBySlug(slug) {
     return _photos.findIndex((p) => slugFor(p) === slug);
@@ -61,8 +95,10 @@ const LightboxModule = (() => {
   function show(index) {
     if (index < 0 || index >= _photos.length) return;
     _currentIndex = index;
+    if (typeof LightboxZoom !== "undefined") LightboxZoom.reset();
     const photo = _photos[index];
     const isLocal = !photo._palBaseUrl;
+    announcePosition();
 
     // Image source (local vs pal)
     const media = (typeof CarouselFactory !== "undefined") ? CarouselFactory.getMedia(photo) : [{ type: "image", web: photo.web, thumbnail: photo.thumbnail }];
@@ -82,7 +118,7 @@ const LightboxModule = (() => {
       photoEl.classList.add("d-none");
       const carousel = CarouselFactory.create(media, {
         baseUrl,
-        alt: photo.caption || "",
+        alt: photo.alt || photo.caption || "",
         className: "lightbox-carousel",
         imgClass: "img-fluid lightbox-photo"
       });
@@ -91,8 +127,8 @@ const LightboxModule = (() => {
       // Video post
       photoEl.classList.add("d-none");
       const video = document.createElement("video");
-      video.src = (baseUrl ? baseUrl + "photos/web/" : WEB_DIR) + media[0].web;
-      if (media[0].poster) video.poster = (baseUrl ? baseUrl + "photos/web/" : WEB_DIR) + media[0].poster;
+      video.src = webSrc(baseUrl, media[0].web);
+      if (media[0].poster) video.poster = webSrc(baseUrl, media[0].poster);
       video.controls = true;
       video.playsInline = true;
       video.preload = "metadata";
@@ -102,11 +138,9 @@ const LightboxModule = (() => {
     } else {
       // Single image (existing behavior)
       photoEl.classList.remove("d-none");
-      const imgSrc = isLocal
-        ? WEB_DIR + photo.web
-        : photo._palBaseUrl + "photos/web/" + photo.web;
+      const imgSrc = webSrc(photo._palBaseUrl, photo.web);
       photoEl.src = imgSrc;
-      photoEl.alt = photo.caption || "";
+      photoEl.alt = photo.alt || photo.caption || "";
       if (!isLocal) photoEl.setAttribute("crossorigin", "anonymous");
       else photoEl.removeAttribute("crossorigin");
     }
@@ -123,23 +157,24 @@ const LightboxModule = (() => {
       usernameEl.textContent = photo._palUsername || _profile.username || "username";
     }
 
-    document.getElementById("lightboxCaption").textContent = photo.caption || "";
+    setCaption(document.getElementById("lightboxCaption"), photo);
     document.getElementById("lightboxDate").textContent = formatDate(photo.date);
 
     // Build metadata block
     const metaParts = [];
-    if (photo.camera) metaParts.push(`<i class="bi bi-camera me-1"></i>${photo.camera}`);
-    if (photo.lens) metaParts.push(`<i class="bi bi-aperture me-1"></i>${photo.lens}`);
-    if (photo.settings) metaParts.push(`<i class="bi bi-sliders me-1"></i>${photo.settings}`);
-    if (photo.location) metaParts.push(`<i class="bi bi-geo-alt me-1"></i>${photo.location}`);
+    if (photo.camera) metaParts.push(`<i class="bi bi-camera me-1"></i>${escapeHtml(photo.camera)}`);
+    if (photo.lens) metaParts.push(`<i class="bi bi-aperture me-1"></i>${escapeHtml(photo.lens)}`);
+    if (photo.settings) metaParts.push(`<i class="bi bi-sliders me-1"></i>${escapeHtml(photo.settings)}`);
+    if (photo.location) metaParts.push(`<i class="bi bi-geo-alt me-1"></i>${escapeHtml(photo.location)}`);
     document.getElementById("lightboxMeta").innerHTML = metaParts.join("<br>");
+    if (_lightboxInfo) _lightboxInfo.update();
 
     // "View on pal's app" button
     const viewPalBtn = document.getElementById("lightboxViewPal");
     if (viewPalBtn) {
       if (!isLocal && photo._palBaseUrl) {
-        viewPalBtn.href = photo._palBaseUrl + "#photo=" + slugFor(photo);
-        viewPalBtn.innerHTML = `<i class="bi bi-box-arrow-up-right me-1"></i>View on ${photo._palUsername}'s app`;
+        viewPalBtn.href = photo.permalink || photo._palBaseUrl + "#photo=" + slugFor(photo);
+        viewPalBtn.innerHTML = `<i class="bi bi-box-arrow-up-right me-1"></i>View on ${escapeHtml(photo._palUsername)}'s app`;
         viewPalBtn.classList.remove("d-none");
       } else {
         viewPalBtn.classList.add("d-none");
@@ -162,15 +197,45 @@ const LightboxModule = (() => {
     preload(index + 1);
   }
 
+  /** The image on screen (a carousel's current slide), or null for a video */
+  function zoomImage() {
+    return shownImage(document.getElementById("lightboxPhoto"));
+  }
+
+  /** The lightbox's or post page's image on screen, given its single-photo <img> */
+  function shownImage(photoEl) {
+    const carousel = photoEl.parentElement.querySelector(".media-carousel");
+    if (carousel) {
+      const slide = carousel.querySelectorAll(".carousel-slide")[carousel._currentSlide()];
+      const el = slide && slide.firstElementChild;
+      return el && el.tagName === "IMG" ? el : null;
+    }
+    return photoEl.classList.contains("d-none") ? null : photoEl;
+  }
+
+  /** Full-resolution URL of the image on screen, if its post declares one */
+  function zoomFullSrc() {
+    const photo = _photos[_currentIndex];
+    if (!photo || typeof CarouselFactory === "undefined") return "";
+    const carousel = document.getElementById("lightboxPhoto").parentElement.querySelector(".media-carousel");
+    const idx = carousel ? carousel._currentSlide() : 0;
+    const item = CarouselFactory.getMedia(photo)[idx] || {};
+    const file = item.full || (idx === 0 ? photo.full : "");
+    return file ? LightboxZoom.fullUrl(photo._palBaseUrl, file) : "";
+  }
+
   /** Preload a photo by index (no-op if out of range) */
   function preload(index) {
     if (index < 0 || index >= _photos.length) return;
     const photo = _photos[index];
     const isLocal = !photo._palBaseUrl;
     const img = new Image();
-    img.src = isLocal
-      ? WEB_DIR + photo.web
-      : photo._palBaseUrl + "photos/web/" + photo.web;
+    img.src = webSrc(photo._palBaseUrl, photo.web);
+  }
+
+  /** "Photo 3 of 12" through the live region */
+  function announcePosition() {
+    if (typeof A11y !== "undefined") A11y.announce("Photo " + (_currentIndex + 1) + " of " + _photos.length);
   }
 
   /** Check if viewport is mobile-sized */
@@ -185,6 +250,7 @@ const LightboxModule = (() => {
     const photo = _photos[index];
     const isLocal = !photo._palBaseUrl;
     const media = (typeof CarouselFactory !== "undefined") ? CarouselFactory.getMedia(photo) : [{ type: "image", web: photo.web, thumbnail: photo.thumbnail }];
+    announcePosition();
 
     const postPage = document.getElementById("postPage");
     const photoEl = document.getElementById("postPagePhoto");
@@ -202,7 +268,7 @@ const LightboxModule = (() => {
       photoEl.classList.add("d-none");
       const carousel = CarouselFactory.create(media, {
         baseUrl,
-        alt: photo.caption || "",
+        alt: photo.alt || photo.caption || "",
         className: "post-page-carousel",
         imgClass: "post-page-photo"
       });
@@ -210,8 +276,8 @@ const LightboxModule = (() => {
     } else if (media[0] && media[0].type === "video") {
       photoEl.classList.add("d-none");
       const video = document.createElement("video");
-      video.src = (baseUrl ? baseUrl + "photos/web/" : WEB_DIR) + media[0].web;
-      if (media[0].poster) video.poster = (baseUrl ? baseUrl + "photos/web/" : WEB_DIR) + media[0].poster;
+      video.src = webSrc(baseUrl, media[0].web);
+      if (media[0].poster) video.poster = webSrc(baseUrl, media[0].poster);
       video.controls = true;
       video.playsInline = true;
       video.preload = "metadata";
@@ -220,11 +286,9 @@ const LightboxModule = (() => {
       photoWrap.appendChild(video);
     } else {
       photoEl.classList.remove("d-none");
-      const imgSrc = isLocal
-        ? WEB_DIR + photo.web
-        : photo._palBaseUrl + "photos/web/" + photo.web;
+      const imgSrc = webSrc(photo._palBaseUrl, photo.web);
       photoEl.src = imgSrc;
-      photoEl.alt = photo.caption || "";
+      photoEl.alt = photo.alt || photo.caption || "";
       if (!isLocal) photoEl.setAttribute("crossorigin", "anonymous");
       else photoEl.removeAttribute("crossorigin");
     }
@@ -248,7 +312,7 @@ const LightboxModule = (() => {
     const captionEl = document.getElementById("postPageCaption");
     const captionWrap = document.getElementById("postPageCaptionWrap");
     if (photo.caption) {
-      captionEl.textContent = photo.caption;
+      setCaption(captionEl, photo);
       if (captionWrap) captionWrap.classList.remove("d-none");
     } else {
       captionEl.textContent = "";
@@ -259,18 +323,19 @@ const LightboxModule = (() => {
 
     // Metadata
     const metaParts = [];
-    if (photo.camera) metaParts.push(`<i class="bi bi-camera me-1"></i>${photo.camera}`);
-    if (photo.lens) metaParts.push(`<i class="bi bi-aperture me-1"></i>${photo.lens}`);
-    if (photo.settings) metaParts.push(`<i class="bi bi-sliders me-1"></i>${photo.settings}`);
-    if (photo.location) metaParts.push(`<i class="bi bi-geo-alt me-1"></i>${photo.location}`);
+    if (photo.camera) metaParts.push(`<i class="bi bi-camera me-1"></i>${escapeHtml(photo.camera)}`);
+    if (photo.lens) metaParts.push(`<i class="bi bi-aperture me-1"></i>${escapeHtml(photo.lens)}`);
+    if (photo.settings) metaParts.push(`<i class="bi bi-sliders me-1"></i>${escapeHtml(photo.settings)}`);
+    if (photo.location) metaParts.push(`<i class="bi bi-geo-alt me-1"></i>${escapeHtml(photo.location)}`);
     document.getElementById("postPageMeta").innerHTML = metaParts.join("<br>");
+    if (_postPageInfo) _postPageInfo.update();
 
     // View pal button
     const viewPalBtn = document.getElementById("postPageViewPal");
     if (viewPalBtn) {
       if (!isLocal && photo._palBaseUrl) {
-        viewPalBtn.href = photo._palBaseUrl + "#photo=" + slugFor(photo);
-        viewPalBtn.innerHTML = `<i class="bi bi-box-arrow-up-right me-1"></i>View on ${photo._palUsername}'s app`;
+        viewPalBtn.href = photo.permalink || photo._palBaseUrl + "#photo=" + slugFor(photo);
+        viewPalBtn.innerHTML = `<i class="bi bi-box-arrow-up-right me-1"></i>View on ${escapeHtml(photo._palUsername)}'s app`;
         viewPalBtn.classList.remove("d-none");
       } else {
         viewPalBtn.classList.add("d-none");
@@ -303,6 +368,12 @@ const LightboxModule = (() => {
     showPostPage(index);
     _postPageOpen = true;
     document.body.style.overflow = "hidden";
+    if (typeof A11y !== "undefined") {
+      if (_releasePostPage) _releasePostPage({ restore: false });
+      _releasePostPage = A11y.trapFocus(postPage);
+      const back = document.getElementById("postPageBack");
+      if (back) back.focus({ preventScroll: true });
+    }
 
     const photo = _photos[index];
     const slug = slugFor(photo);
@@ -319,6 +390,11 @@ const LightboxModule = (() => {
   function closePostPage() {
     _postPageOpen = false;
     document.body.style.overflow = "";
+    revealCurrent();
+    if (_releasePostPage) {
+      _releasePostPage();
+      _releasePostPage = null;
+    }
     const postPage = document.getElementById("postPage");
     // Pause any playing videos
     postPage.querySelectorAll("video").forEach(v => v.pause());
@@ -335,6 +411,7 @@ const LightboxModule = (() => {
     if (isMobile()) {
       openPostPage(index, opts);
     } else {
+      _returnFocus = document.activeElement;
       show(index);
       _modal.show();
     }
@@ -344,9 +421,10 @@ const LightboxModule = (() => {
   function share() {
     const photo = _photos[_currentIndex];
     const isLocal = !photo._palBaseUrl;
-    const url = isLocal
-      ? window.location.origin + window.location.pathname + "#photo=" + slugFor(photo)
-      : photo._palBaseUrl + "#photo=" + slugFor(photo);
+    let url;
+    if (!isLocal) url = photo.permalink || photo._palBaseUrl + "#photo=" + slugFor(photo);
+    else if (typeof ShareLinks !== "undefined") url = ShareLinks.photoUrl(slugFor(photo)); // static page if generated
+    else url = window.location.origin + window.location.pathname + "#photo=" + slugFor(photo);
     navigator.clipboard.writeText(url).then(() => {
       showToast("Link copied to clipboard");
     }).catch(() => {
@@ -372,13 +450,55 @@ const LightboxModule = (() => {
     bsToast.show();
   }
 
+  /**
+   * Play the current photo list as a slideshow from the open photo.
+   * The lightbox steps aside while it runs and comes back on the last
+   * photo shown; the post page stays underneath.
+   */
+  function playSlideshow() {
+    if (typeof SlideshowModule === "undefined" || _photos.length === 0) return;
+    const fromPostPage = _postPageOpen;
+    const begin = () => SlideshowModule.start(_photos, {
+      startIndex: _currentIndex,
+      onClose: (index) => {
+        if (fromPostPage) {
+          if (_postPageOpen) showPostPage(index);
+        } else {
+          show(index);
+          _modal.show();
+        }
+      },
+    });
+    if (fromPostPage) {
+      begin();
+    } else {
+      // Wait for the modal to give the page's scroll lock back first
+      document.getElementById("lightboxModal").addEventListener("hidden.bs.modal", begin, { once: true });
+      _modal.hide();
+    }
+  }
+
+  /**
+   * Render the grid / timeline down to the current photo and scroll
+   * to it, so a far-down post is there when the viewer closes.
+   */
+  function revealCurrent() {
+    const photo = _photos[_currentIndex];
+    if (!photo || photo._palBaseUrl) return;
+    if (typeof GridModule !== "undefined") GridModule.reveal(photo);
+    if (typeof TimelineModule !== "undefined") TimelineModule.reveal(photo);
+  }
+
   /** Open photo from URL hash if present */
   function checkHash() {
     const hash = window.location.hash;
     if (!hash.startsWith("#photo=")) return;
     const slug = hash.replace("#photo=", "");
     const idx = indexBySlug(slug);
-    if (idx !== -1) open(idx, { fromHash: true });
+    if (idx !== -1) {
+      open(idx, { fromHash: true });
+      revealCurrent();
+    }
   }
 
   function setPhotos(photos) {
@@ -398,15 +518,61 @@ const LightboxModule = (() => {
     const shareBtn = document.getElementById("lightboxShare");
     if (shareBtn) shareBtn.addEventListener("click", share);
 
-    // Keyboard navigation
+    const slideshowBtn = document.getElementById("lightboxSlideshow");
+    if (slideshowBtn) slideshowBtn.addEventListener("click", playSlideshow);
+
+    // Keyboard navigation (+ / - / 0 zoom)
     document.addEventListener("keydown", (e) => {
+      if (_postPageOpen && !modalEl.classList.contains("show")) {
+        if (e.target.closest("input, textarea, select")) return;
+        if (e.key === "Escape") history.back();
+        if (e.key === "ArrowLeft") showPostPage(_currentIndex - 1);
+        if (e.key === "ArrowRight") showPostPage(_currentIndex + 1);
+        return;
+      }
       if (!modalEl.classList.contains("show")) return;
       if (e.key === "ArrowLeft") show(_currentIndex - 1);
       if (e.key === "ArrowRight") show(_currentIndex + 1);
+      if (typeof LightboxZoom === "undefined" || e.ctrlKey || e.metaKey) return;
+      if (e.key === "+" || e.key === "=") LightboxZoom.zoomIn();
+      if (e.key === "-") LightboxZoom.zoomOut();
+      if (e.key === "0") LightboxZoom.reset();
     });
 
-    // Clear hash when modal is closed
-    modalEl.addEventListener("hidden.bs.modal", clearHash);
+    // Info panels
+    if (typeof PhotoInfo !== "undefined") {
+      const current = () => _photos[_currentIndex];
+      _lightboxInfo = PhotoInfo.bind(document.getElementById("lightboxInfoToggle"), document.getElementById("lightboxInfo"), {
+        photo: current,
+        image: zoomImage,
+        media: modalEl.querySelector(".lightbox-photo-container"),
+      });
+      const postPagePhoto = document.getElementById("postPagePhoto");
+      _postPageInfo = PhotoInfo.bind(document.getElementById("postPageInfoToggle"), document.getElementById("postPageInfo"), {
+        photo: current,
+        image: () => shownImage(postPagePhoto),
+        media: postPagePhoto.parentElement,
+      });
+      // The map is sized from the panel, which has no size until the modal is up
+      modalEl.addEventListener("shown.bs.modal", () => _lightboxInfo.update());
+    }
+
+    // Mouse zoom and pan on desktop
+    if (typeof LightboxZoom !== "undefined") {
+      LightboxZoom.init(modalEl.querySelector(".lightbox-photo-container"), {
+        image: zoomImage,
+        fullSrc: zoomFullSrc,
+      });
+    }
+
+    // Clear hash when modal is closed, and leave the page at the last photo
+    modalEl.addEventListener("hidden.bs.modal", () => {
+      clearHash();
+      revealCurrent();
+      if (typeof LightboxZoom !== "undefined") LightboxZoom.reset();
+      // Bootstrap only restores focus for data-bs-toggle openers
+      if (_returnFocus && _returnFocus.isConnected) _returnFocus.focus({ preventScroll: true });
+    });
 
     // ---- Swipe gesture support (mobile) ----
     let _touchStartX = 0;
@@ -697,6 +863,11 @@ const LightboxModule = (() => {
       postPageShareBtn.addEventListener("click", share);
     }
 
+    const postPageSlideshowBtn = document.getElementById("postPageSlideshow");
+    if (postPageSlideshowBtn) {
+      postPageSlideshowBtn.addEventListener("click", playSlideshow);
+    }
+
     // Swipe gestures on mobile post page photo
     const postPagePhotoWrap = document.querySelector(".post-page-photo-wrap");
     if (postPagePhotoWrap) {
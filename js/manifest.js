@@ -0,0 +1,290 @@
+/**
+ * manifest.js – Loads a site's photo manifest, single-file or sharded.
+ *
+ * Single file (the default, and what older pals publish):
+ *   data/photos.json – { profile, albums, map, photos }
+ *
+ * Sharded (written by `scripts/mygram.js shard` or the admin):
+ *   data/index.json        – { format, version, profile, albums, map,
+ *                              count, pageSize, curated, pages }
+ *   data/photos-0001.json  – { page, photos }, newest posts first
+ *
+ * Feed only (sites that publish no manifest, see
+ * scripts/generate-feeds.js):
+ *   feed.json              – JSON Feed 1.1; each item becomes a post
+ *                            whose media are absolute URLs
+ *
+ * All three load into the same feed object, whose photos array grows in
+ * place as later pages arrive, so modules holding it see new posts.
+ * Hidden posts are left out. Used by app.js, PalgramModule and
+ * TagsModule; the admin uses shard() to keep the pages in step with
+ * photos.json.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const Manifest = (() => {
+  "use strict";
+
+  const FORMAT = "mygram-sharded";
+  const VERSION = 1;
+  const INDEX_FILE = "data/index.json";
+  const SINGLE_FILE = "data/photos.json";
+  const JSON_FEED_FILE = "feed.json";
+  const PAGE_SIZE = 60;
+
+  function normaliseBase(baseUrl) {
+    if (!baseUrl) return "";
+    return baseUrl.endsWith("/") ? baseUrl : baseUrl + "/";
+  }
+
+  /** Fetch and parse JSON, aborting after timeout ms (0 = no limit) */
+  async function fetchJSON(url, timeout = 0) {
+    const controller = new AbortController();
+    const timer = timeout ? setTimeout(() => controller.abort(), timeout) : null;
+    try {
+      const res = await fetch(url, { cache: "no-cache", signal: controller.signal });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return await res.json();
+    } catch (err) {
+      if (err.name !== "AbortError") throw err;
+      const timedOut = new Error("Timed out after " + timeout / 1000 + "s");
+      timedOut.name = "TimeoutError";
+      throw timedOut;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  function visible(photos) {
+    return (photos || []).filter((p) => p && p.hidden !== true);
+  }
+
+  /** Zero-padded page file name, e.g. "photos-0001.json" */
+  function pageName(number) {
+    return "photos-" + String(number).padStart(4, "0") + ".json";
+  }
+
+  /**
+   * The index, or null when the site only publishes photos.json.
+   * A timeout means the site is unreachable, so it is not retried
+   * as photos.json.
+   */
+  async function fetchIndex(base, timeout) {
+    try {
+      const index = await fetchJSON(base + INDEX_FILE, timeout);
+      return index && index.format === FORMAT && Array.isArray(index.pages) ? index : null;
+    } catch (err) {
+      if (err.name === "TimeoutError") throw err;
+      return null;
+    }
+  }
+
+  /** photos.json, or a JSON Feed converted to the same shape */
+  async function fetchSingle(base, timeout) {
+    try {
+      return await fetchJSON(base + SINGLE_FILE, timeout);
+    } catch (err) {
+      // Only pals can be feed-only; this site's grid needs local files
+      if (err.name === "TimeoutError" || !base) throw err;
+      const feedUrl = new URL(base + JSON_FEED_FILE, window.location.href).href;
+      const feed = await fetchJSON(feedUrl, timeout).catch(() => null);
+      if (!feed || !/^https:\/\/jsonfeed\.org\/version\//.test(feed.version || "")) throw err;
+      return fromJSONFeed(feed, feedUrl);
+    }
+  }
+
+  const MEDIA_TYPE = /^(image|video)\//;
+
+  /**
+   * Manifest data from a JSON Feed: the first author (or the feed
+   * title) as the profile and each item with an image or image /
+   * video attachments as a post. Media URLs are made absolute.
+   * @param {Object} feed - parsed feed.json
+   * @param {string} feedUrl - where it came from, for relative URLs
+   * @returns {Object} { profile, albums, photos }
+   */
+  function fromJSONFeed(feed, feedUrl) {
+    // Any feed on the web can be followed: keep http(s) URLs only, so
+    // no javascript: or data: link ends up in an href or src
+    const absolute = (url) => {
+      try {
+        const href = new URL(String(url), feedUrl).href;
+        return /^https?:\/\//i.test(href) ? href : "";
+      } catch (e) {
+        return "";
+      }
+    };
+    const author = (feed.authors && feed.authors[0]) || feed.author || {};
+    const avatar = absolute(author.avatar || feed.icon || "");
+    const profile = { username: String(author.name || feed.title || "") };
+    if (avatar) profile.profilePhoto = avatar;
+
+    const photos = (feed.items || []).map((item) => {
+      let media = (item.attachments || [])
+        .filter((file) => file && file.url && MEDIA_TYPE.test(file.mime_type || "") && absolute(file.url))
+        .map((file) => ({ type: file.mime_type.startsWith("video/") ? "video" : "image", web: absolute(file.url) }));
+      if (!media.length && item.image && absolute(item.image)) media = [{ type: "image", web: absolute(item.image) }];
+      if (!media.length) return null;
+      // mygram feeds link to index.html#photo=<slug>; keep the slug
+      const slug = /#photo=([^&]+)$/.exec(item.url || "");
+      return {
+        filename: media[0].web.split("/").pop(),
+        web: media[0].web,
+        slug: slug ? decodeURIComponent(slug[1]) : String(item.id || ""),
+        permalink: item.url ? absolute(item.url) : "",
+        date: item.date_published || item.date_modified || "",
+        caption: typeof item.content_text === "string" ? item.content_text : item.title || "",
+        media,
+      };
+    }).filter(Boolean);
+
+    return { profile, albums: [], photos };
+  }
+
+  /**
+   * Load a site's manifest (falling back to its feed.json).
+   * @param {string} [baseUrl] - site root ("" for this site)
+   * @param {Object} [options]
+   *   pages   {number}   – sharded pages to fetch up front (default 1)
+   *   timeout {number}   – ms before each request is abandoned (default none)
+   *   prepare {Function} – (data) → data, run on photos.json, or on
+   *                        data/index.json and on { photos } for
+   *                        each page (e.g. PhotosValidator.sanitize)
+   * @returns {Promise<Object>} feed:
+   *   { profile, albums, map, count, sharded, curated, photos,
+   *     complete(), next(), all(), onLoad(fn) }
+   *   next() and all() resolve to the posts they added.
+   */
+  async function load(baseUrl, options = {}) {
+    const base = normaliseBase(baseUrl);
+    const prepare = options.prepare || ((data) => data);
+    const timeout = options.timeout || 0;
+    const found = await fetchIndex(base, timeout);
+
+    if (!found) return fromData(prepare(await fetchSingle(base, timeout)));
+    const index = prepare(found);
+
+    const feed = createFeed({
+      profile: index.profile || {},
+      albums: index.albums || [],
+      map: index.map,
+      count: typeof index.count === "number" ? index.count : null,
+      curated: index.curated === true,
+      sharded: true,
+      photos: [],
+      pageUrls: index.pages.map((name) => new URL(name, new URL(base + INDEX_FILE, window.location.href)).href),
+      prepare,
+      timeout,
+    });
+    const upFront = options.pages === undefined ? 1 : options.pages;
+    for (let i = 0; i < upFront && !feed.complete(); i++) await feed.next();
+    return feed;
+  }
+
+  /**
+   * A complete feed from manifest data already in hand (photos.json
+   * contents, or a copy kept from an earlier load).
+   * @param {Object} data - { profile, albums, map, photos }
+   * @returns {Object} feed, as from load()
+   */
+  function fromData(data) {
+    const photos = visible(data.photos);
+    return createFeed({
+      profile: data.profile || {},
+      albums: data.albums || [],
+      map: data.map,
+      count: photos.length,
+      sharded: false,
+      photos,
+      pageUrls: [],
+    });
+  }
+
+  function createFeed({ profile, albums, map, count, curated, sharded, photos, pageUrls, prepare, timeout }) {
+    let loaded = 0;
+    let pending = null;
+    const listeners = [];
+
+    function complete() {
+      return loaded >= pageUrls.length;
+    }
+
+    /** Fetch the next page; calls made while one is in flight share it */
+    function next() {
+      if (complete()) return Promise.resolve([]);
+      if (pending) return pending;
+      pending = fetchJSON(pageUrls[loaded], timeout)
+        .then((page) => {
+          const more = visible(prepare({ photos: (page && page.photos) || [] }).photos);
+          loaded++;
+          photos.push(...more);
+          listeners.forEach((fn) => fn(more));
+          return more;
+        })
+        .finally(() => { pending = null; });
+      return pending;
+    }
+
+    /** Fetch every remaining page */
+    async function all() {
+      const added = [];
+      while (!complete()) added.push(...(await next()));
+      return added;
+    }
+
+    /** Call fn(posts) whenever a page adds posts */
+    function onLoad(fn) {
+      listeners.push(fn);
+    }
+
+    return {
+      profile,
+      albums,
+      map,
+      count: count === null ? photos.length : count,
+      curated: curated === true,
+      sharded,
+      photos,
+      complete,
+      next,
+      all,
+      onLoad,
+    };
+  }
+
+  /**
+   * Split photos.json into sharded files, keyed by project-relative
+   * path. Also used by `scripts/mygram.js shard`.
+   * @param {Object} data - photos.json contents
+   * @param {number} [pageSize]
+   * @returns {Object} { "data/index.json": {...}, "data/photos-0001.json": {...}, … }
+   */
+  function shard(data, pageSize = PAGE_SIZE) {
+    const photos = visible(data.photos)
+      .slice()
+      .sort((a, b) => (b.date || "").localeCompare(a.date || ""));
+    const files = {};
+    const pages = [];
+    for (let start = 0; start < photos.length; start += pageSize) {
+      const number = pages.length + 1;
+      pages.push(pageName(number));
+      files["data/" + pageName(number)] = { page: number, photos: photos.slice(start, start + pageSize) };
+    }
+    const index = {
+      format: FORMAT,
+      version: VERSION,
+      profile: data.profile || {},
+      albums: data.albums || [],
+      count: photos.length,
+      pageSize,
+      // Pinned or hand-ordered posts can sit on any page, so the grid
+      // needs every page before its order is known
+      curated: photos.some((p) => p.pinned === true || typeof p.order === "number"),
+      pages,
+    };
+    if (data.map) index.map = data.map;
+    return { [INDEX_FILE]: index, ...files };
+  }
+
+  return { load, fromData, shard, INDEX_FILE, PAGE_SIZE };
+})();
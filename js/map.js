@@ -0,0 +1,536 @@
+/**
+ * map.js – Map tab: geotagged photos as clustered pins.
+ *
+ * URL scheme:  #map=<lat>,<lon>,<zoom>
+ * Uses Web Mercator "world pixel" coordinates (256 × 2^zoom) so a raster
+ * tile service can be plugged in via `map.tileUrl` in photos.json
+ * (e.g. "https://tile.openstreetmap.org/{z}/{x}/{y}.png"). Without one,
+ * a bundled coarse world outline is drawn instead, so the map works
+ * offline and without any third-party service. drawMini() draws the
+ * same layers, still, around one spot (the lightbox's Info panel).
+ */
+
+// eslint-disable-next-line no-unused-vars
+const MapModule = (() => {
+  "use strict";
+
+  const OUTLINE_URL = "assets/world-outline.json";
+  const THUMB_DIR = "photos/thumbnails/";
+  const TILE_SIZE = 256;
+  const MIN_ZOOM = 1;
+  const MAX_ZOOM = 18;
+  const MAX_LAT = 85.05112878; // Web Mercator cut-off
+  const CLUSTER_RADIUS = 44; // px – pins closer than this are merged
+  const MINI_ZOOM = { tiles: 12, outline: 4 };
+
+  let _photos = [];        // all photos passed to render()
+  let _points = [];        // [{ photo, lat, lon }] for photos with GPS
+  let _options = {};
+  let _outline = null;     // { name: [[lon, lat], …] }
+  let _outlineLoading = null;
+  let _center = { lat: 20, lon: 0 };
+  let _zoom = 2;
+  let _hasView = false;    // true once centred by a hash or fitBounds
+  let _els = null;
+  let _hashTimer = null;
+
+  // =========================================================
+  //  Coordinates
+  // =========================================================
+
+  /**
+   * Parse a GPS value written by process-photos.sh (decimal or DMS);
+   * shared with the photos.json validator.
+   * @param {string|number} value
+   * @returns {number|null}
+   */
+  function parseCoord(value) {
+    return PhotosValidator.parseCoord(value);
+  }
+
+  function worldSize(zoom) {
+    return TILE_SIZE * Math.pow(2, zoom);
+  }
+
+  function project(lat, lon, zoom) {
+    const size = worldSize(zoom);
+    const clamped = Math.max(-MAX_LAT, Math.min(MAX_LAT, lat));
+    const sin = Math.sin((clamped * Math.PI) / 180);
+    return {
+      x: ((lon + 180) / 360) * size,
+      y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size,
+    };
+  }
+
+  function unproject(x, y, zoom) {
+    const size = worldSize(zoom);
+    const n = Math.PI - (2 * Math.PI * y) / size;
+    return {
+      lat: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+      lon: (x / size) * 360 - 180,
+    };
+  }
+
+  /** Pixel offset of the viewport's top-left corner in world pixels */
+  function viewOrigin() {
+    const c = project(_center.lat, _center.lon, _zoom);
+    return { x: c.x - _els.canvas.clientWidth / 2, y: c.y - _els.canvas.clientHeight / 2 };
+  }
+
+  function setCenterFromPixel(x, y) {
+    const size = worldSize(_zoom);
+    const ll = unproject(x, Math.max(0, Math.min(size, y)), _zoom);
+    // Wrap longitude so panning past the antimeridian keeps going
+    ll.lon = ((((ll.lon + 180) % 360) + 360) % 360) - 180;
+    _center = ll;
+  }
+
+  // =========================================================
+  //  Drawing
+  // =========================================================
+
+  /** Tiles covering a w × h view whose top-left is origin (world px at zoom) */
+  function drawTiles(layer, origin, zoom, w, h) {
+    layer.innerHTML = "";
+    if (!_options.tileUrl) return;
+
+    const count = Math.pow(2, zoom);
+    const x0 = Math.floor(origin.x / TILE_SIZE);
+    const y0 = Math.max(0, Math.floor(origin.y / TILE_SIZE));
+    const x1 = Math.floor((origin.x + w) / TILE_SIZE);
+    const y1 = Math.min(count - 1, Math.floor((origin.y + h) / TILE_SIZE));
+
+    const fragment = document.createDocumentFragment();
+    for (let ty = y0; ty <= y1; ty++) {
+      for (let tx = x0; tx <= x1; tx++) {
+        const wrappedX = ((tx % count) + count) % count;
+        const img = document.createElement("img");
+        img.className = "map-tile";
+        img.alt = "";
+        img.draggable = false;
+        img.src = _options.tileUrl
+          .replace("{z}", zoom)
+          .replace("{x}", wrappedX)
+          .replace("{y}", ty);
+        img.style.transform = `translate(${tx * TILE_SIZE - origin.x}px, ${ty * TILE_SIZE - origin.y}px)`;
+        // Fall back to the outline underneath if a tile fails
+        img.addEventListener("error", () => img.remove());
+        fragment.appendChild(img);
+      }
+    }
+    layer.appendChild(fragment);
+  }
+
+  /** The bundled outline in an SVG the size of a w × h view */
+  function drawOutline(svg, origin, zoom, w, h) {
+    svg.setAttribute("viewBox", `0 0 ${w} ${h}`);
+    if (!_outline) {
+      svg.innerHTML = "";
+      return;
+    }
+
+    // Repeat the world horizontally so there is no gap at low zoom
+    const size = worldSize(zoom);
+    const firstCopy = Math.floor(origin.x / size);
+    const lastCopy = Math.floor((origin.x + w) / size);
+
+    let d = "";
+    for (let copy = firstCopy; copy <= lastCopy; copy++) {
+      const shift = copy * size - origin.x;
+      Object.values(_outline).forEach((ring) => {
+        ring.forEach(([lon, lat], i) => {
+          const p = project(lat, lon, zoom);
+          d += (i === 0 ? "M" : "L") + (p.x + shift).toFixed(1) + " " + (p.y - origin.y).toFixed(1);
+        });
+        d += "Z";
+      });
+    }
+    svg.innerHTML = `<path class="map-land" d="${d}"></path>`;
+  }
+
+  /** Group points whose pins would overlap at the current zoom */
+  function cluster(origin) {
+    const size = worldSize(_zoom);
+    const w = _els.canvas.clientWidth;
+    const clusters = [];
+
+    _points.forEach((pt) => {
+      const p = project(pt.lat, pt.lon, _zoom);
+      // Pick the world copy nearest the viewport centre
+      let x = p.x - origin.x;
+      x -= Math.round((x - w / 2) / size) * size;
+      const y = p.y - origin.y;
+
+      const hit = clusters.find((c) => Math.abs(c.x - x) < CLUSTER_RADIUS && Math.abs(c.y - y) < CLUSTER_RADIUS);
+      if (hit) {
+        hit.points.push(pt);
+      } else {
+        clusters.push({ x, y, points: [pt] });
+      }
+    });
+    return clusters;
+  }
+
+  function drawMarkers(origin) {
+    const layer = _els.markers;
+    layer.innerHTML = "";
+    const w = _els.canvas.clientWidth;
+    const h = _els.canvas.clientHeight;
+
+    const fragment = document.createDocumentFragment();
+    cluster(origin).forEach((c) => {
+      if (c.x < -CLUSTER_RADIUS || c.y < -CLUSTER_RADIUS || c.x > w + CLUSTER_RADIUS || c.y > h + CLUSTER_RADIUS) return;
+      const first = c.points[0].photo;
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "map-marker";
+      btn.style.transform = `translate(${c.x}px, ${c.y}px)`;
+      btn._cluster = c;
+      const label = c.points.length > 1
+        ? c.points.length + " photos" + (first.location ? " near " + first.location : "")
+        : first.location || first.caption || "Photo";
+      btn.setAttribute("aria-label", label);
+      btn.innerHTML = `
+        <img src="${first.thumbnail ? THUMB_DIR + "360/" + first.thumbnail : "photos/web/" + first.web}" alt="" draggable="false">
+        ${c.points.length > 1 ? `<span class="map-marker-count">${c.points.length}</span>` : ""}`;
+      fragment.appendChild(btn);
+    });
+    layer.appendChild(fragment);
+  }
+
+  function draw() {
+    if (!_els || _els.canvas.clientWidth === 0) return; // tab hidden
+    const origin = viewOrigin();
+    const w = _els.canvas.clientWidth;
+    const h = _els.canvas.clientHeight;
+    drawTiles(_els.tiles, origin, _zoom, w, h);
+    drawOutline(_els.outline, origin, _zoom, w, h);
+    drawMarkers(origin);
+  }
+
+  /**
+   * A still map centred on one spot, with a pin: tiles when a tile
+   * server is set, else the outline (zoomed out, as it is coarse).
+   * @param {HTMLElement} el - a sized, empty box
+   * @param {number} lat
+   * @param {number} lon
+   */
+  async function drawMini(el, lat, lon) {
+    await loadOutline();
+    const w = el.clientWidth;
+    const h = el.clientHeight;
+    if (!w || !h) return;
+    const zoom = _options.tileUrl ? MINI_ZOOM.tiles : MINI_ZOOM.outline;
+    const c = project(lat, lon, zoom);
+    const origin = { x: c.x - w / 2, y: c.y - h / 2 };
+    el.innerHTML = `
+      <div class="map-tiles"></div>
+      <svg class="map-outline" aria-hidden="true"></svg>
+      <i class="bi bi-geo-alt-fill mini-map-pin" aria-hidden="true"></i>`;
+    drawTiles(el.querySelector(".map-tiles"), origin, zoom, w, h);
+    drawOutline(el.querySelector(".map-outline"), origin, zoom, w, h);
+  }
+
+  // =========================================================
+  //  View changes
+  // =========================================================
+
+  /** Centre and zoom so every geotagged photo is visible */
+  function fitBounds() {
+    if (_points.length === 0 || !_els || _els.canvas.clientWidth === 0) return;
+    const lats = _points.map((p) => p.lat);
+    const lons = _points.map((p) => p.lon);
+    const south = Math.min(...lats), north = Math.max(...lats);
+    const west = Math.min(...lons), east = Math.max(...lons);
+
+    const w = _els.canvas.clientWidth - CLUSTER_RADIUS * 2;
+    const h = _els.canvas.clientHeight - CLUSTER_RADIUS * 2;
+    let zoom = MAX_ZOOM - 4; // don't fly in all the way for a single spot
+    while (zoom > MIN_ZOOM) {
+      const a = project(north, west, zoom);
+      const b = project(south, east, zoom);
+      if (b.x - a.x <= w && b.y - a.y <= h) break;
+      zoom--;
+    }
+    _zoom = zoom;
+    const a = project(north, west, zoom);
+    const b = project(south, east, zoom);
+    setCenterFromPixel((a.x + b.x) / 2, (a.y + b.y) / 2);
+    _hasView = true;
+  }
+
+  /**
+   * Zoom by `delta` levels, keeping the point at (px, py) — relative
+   * to the canvas — fixed on screen. Defaults to the canvas centre.
+   */
+  function zoomBy(delta, px, py) {
+    const next = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, _zoom + delta));
+    if (next === _zoom) return;
+    const w = _els.canvas.clientWidth;
+    const h = _els.canvas.clientHeight;
+    if (px === undefined) { px = w / 2; py = h / 2; }
+
+    const origin = viewOrigin();
+    const anchor = unproject(origin.x + px, origin.y + py, _zoom);
+    _zoom = next;
+    const a = project(anchor.lat, anchor.lon, _zoom);
+    setCenterFromPixel(a.x - px + w / 2, a.y - py + h / 2);
+    draw();
+    scheduleHashUpdate();
+  }
+
+  function panBy(dx, dy) {
+    const c = project(_center.lat, _center.lon, _zoom);
+    setCenterFromPixel(c.x - dx, c.y - dy);
+    draw();
+  }
+
+  // =========================================================
+  //  Deep links
+  // =========================================================
+
+  function isActive() {
+    const pane = document.getElementById("map-view");
+    return pane && pane.classList.contains("active");
+  }
+
+  /** Parse #map=lat,lon,zoom; returns null if absent or malformed */
+  function viewFromHash() {
+    const hash = window.location.hash;
+    if (!hash.startsWith("#map=")) return null;
+    const [lat, lon, zoom] = hash.slice(5).split(",").map(parseFloat);
+    if (!isFinite(lat) || !isFinite(lon)) return null;
+    return {
+      lat: Math.max(-MAX_LAT, Math.min(MAX_LAT, lat)),
+      lon: Math.max(-180, Math.min(180, lon)),
+      zoom: isFinite(zoom) ? Math.round(Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom))) : _zoom,
+    };
+  }
+
+  function hashFor() {
+    return "#map=" + _center.lat.toFixed(4) + "," + _center.lon.toFixed(4) + "," + _zoom;
+  }
+
+  function scheduleHashUpdate() {
+    clearTimeout(_hashTimer);
+    _hashTimer = setTimeout(() => {
+      if (isActive()) history.replaceState(null, "", hashFor());
+    }, 300);
+  }
+
+  function applyHash() {
+    const view = viewFromHash();
+    if (!view) return false;
+    _center = { lat: view.lat, lon: view.lon };
+    _zoom = view.zoom;
+    _hasView = true;
+    const tab = document.getElementById("map-tab");
+    if (tab && !isActive()) {
+      new bootstrap.Tab(tab).show(); // draws on shown.bs.tab
+    } else {
+      draw();
+    }
+    return true;
+  }
+
+  // =========================================================
+  //  Interaction
+  // =========================================================
+
+  function openCluster(c) {
+    const photos = c.points.map((p) => p.photo);
+    const samePlace = c.points.every((p) => p.lat === c.points[0].lat && p.lon === c.points[0].lon);
+
+    if (photos.length === 1 || samePlace || _zoom >= MAX_ZOOM) {
+      if (typeof LightboxModule !== "undefined") {
+        LightboxModule.setPhotos(photos);
+        LightboxModule.open(0);
+      }
+      return;
+    }
+    // Spread the cluster out: zoom in around it
+    zoomBy(2, c.x, c.y);
+  }
+
+  function bindEvents() {
+    const canvas = _els.canvas;
+    const pointers = new Map();
+    let dragged = false;
+    let pinchStart = 0;
+
+    canvas.addEventListener("pointerdown", (e) => {
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      dragged = false;
+      if (pointers.size === 2) {
+        const [a, b] = [...pointers.values()];
+        pinchStart = Math.hypot(a.x - b.x, a.y - b.y);
+      }
+    });
+
+    canvas.addEventListener("pointermove", (e) => {
+      const prev = pointers.get(e.pointerId);
+      if (!prev) return;
+      const dx = e.clientX - prev.x;
+      const dy = e.clientY - prev.y;
+
+      if (pointers.size === 1) {
+        if (!dragged && Math.abs(dx) + Math.abs(dy) < 4) return;
+        if (!dragged) canvas.setPointerCapture(e.pointerId);
+        dragged = true;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        panBy(dx, dy);
+      } else if (pointers.size === 2) {
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        dragged = true;
+        const [a, b] = [...pointers.values()];
+        const dist = Math.hypot(a.x - b.x, a.y - b.y);
+        // Zoom levels are whole numbers, so step once the pinch doubles / halves
+        if (pinchStart && (dist / pinchStart >= 2 || dist / pinchStart <= 0.5)) {
+          const rect = canvas.getBoundingClientRect();
+          zoomBy(dist > pinchStart ? 1 : -1, (a.x + b.x) / 2 - rect.left, (a.y + b.y) / 2 - rect.top);
+          pinchStart = dist;
+        }
+      }
+    });
+
+    const endPointer = (e) => {
+      pointers.delete(e.pointerId);
+      pinchStart = 0;
+      if (dragged && pointers.size === 0) scheduleHashUpdate();
+    };
+    canvas.addEventListener("pointerup", endPointer);
+    canvas.addEventListener("pointercancel", endPointer);
+
+    canvas.addEventListener("click", (e) => {
+      if (dragged) return; // end of a pan, not a tap
+      const marker = e.target.closest(".map-marker");
+      if (marker && marker._cluster) openCluster(marker._cluster);
+    });
+
+    canvas.addEventListener("dblclick", (e) => {
+      if (e.target.closest(".map-marker")) return;
+      const rect = canvas.getBoundingClientRect();
+      zoomBy(1, e.clientX - rect.left, e.clientY - rect.top);
+    });
+
+    let wheelLock = false;
+    canvas.addEventListener("wheel", (e) => {
+      e.preventDefault();
+      if (wheelLock) return;
+      wheelLock = true;
+      setTimeout(() => (wheelLock = false), 200);
+      const rect = canvas.getBoundingClientRect();
+      zoomBy(e.deltaY < 0 ? 1 : -1, e.clientX - rect.left, e.clientY - rect.top);
+    }, { passive: false });
+
+    document.getElementById("mapZoomIn")?.addEventListener("click", () => zoomBy(1));
+    document.getElementById("mapZoomOut")?.addEventListener("click", () => zoomBy(-1));
+    document.getElementById("mapFit")?.addEventListener("click", () => {
+      fitBounds();
+      draw();
+      scheduleHashUpdate();
+    });
+
+    let resizeTimer = null;
+    window.addEventListener("resize", () => {
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(draw, 150);
+    });
+  }
+
+  // =========================================================
+  //  Public
+  // =========================================================
+
+  /**
+   * Set the photos shown as pins (e.g. the current search results).
+   * Photos without usable GPS coordinates are skipped.
+   * @param {Array} photos
+   */
+  function render(photos) {
+    _photos = photos || [];
+    _points = [];
+    _photos.forEach((photo) => {
+      const lat = parseCoord(photo.gps && photo.gps.lat);
+      const lon = parseCoord(photo.gps && photo.gps.lon);
+      if (lat === null || lon === null) return;
+      _points.push({ photo, lat, lon });
+    });
+
+    if (_els) {
+      _els.empty.classList.toggle("d-none", _points.length > 0);
+      _els.count.textContent = _points.length
+        ? _points.length + " geotagged post" + (_points.length !== 1 ? "s" : "")
+        : "";
+    }
+    draw();
+  }
+
+  function init(photos, options) {
+    _options = options || {};
+    const canvas = document.getElementById("mapCanvas");
+    if (!canvas) return;
+
+    _els = {
+      canvas,
+      tiles: document.getElementById("mapTiles"),
+      outline: document.getElementById("mapOutline"),
+      markers: document.getElementById("mapMarkers"),
+      empty: document.getElementById("mapEmpty"),
+      count: document.getElementById("mapCount"),
+    };
+
+    const attribution = document.getElementById("mapAttribution");
+    if (attribution && _options.tileUrl && _options.attribution) {
+      attribution.textContent = _options.attribution;
+      attribution.classList.remove("d-none");
+    }
+
+    render(photos);
+    bindEvents();
+
+    // The pane has no size until its tab is shown
+    const tab = document.getElementById("map-tab");
+    if (tab) {
+      tab.addEventListener("shown.bs.tab", () => {
+        if (!_hasView) fitBounds();
+        draw();
+        scheduleHashUpdate();
+      });
+      tab.addEventListener("hidden.bs.tab", () => {
+        clearTimeout(_hashTimer);
+        if (window.location.hash.startsWith("#map=")) {
+          history.replaceState(null, "", window.location.pathname + window.location.search);
+        }
+      });
+    }
+
+    // Closing the lightbox clears the hash; put the map view back
+    const modalEl = document.getElementById("lightboxModal");
+    if (modalEl) {
+      modalEl.addEventListener("hidden.bs.modal", () => {
+        if (isActive()) history.replaceState(null, "", hashFor());
+      });
+    }
+
+    window.addEventListener("hashchange", applyHash);
+    applyHash();
+
+    loadOutline().then(draw);
+  }
+
+  /** Fetch the bundled world outline (once) */
+  function loadOutline() {
+    if (!_outlineLoading) {
+      _outlineLoading = fetch(OUTLINE_URL)
+        .then((res) => (res.ok ? res.json() : null))
+        .then((data) => {
+          _outline = (data && data.polygons) || null;
+        })
+        .catch((err) => console.warn("Map: could not load world outline", err));
+    }
+    return _outlineLoading;
+  }
+
+  return { init, render, drawMini, parseCoord };
+})();
@@ -0,0 +1,126 @@
+/**
+ * paged-list.js – Incremental, recycled rendering for long feeds.
+ *
+ * Items are rendered a page at a time. A sentinel after the last page
+ * (watched through LazyLoad) appends the next page as it nears the
+ * viewport. Pages that drift far offscreen are emptied and held at
+ * their measured height, then rebuilt when they scroll back, so the
+ * DOM stays small in long sessions. Once every item is rendered the
+ * sentinel dispatches a bubbling "pagedlist:end" event on the
+ * container; items pushed onto the array afterwards are picked up by
+ * grow(). Used by GridModule and TimelineModule; needs lazyload.js.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const PagedList = (() => {
+  "use strict";
+
+  const SENTINEL_MARGIN = "800px 0px"; // load the next page this far ahead
+  const RECYCLE_MARGIN = "300% 0px";   // keep pages within three screens
+
+  /**
+   * Render items into container page by page.
+   * @param {HTMLElement} container
+   * @param {Object} options
+   *   items      {Array}
+   *   pageSize   {number}
+   *   pageClass  {string}   – class of each page element
+   *   renderPage {Function} – (pageEl, start, end) fills the page with items[start..end)
+   * @returns {{ reveal: Function, grow: Function, destroy: Function }}
+   */
+  function create(container, options) {
+    const { items, pageSize, pageClass, renderPage } = options;
+    const pages = [];
+    const sentinel = document.createElement("div");
+    sentinel.className = "paged-list-sentinel";
+    sentinel.setAttribute("aria-hidden", "true");
+    container.appendChild(sentinel);
+
+    function fill(page) {
+      page.el.innerHTML = "";
+      page.el.style.height = "";
+      page.end = Math.min(page.start + pageSize, items.length);
+      renderPage(page.el, page.start, page.end);
+      page.recycled = false;
+      LazyLoad.refresh();
+    }
+
+    function recycle(page) {
+      if (page.recycled) return;
+      // Zero height means the view is hidden (another tab); nothing to save
+      const height = page.el.getBoundingClientRect().height;
+      if (!height) return;
+      LazyLoad.release(page.el);
+      page.el.style.height = height + "px";
+      page.el.innerHTML = "";
+      page.recycled = true;
+    }
+
+    /** Append the next page; false when every item is rendered */
+    function appendPage() {
+      const start = pages.length * pageSize;
+      if (start >= items.length) return false;
+      const el = document.createElement("div");
+      el.className = pageClass;
+      container.insertBefore(el, sentinel);
+      const page = { el, start, end: start, recycled: false };
+      pages.push(page);
+      fill(page);
+      LazyLoad.watch(el, (visible) => {
+        if (visible && page.recycled) fill(page);
+        else if (!visible) recycle(page);
+      }, RECYCLE_MARGIN);
+      return true;
+    }
+
+    function watchSentinel() {
+      LazyLoad.unwatch(sentinel);
+      LazyLoad.watch(sentinel, onSentinel, SENTINEL_MARGIN);
+    }
+
+    function onSentinel(visible) {
+      if (!visible) return;
+      if (!appendPage()) {
+        container.dispatchEvent(new CustomEvent("pagedlist:end", { bubbles: true }));
+        return;
+      }
+      // Re-observe: still in range (short pages, tall screens) → next page
+      watchSentinel();
+    }
+
+    appendPage();
+    watchSentinel();
+
+    return {
+      /**
+       * Make sure the page holding items[index] is rendered.
+       * @returns {HTMLElement|null} that page's element
+       */
+      reveal(index) {
+        if (index < 0 || index >= items.length) return null;
+        while (pages.length * pageSize <= index && appendPage()) { /* render up to it */ }
+        const page = pages[Math.floor(index / pageSize)];
+        if (page.recycled) fill(page);
+        return page.el;
+      },
+
+      /** Render items pushed onto the array since the last page was built */
+      grow() {
+        const last = pages[pages.length - 1];
+        if (last && !last.recycled && last.end < Math.min(last.start + pageSize, items.length)) fill(last);
+        watchSentinel();
+      },
+
+      /** Stop watching; call before the container is re-rendered */
+      destroy() {
+        LazyLoad.unwatch(sentinel);
+        pages.forEach((page) => {
+          LazyLoad.unwatch(page.el);
+          LazyLoad.release(page.el);
+        });
+      },
+    };
+  }
+
+  return { create };
+})();
@@ -0,0 +1,67 @@
+/**
+ * pal-cache.js – Last good copy of each pal's manifest, in IndexedDB.
+ *
+ * PalgramModule saves what it loaded from a pal ({ profile, albums,
+ * photos }) after every successful fetch and falls back to the copy
+ * when the pal is unreachable. Entries are keyed by the pal's base URL
+ * and stamped with the time they were saved.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const PalCache = (() => {
+  "use strict";
+
+  const DB_NAME = "mygram-palgram";
+  const DB_STORE = "manifests";
+
+  function openDB() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function idb(mode, fn) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(DB_STORE, mode);
+      const req = fn(tx.objectStore(DB_STORE));
+      tx.oncomplete = () => { db.close(); resolve(req.result); };
+      tx.onerror = () => { db.close(); reject(tx.error); };
+    });
+  }
+
+  /**
+   * The saved copy for a pal, or null.
+   * @param {string} baseUrl
+   * @returns {Promise<{ at: number, profile: Object, albums: Array, photos: Array }|null>}
+   */
+  async function get(baseUrl) {
+    if (typeof indexedDB === "undefined") return null;
+    try {
+      return (await idb("readonly", (store) => store.get(baseUrl))) || null;
+    } catch (e) {
+      console.warn("PalCache: could not read " + baseUrl, e);
+      return null;
+    }
+  }
+
+  /**
+   * Save a pal's manifest; failures (private mode, quota) are logged only.
+   * @param {string} baseUrl
+   * @param {{ profile: Object, albums: Array, photos: Array }} data
+   */
+  async function put(baseUrl, data) {
+    if (typeof indexedDB === "undefined") return;
+    const entry = { at: Date.now(), profile: data.profile, albums: data.albums, photos: data.photos };
+    try {
+      await idb("readwrite", (store) => store.put(entry, baseUrl));
+    } catch (e) {
+      console.warn("PalCache: could not save " + baseUrl, e);
+    }
+  }
+
+  return { get, put };
+})();
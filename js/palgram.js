@@ -2,8 +2,46 @@
  * palgram.js – Combined feed of your photos + friends' photos.
  *
  * Reads palgram/pals.json for a list of friend mygram URLs,
- * fetches each one's data/photos.json, merges all photos with
+ * loads each one's manifest (js/manifest.js), merges all photos with
  * your own, and renders a single timeline sorted newest-first.
+ *
+ * Each pals.json entry is { url } plus optional settings:
+ *   nickname {string}  – shown instead of the pal's username
+ *   group    {string}  – e.g. "family"; the filter bar can show one group
+ *   hidden   {boolean} – keep the pal listed but out of the feed
+ *   maxPosts {number}  – show only this many of the pal's newest posts
+ *
+ * Sharded sites only send their newest page up front. The merged
+ * feed stops at the oldest post every such site has loaded, so
+ * nothing is shown out of order, and "Load older posts" fetches
+ * the next page from whichever sites hold it back.
+ *
+ * A pal with no manifest but a JSON Feed (feed.json) is read from
+ * the feed instead; its posts' media are absolute URLs.
+ *
+ * Each pal is fetched with a timeout and retried with backoff; the
+ * feed re-renders as each one arrives, so a slow pal never holds up
+ * the rest. A pal that can't be reached is shown from its last good
+ * copy (js/pal-cache.js). The status strip above the feed shows
+ * which pals loaded, are stale or failed, and can refresh them.
+ *
+ * The newest post date seen from each pal is kept in localStorage.
+ * Later posts are marked new, with a divider below the newest ones,
+ * and checkUnread() counts them for the nav badge before the view
+ * is ever opened.
+ *
+ * The filter bar narrows the feed to one pal, hides your own posts
+ * or limits it to a date range, mirrored in the hash as
+ * #palgram=only=<user>&own=0&from=YYYY-MM-DD&to=YYYY-MM-DD so a
+ * filtered view can be shared; group=<name> shows one group. Muted
+ * pals stay in pals.json but are left out; mutes are kept in
+ * localStorage.
+ *
+ * The compass button opens Discover (js/discover.js): sites your
+ * pals follow that you don't.
+ *
+ * j / k move between cards and Enter on a focused photo opens it
+ * (js/a11y.js).
  */
 
 // eslint-disable-next-line no-unused-vars
@@ -11,8 +49,22 @@ const PalgramModule = (() => {
   "use strict";
 
   const PALS_URL = "palgram/pals.json";
+  const FETCH_TIMEOUT_MS = 8000;
+  const RETRY_DELAYS_MS = [1000, 3000]; // backoff before each retry
+  const SEEN_KEY = "mygram_palgram_seen";
+  const MUTE_KEY = "mygram_palgram_muted";
+  const HASH_PREFIX = "#palgram=";
   let _allPhotos = [];
+  let _own = null;        // source for your own posts
+  let _palSources = [];   // source per pal, pals.json order (null until loaded / failed)
+  let _sources = [];      // { feed, tag(photo), base, max } for you and each loaded pal
+  let _status = [];       // { base, state, username, nickname, group, at, error } per shown pal, pals.json order
+  let _hidden = [];       // bases of pals marked hidden in pals.json
+  let _loading = null;    // in-flight loadPals() promise
   let _initialised = false;
+  const _seen = readSeen(); // base → newest post time seen, as of page load
+  const _muted = new Set(readMuted()); // pal base URLs
+  let _filter = { only: "", group: "", own: true, from: "", to: "" };
 
   function formatDate(dateStr) {
     if (!dateStr) return "";
@@ -31,6 +83,27 @@ const PalgramModule = (() => {
     return d.toLocaleDateString("en-US", { year: "numeric", month: "long" });
   }
 
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /** url if it is http(s), else "" (a pal's links and images come from their site or feed) */
+  function httpUrl(url) {
+    return /^https?:\/\//i.test(url || "") ? url : "";
+  }
+
+  /** A post's media URL for an HTML attribute: http(s) or relative only, escaped */
+  function mediaAttr(baseUrl, file) {
+    const url = typeof CarouselFactory !== "undefined"
+      ? CarouselFactory.mediaUrl(baseUrl, file)
+      : (baseUrl ? baseUrl + "photos/web/" : "photos/web/") + file;
+    return /^[a-z][a-z0-9+.-]*:/i.test(url) && !httpUrl(url) ? "" : escapeHtml(url);
+  }
+
   function showToast(message) {
     const toast = document.getElementById("shareToast");
     const body = document.getElementById("shareToastBody");
@@ -53,9 +126,10 @@ const PalgramModule = (() => {
   function sharePhoto(photo) {
     const slug = slugFor(photo);
     const isLocal = !photo._palBaseUrl;
-    const url = isLocal
-      ? window.location.origin + window.location.pathname + "#photo=" + slug
-      : photo._palBaseUrl + "#photo=" + slug;
+    let url;
+    if (!isLocal) url = photo.permalink || photo._palBaseUrl + "#photo=" + slug;
+    else if (typeof ShareLinks !== "undefined") url = ShareLinks.photoUrl(slug);
+    else url = window.location.origin + window.location.pathname + "#photo=" + slug;
     navigator.clipboard.writeText(url).then(() => {
       showToast("Link copied to clipboard");
     }).catch(() => {
@@ -71,78 +145,426 @@ const PalgramModule = (() => {
     });
   }
 
+  /** A path on a pal's site; absolute URLs (feed-only pals) are kept */
+  function siteUrl(base, path) {
+    return /^https?:\/\//.test(path) ? path : base + path;
+  }
+
+  /** Copy of a post carrying who posted it and where its files live */
+  function tagPhoto(photo, profile, base, nickname) {
+    return {
+      ...photo,
+      _palUsername: nickname || profile.username || (base ? "unknown" : "you"),
+      _palAvatar: siteUrl(base, profile.profilePhoto || "assets/profile.jpg"),
+      _palBaseUrl: base, // empty = local
+    };
+  }
+
+  function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /** Manifest.load with a per-request timeout, retried with backoff */
+  async function loadWithRetry(base) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await Manifest.load(base, { timeout: FETCH_TIMEOUT_MS });
+      } catch (err) {
+        if (attempt >= RETRY_DELAYS_MS.length) throw err;
+        await wait(RETRY_DELAYS_MS[attempt]);
+      }
+    }
+  }
+
+  /** Pal URL with a trailing slash, as posts' _palBaseUrl */
+  function normaliseBase(palUrl) {
+    return palUrl.endsWith("/") ? palUrl : palUrl + "/";
+  }
+
   /**
-   * Fetch a pal's photos.json and return enriched photo objects.
-   * Each photo gets _palUsername, _palAvatar, _palBaseUrl attached.
+   * Load a pal's manifest (index.json + newest page, or photos.json),
+   * falling back to the last good copy. Updates status and resolves
+   * to a source { feed, base, max, tag }, or null if there is nothing
+   * to show.
+   * @param {Object} pal - pals.json entry
    */
-  async function fetchPal(palUrl) {
-    // Normalise URL: ensure trailing slash
-    const base = palUrl.endsWith("/") ? palUrl : palUrl + "/";
-    const jsonUrl = base + "data/photos.json";
+  async function fetchPal(pal, status) {
+    const base = normaliseBase(pal.url);
+    let feed;
 
     try {
-      const res = await fetch(jsonUrl, { cache: "no-cache" });
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const data = await res.json();
-      const profile = data.profile || {};
-      const photos = data.photos || [];
-
-      return photos.map((photo) => ({
-        ...photo,
-        _palUsername: profile.username || "unknown",
-        _palAvatar: base + (profile.profilePhoto || "assets/profile.jpg"),
-        _palBaseUrl: base,
-      }));
+      feed = await loadWithRetry(base);
+      Object.assign(status, { state: "ok", at: Date.now(), error: "" });
+      if (typeof PalCache !== "undefined") {
+        const save = () => PalCache.put(base, feed);
+        save();
+        feed.onLoad(save); // older pages too
+      }
     } catch (err) {
-      console.warn("Palgram: could not fetch " + jsonUrl, err);
+      console.warn("Palgram: could not fetch the manifest of " + base, err);
+      const cached = typeof PalCache !== "undefined" ? await PalCache.get(base) : null;
+      if (!cached) {
+        Object.assign(status, { state: "failed", error: err.message });
+        return null;
+      }
+      feed = Manifest.fromData(cached);
+      Object.assign(status, { state: "stale", at: cached.at, error: err.message });
+    }
+
+    status.username = feed.profile.username || "";
+    if (typeof TagsModule !== "undefined") TagsModule.registerPal(feed.profile.username, base);
+    const max = Number.isInteger(pal.maxPosts) && pal.maxPosts > 0 ? pal.maxPosts : 0;
+    return { feed, base, max, tag: (photo) => tagPhoto(photo, feed.profile, base, status.nickname) };
+  }
+
+  /** A source's posts; with maxPosts, only that many of the newest */
+  function postsOf({ feed, max }) {
+    if (!max) return feed.photos;
+    return feed.photos.slice().sort((a, b) => time(b) - time(a)).slice(0, max);
+  }
+
+  /** No older posts to fetch: every page loaded, or maxPosts reached */
+  function exhausted({ feed, max }) {
+    return feed.complete() || (max > 0 && feed.photos.length >= max);
+  }
+
+  // ---- New since last visit ----
+  function readSeen() {
+    try {
+      return JSON.parse(localStorage.getItem(SEEN_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /** A pal's post newer than anything seen from that pal on an earlier visit */
+  function isNew(photo) {
+    const seen = _seen[photo._palBaseUrl];
+    return !!photo._palBaseUrl && typeof seen === "number" && time(photo) > seen;
+  }
+
+  function newest(feed) {
+    return feed.photos.reduce((max, photo) => Math.max(max, time(photo)), 0);
+  }
+
+  /**
+   * Remember the newest post from each loaded pal. Pals seen for the
+   * first time start from here, so their whole history isn't "new".
+   * The page-load snapshot in _seen is kept for this visit's markers.
+   */
+  function markSeen() {
+    const stored = readSeen();
+    _sources.forEach(({ feed, base }) => {
+      if (base) stored[base] = Math.max(stored[base] || 0, newest(feed));
+    });
+    try {
+      localStorage.setItem(SEEN_KEY, JSON.stringify(stored));
+    } catch (e) { /* storage full or disabled */ }
+  }
+
+  function time(photo) {
+    return photo.date ? new Date(photo.date).getTime() : 0;
+  }
+
+  /**
+   * Newest post date still safe to show: the oldest loaded post of
+   * each source with pages left, taking the latest of those.
+   * Returns -Infinity when every source is fully loaded.
+   */
+  function cutoff() {
+    return _sources.reduce((limit, source) => {
+      const { feed } = source;
+      if (exhausted(source) || feed.photos.length === 0) return limit;
+      return Math.max(limit, Math.min(...feed.photos.map(time)));
+    }, -Infinity);
+  }
+
+  /** Rebuild the merged, newest-first, filtered list from every source */
+  function merge() {
+    const limit = cutoff();
+    _allPhotos = _sources
+      .flatMap((source) => postsOf(source).map(source.tag))
+      .filter((photo) => time(photo) >= limit && passesFilter(photo));
+    _allPhotos.sort((a, b) => time(b) - time(a));
+  }
+
+  // ---- Filters ----
+  function readMuted() {
+    try {
+      return JSON.parse(localStorage.getItem(MUTE_KEY)) || [];
+    } catch (e) {
       return [];
     }
   }
 
+  function setMuted(base, muted) {
+    if (muted) _muted.add(base);
+    else _muted.delete(base);
+    try {
+      localStorage.setItem(MUTE_KEY, JSON.stringify([..._muted]));
+    } catch (e) { /* storage full or disabled */ }
+  }
+
+  /** Name a pal goes by in the filter and the hash: nickname, username, else host */
+  function palLabel(base) {
+    const status = _status.find((s) => s.base === base);
+    return (status && (status.nickname || status.username)) || hostOf(base);
+  }
+
+  function groupOf(base) {
+    const status = _status.find((s) => s.base === base);
+    return (status && status.group) || "";
+  }
+
+  /** Group names from pals.json, in first-seen order */
+  function groups() {
+    return [...new Set(_status.map((status) => status.group).filter(Boolean))];
+  }
+
+  function filterActive() {
+    return !!(_filter.only || _filter.group || !_filter.own || _filter.from || _filter.to);
+  }
+
+  function passesFilter(photo) {
+    const base = photo._palBaseUrl;
+    if (_filter.only) {
+      if (!base || palLabel(base) !== _filter.only) return false;
+    } else if (_filter.group) {
+      if (!base || groupOf(base) !== _filter.group || _muted.has(base)) return false;
+    } else if (base ? _muted.has(base) : !_filter.own) {
+      return false;
+    }
+    const day = (photo.date || "").slice(0, 10);
+    if (_filter.from && day < _filter.from) return false;
+    if (_filter.to && day > _filter.to) return false;
+    return true;
+  }
+
+  function filterFromHash() {
+    const filter = { only: "", group: "", own: true, from: "", to: "" };
+    const hash = window.location.hash;
+    if (!hash.startsWith(HASH_PREFIX)) return filter;
+    const params = new URLSearchParams(hash.slice(HASH_PREFIX.length));
+    const date = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value || "") ? value : "");
+    filter.only = params.get("only") || "";
+    filter.group = params.get("group") || "";
+    filter.own = params.get("own") !== "0";
+    filter.from = date(params.get("from"));
+    filter.to = date(params.get("to"));
+    return filter;
+  }
+
+  /** Mirror the filter in the hash; an unfiltered feed has none */
+  function writeHash() {
+    const params = new URLSearchParams();
+    if (_filter.only) params.set("only", _filter.only);
+    if (_filter.group) params.set("group", _filter.group);
+    if (!_filter.own) params.set("own", "0");
+    if (_filter.from) params.set("from", _filter.from);
+    if (_filter.to) params.set("to", _filter.to);
+    const query = params.toString();
+    if (query) {
+      history.replaceState(null, "", HASH_PREFIX + query);
+    } else if (window.location.hash.startsWith(HASH_PREFIX)) {
+      history.replaceState(null, "", window.location.pathname + window.location.search);
+    }
+  }
+
+  function setFilter(filter) {
+    _filter = filter;
+    renderFilters();
+    merge();
+    render();
+  }
+
+  /** Sync the filter bar controls, pal lists and mute menu */
+  function renderFilters() {
+    const bar = document.getElementById("palgramFilters");
+    const toggle = document.getElementById("palgramFilterToggle");
+    if (!bar) return;
+    if (toggle) toggle.classList.toggle("is-active", filterActive());
+
+    const names = groups();
+    const only = document.getElementById("palgramOnly");
+    if (only) {
+      only.innerHTML = '<option value="">Everyone</option>';
+      const addOption = (parent, label) => {
+        const option = document.createElement("option");
+        option.value = label;
+        option.textContent = label;
+        parent.appendChild(option);
+      };
+      // Pals in a group are listed under it, the rest on their own
+      _status.filter((status) => !status.group).forEach((status) => addOption(only, palLabel(status.base)));
+      names.forEach((name) => {
+        const optgroup = document.createElement("optgroup");
+        optgroup.label = name;
+        _status.filter((status) => status.group === name).forEach((status) => addOption(optgroup, palLabel(status.base)));
+        only.appendChild(optgroup);
+      });
+      // Keep a shared filter's pal listed even before it loads
+      const labels = _status.map((status) => palLabel(status.base));
+      if (_filter.only && !labels.includes(_filter.only)) addOption(only, _filter.only);
+      only.value = _filter.only;
+    }
+
+    const group = document.getElementById("palgramGroup");
+    if (group) {
+      if (_filter.group && !names.includes(_filter.group)) names.push(_filter.group);
+      group.classList.toggle("d-none", names.length === 0);
+      group.innerHTML = '<option value="">All groups</option>';
+      names.forEach((name) => {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = name;
+        group.appendChild(option);
+      });
+      group.value = _filter.group;
+      group.disabled = !!_filter.only;
+    }
+
+    const own = document.getElementById("palgramOwn");
+    if (own) {
+      own.checked = _filter.own;
+      own.disabled = !!(_filter.only || _filter.group);
+    }
+    const from = document.getElementById("palgramFrom");
+    const to = document.getElementById("palgramTo");
+    if (from) from.value = _filter.from;
+    if (to) to.value = _filter.to;
+
+    const menu = document.getElementById("palgramMuteMenu");
+    if (menu) {
+      menu.innerHTML = _status.length ? "" : '<span class="dropdown-item-text small text-muted">No pals yet</span>';
+      _status.forEach((status) => {
+        const row = document.createElement("label");
+        row.className = "dropdown-item palgram-mute-item";
+        row.innerHTML = '<input class="form-check-input me-2" type="checkbox">';
+        const input = row.querySelector("input");
+        input.dataset.base = status.base;
+        input.checked = _muted.has(status.base);
+        row.append(palLabel(status.base));
+        menu.appendChild(row);
+      });
+    }
+  }
+
+  function bindFilters() {
+    const bar = document.getElementById("palgramFilters");
+    if (!bar) return;
+
+    const toggle = document.getElementById("palgramFilterToggle");
+    if (toggle) {
+      toggle.addEventListener("click", () => {
+        const open = bar.classList.toggle("d-none") === false;
+        toggle.setAttribute("aria-expanded", String(open));
+      });
+    }
+
+    const read = () => ({
+      only: document.getElementById("palgramOnly").value,
+      group: document.getElementById("palgramGroup").value,
+      own: document.getElementById("palgramOwn").checked,
+      from: document.getElementById("palgramFrom").value,
+      to: document.getElementById("palgramTo").value,
+    });
+    bar.addEventListener("change", (e) => {
+      if (e.target.dataset.base !== undefined) {
+        setMuted(e.target.dataset.base, e.target.checked);
+        merge();
+        render();
+        renderStatus();
+        return;
+      }
+      setFilter(read());
+      writeHash();
+    });
+    bar.addEventListener("submit", (e) => e.preventDefault());
+    bar.addEventListener("reset", (e) => {
+      e.preventDefault();
+      setFilter({ only: "", group: "", own: true, from: "", to: "" });
+      writeHash();
+    });
+
+    // A shared #palgram= link, or back/forward between filters
+    window.addEventListener("hashchange", () => {
+      if (window.location.hash.startsWith(HASH_PREFIX)) setFilter(filterFromHash());
+    });
+
+    // Closing the lightbox clears the hash; put the filter back
+    const modalEl = document.getElementById("lightboxModal");
+    const view = document.getElementById("palgram-view");
+    if (modalEl && view) {
+      modalEl.addEventListener("hidden.bs.modal", () => {
+        if (!view.classList.contains("d-none") && filterActive()) writeHash();
+      });
+    }
+  }
+
+  /** Fetch the next page from each source holding the feed back */
+  async function loadOlder() {
+    const limit = cutoff();
+    await Promise.all(_sources
+      .filter((source) => !exhausted(source) && source.feed.photos.some((p) => time(p) === limit))
+      .map(({ feed }) => feed.next().catch((err) => console.warn("Palgram: could not load older posts", err))));
+    merge();
+    render();
+  }
+
   function mediaHtmlForPal(photo, index) {
     if (typeof CarouselFactory !== "undefined") {
       const media = CarouselFactory.getMedia(photo);
       const isLocal = !photo._palBaseUrl;
-      const webDir = isLocal ? "photos/web/" : photo._palBaseUrl + "photos/web/";
       const crossOrigin = !isLocal ? ' crossorigin="anonymous"' : '';
       if (media.length > 1) {
         return `<div class="palgram-carousel-placeholder" data-index="${index}"></div>`;
       }
       if (media[0] && media[0].type === "video") {
-        const src = webDir + media[0].web;
-        const poster = media[0].poster ? ` poster="${webDir}${media[0].poster}"` : "";
+        const src = mediaAttr(photo._palBaseUrl, media[0].web);
+        const poster = media[0].poster ? ` poster="${mediaAttr(photo._palBaseUrl, media[0].poster)}"` : "";
         return `<video class="card-img palgram-photo" data-index="${index}" controls playsinline preload="metadata" src="${src}"${poster}${crossOrigin} style="cursor:pointer"></video>`;
       }
     }
     const isLocal = !photo._palBaseUrl;
-    const imgSrc = isLocal ? "photos/web/" + photo.web : photo._palBaseUrl + "photos/web/" + photo.web;
+    const imgSrc = mediaAttr(photo._palBaseUrl, photo.web);
     const crossOrigin = !isLocal ? ' crossorigin="anonymous"' : '';
-    return `<img class="card-img lazy palgram-photo" data-src="${imgSrc}" data-index="${index}" alt="${photo.caption || ""}"${crossOrigin} style="cursor:pointer">`;
+    return `<img class="card-img lazy palgram-photo" data-src="${imgSrc}" data-index="${index}" alt="${escapeHtml(photo.alt || photo.caption || "")}" role="button" tabindex="0" aria-label="Open photo by ${escapeHtml(photo._palUsername || "you")}"${crossOrigin} style="cursor:pointer">`;
+  }
+
+  /** Caption HTML with #tags linking to the poster's own site */
+  function captionHtml(photo) {
+    if (typeof TagsModule !== "undefined") {
+      return TagsModule.format(photo.caption, { baseUrl: photo._palBaseUrl });
+    }
+    return escapeHtml(photo.caption);
   }
 
   /** Create a timeline card for a merged photo entry */
   function createCard(photo, index) {
     const card = document.createElement("div");
     card.className = "timeline-card";
+    card.setAttribute("role", "article");
+    card.setAttribute("tabindex", "-1");
 
-    // Determine avatar and username
+    // Determine avatar and username (a pal's are escaped: any feed can be followed)
     const isLocal = !photo._palBaseUrl;
     const avatar = isLocal
       ? (photo._palAvatar || "assets/profile.jpg")
-      : photo._palAvatar;
-    const username = photo._palUsername || "you";
+      : httpUrl(photo._palAvatar);
+    const username = escapeHtml(photo._palUsername || "you");
+    const palUrl = httpUrl(photo._palBaseUrl);
 
     // Username: if pal, make it a tappable link to their app
-    const usernameHtml = !isLocal
-      ? `<a href="${photo._palBaseUrl}" target="_blank" rel="noopener" class="pal-username-link d-block">${username}</a>`
+    const usernameHtml = palUrl
+      ? `<a href="${escapeHtml(palUrl)}" target="_blank" rel="noopener" class="pal-username-link d-block">${username}</a>`
       : `<strong class="d-block">${username}</strong>`;
 
     card.innerHTML = `
       <div class="card-header">
-        <img src="${avatar}" alt="" crossorigin="anonymous">
+        <img src="${escapeHtml(avatar)}" alt="" crossorigin="anonymous">
         <div>
           ${usernameHtml}
-          ${photo.location ? `<small class="text-muted">${photo.location}</small>` : ""}
+          ${photo.location ? `<small class="text-muted">${escapeHtml(photo.location)}</small>` : ""}
         </div>
       </div>
       ${mediaHtmlForPal(photo, index)}
@@ -152,7 +574,7 @@ const PalgramModule = (() => {
         </button>
       </div>
       <div class="card-body">
-        ${photo.caption ? `<p class="mb-1"><strong>${username}</strong> ${photo.caption}</p>` : ""}
+        ${photo.caption ? `<p class="mb-1"><strong>${username}</strong> ${captionHtml(photo)}</p>` : ""}
         <p class="card-meta mb-0">${formatDate(photo.date)}</p>
       </div>
     `;
@@ -165,6 +587,17 @@ const PalgramModule = (() => {
     if (!container) return;
     container.innerHTML = "";
 
+    if (_allPhotos.length === 0 && filterActive()) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <i class="bi bi-funnel"></i>
+          <p class="h6">No Matching Posts</p>
+          <p class="small">Nothing loaded so far matches these filters.</p>
+        </div>`;
+      appendLoadOlder(container);
+      return;
+    }
+
     if (_allPhotos.length === 0) {
       container.innerHTML = `
         <div class="empty-state">
@@ -177,6 +610,10 @@ const PalgramModule = (() => {
 
     const fragment = document.createDocumentFragment();
     let lastMonthKey = "";
+    // Divider goes under the last new post, unless everything is new
+    let lastNew = -1;
+    _allPhotos.forEach((photo, i) => { if (isNew(photo)) lastNew = i; });
+    if (lastNew === _allPhotos.length - 1) lastNew = -1;
 
     _allPhotos.forEach((photo, i) => {
       const monthKey = getMonthKey(photo.date);
@@ -187,7 +624,15 @@ const PalgramModule = (() => {
         fragment.appendChild(divider);
         lastMonthKey = monthKey;
       }
-      fragment.appendChild(createCard(photo, i));
+      const card = createCard(photo, i);
+      card.classList.toggle("is-new", isNew(photo));
+      fragment.appendChild(card);
+      if (i === lastNew) {
+        const divider = document.createElement("div");
+        divider.className = "palgram-new-divider";
+        divider.innerHTML = `<span><i class="bi bi-arrow-up me-1"></i>New since your last visit</span>`;
+        fragment.appendChild(divider);
+      }
     });
 
     container.appendChild(fragment);
@@ -203,85 +648,236 @@ const PalgramModule = (() => {
         const baseUrl = isLocal ? "" : photo._palBaseUrl;
         const carousel = CarouselFactory.create(media, {
           baseUrl,
-          alt: photo.caption || "",
+          alt: photo.alt || photo.caption || "",
           lazy: true,
           className: "timeline-carousel"
         });
         carousel.dataset.index = idx;
         carousel.classList.add("palgram-photo");
         carousel.style.cursor = "pointer";
+        // Not role="button": it holds the carousel's own buttons
+        carousel.setAttribute("tabindex", "0");
+        carousel.setAttribute("aria-label", "Open post by " + (photo._palUsername || "you"));
         placeholder.replaceWith(carousel);
       });
     }
 
-    // Click delegation: photo tap → lightbox, share button
-    container.addEventListener("click", (e) => {
-      // Share button
-      const shareBtn = e.target.closest(".btn-timeline-share");
-      if (shareBtn) {
-        const idx = parseInt(shareBtn.dataset.index, 10);
-        if (_allPhotos[idx]) sharePhoto(_allPhotos[idx]);
-        return;
-      }
-
-      // Photo tap → open lightbox
-      const photoEl = e.target.closest(".palgram-photo");
-      if (photoEl) {
-        const idx = parseInt(photoEl.dataset.index, 10);
-        if (typeof LightboxModule !== "undefined" && _allPhotos[idx]) {
-          LightboxModule.setPhotos(_allPhotos);
-          LightboxModule.open(idx);
-        }
-        return;
-      }
-    });
+    appendLoadOlder(container);
 
     // Kick lazy loading for new images
     if (typeof LazyLoad !== "undefined") LazyLoad.refresh();
   }
 
-  /**
-   * Initialise the palgram feed.
-   * @param {Array} ownPhotos - The user's own photos from photos.json
-   * @param {Object} ownProfile - The user's own profile object
-   */
-  async function init(ownPhotos, ownProfile) {
-    if (_initialised) return;
-    _initialised = true;
+  /** "Load older posts" while any sharded source has pages left */
+  function appendLoadOlder(container) {
+    if (!_sources.some((source) => !exhausted(source))) return;
+    const more = document.createElement("button");
+    more.type = "button";
+    more.className = "btn btn-sm btn-outline-secondary palgram-load-older";
+    more.textContent = "Load older posts";
+    more.addEventListener("click", () => {
+      more.disabled = true;
+      loadOlder();
+    });
+    container.appendChild(more);
+  }
 
-    // Tag own photos so they render with local paths
-    const own = (ownPhotos || []).map((p) => ({
-      ...p,
-      _palUsername: ownProfile.username || "you",
-      _palAvatar: ownProfile.profilePhoto || "assets/profile.jpg",
-      _palBaseUrl: "", // empty = local
-    }));
+  // ---- Status strip ----
+  function hostOf(base) {
+    try {
+      return new URL(base).host;
+    } catch (e) {
+      return base;
+    }
+  }
+
+  function statusDetail(status) {
+    if (status.state === "loading") return "Loading…";
+    if (status.state === "ok") return "Up to date";
+    const when = status.at ? new Date(status.at).toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short" }) : "";
+    if (status.state === "stale") return "Unreachable (" + status.error + ") — showing the copy from " + when;
+    return "Unreachable (" + status.error + ") — no saved copy";
+  }
+
+  const STATUS_ICONS = {
+    loading: "bi-hourglass-split",
+    ok: "bi-check-circle-fill",
+    stale: "bi-clock-history",
+    failed: "bi-exclamation-triangle-fill",
+  };
+
+  function renderStatus() {
+    const strip = document.getElementById("palgramStatus");
+    const list = document.getElementById("palgramStatusList");
+    const refresh = document.getElementById("palgramRefresh");
+    if (!strip || !list) return;
+    strip.classList.toggle("d-none", _status.length === 0);
+    list.innerHTML = "";
+    _status.forEach((status) => {
+      const chip = document.createElement("span");
+      chip.className = "palgram-status-chip is-" + status.state;
+      const muted = _muted.has(status.base);
+      chip.classList.toggle("is-muted", muted);
+      const detail = statusDetail(status) + (muted ? " (muted)" : "");
+      chip.title = status.base + " — " + detail;
+      chip.innerHTML = `<i class="bi ${STATUS_ICONS[status.state]}" aria-hidden="true"></i>`;
+      const name = document.createElement("span");
+      name.textContent = palLabel(status.base);
+      const sr = document.createElement("span");
+      sr.className = "visually-hidden";
+      sr.textContent = ": " + detail;
+      chip.append(name, sr);
+      list.appendChild(chip);
+    });
+    if (refresh) {
+      refresh.disabled = !!_loading;
+      refresh.classList.toggle("is-spinning", !!_loading);
+    }
+  }
+
+  /** The Discover panel lists the sites your pals follow (js/discover.js) */
+  function bindDiscover() {
+    const toggle = document.getElementById("palgramDiscoverToggle");
+    const panel = document.getElementById("palgramDiscover");
+    if (!toggle || !panel) return;
+    if (typeof PalDiscover === "undefined") {
+      toggle.classList.add("d-none");
+      return;
+    }
+    toggle.addEventListener("click", () => {
+      const open = panel.classList.toggle("d-none") === false;
+      toggle.setAttribute("aria-expanded", String(open));
+      if (open) {
+        const pals = _status.map((status) => ({ base: status.base, label: palLabel(status.base) }));
+        PalDiscover.render(pals, _hidden);
+      }
+    });
+  }
+
+  /** Rebuild the feed from what has arrived so far; drawn once the view is open */
+  function update() {
+    _sources = (_own ? [_own] : []).concat(_palSources.filter(Boolean));
+    if (!_initialised) return;
+    merge();
+    render();
+    renderStatus();
+    renderFilters();
+    markSeen();
+  }
+
+  /** (Re)load pals.json and every pal, rendering as each one lands */
+  function loadPals() {
+    if (!_loading) _loading = fetchPals().finally(() => {
+      _loading = null;
+      renderStatus();
+    });
+    return _loading;
+  }
 
-    // Load pals config
+  async function fetchPals() {
     let pals = [];
     try {
       const res = await fetch(PALS_URL, { cache: "no-cache" });
       if (res.ok) {
         const data = await res.json();
-        pals = data.pals || [];
+        pals = (data.pals || []).filter((pal) => pal && pal.url);
       }
     } catch (e) {
       console.warn("Palgram: could not load pals.json", e);
     }
 
-    // Fetch all pals' photos in parallel
-    const palResults = await Promise.all(pals.map((pal) => fetchPal(pal.url)));
+    _hidden = pals.filter((pal) => pal.hidden === true).map((pal) => normaliseBase(pal.url));
+    pals = pals.filter((pal) => pal.hidden !== true);
+    const text = (value) => (typeof value === "string" ? value.trim() : "");
+    _status = pals.map((pal) => ({
+      base: normaliseBase(pal.url),
+      state: "loading",
+      username: "",
+      nickname: text(pal.nickname),
+      group: text(pal.group),
+      at: null,
+      error: "",
+    }));
+    _palSources = pals.map(() => null);
+    update();
 
-    // Merge and sort newest-first
-    _allPhotos = own.concat(palResults.flat());
-    _allPhotos.sort((a, b) => {
-      const da = a.date ? new Date(a.date) : new Date(0);
-      const db = b.date ? new Date(b.date) : new Date(0);
-      return db - da;
-    });
+    await Promise.all(pals.map(async (pal, i) => {
+      _palSources[i] = await fetchPal(pal, _status[i]);
+      update();
+    }));
+  }
 
-    render();
+  /**
+   * Fetch every pal in the background (if not already) and count
+   * their posts that are new since the last visit (muted pals aside).
+   * @returns {Promise<number>}
+   */
+  async function checkUnread() {
+    if (!_palSources.length || _loading) await loadPals();
+    return _palSources
+      .filter((source) => source && !_muted.has(source.base))
+      .reduce((sum, source) => sum + postsOf(source).filter((photo) => isNew(source.tag(photo))).length, 0);
+  }
+
+  /**
+   * Initialise the palgram feed.
+   * @param {Object} own - your own manifest feed (Manifest.load)
+   */
+  async function init(own) {
+    if (_initialised) return;
+    _initialised = true;
+
+    const container = document.getElementById("palgramTimeline");
+    if (container) {
+      // Click delegation: photo tap → lightbox, share button
+      container.addEventListener("click", (e) => {
+        // Share button
+        const shareBtn = e.target.closest(".btn-timeline-share");
+        if (shareBtn) {
+          const idx = parseInt(shareBtn.dataset.index, 10);
+          if (_allPhotos[idx]) sharePhoto(_allPhotos[idx]);
+          return;
+        }
+
+        // Photo tap → open lightbox
+        const photoEl = e.target.closest(".palgram-photo");
+        if (photoEl) {
+          const idx = parseInt(photoEl.dataset.index, 10);
+          if (typeof LightboxModule !== "undefined" && _allPhotos[idx]) {
+            LightboxModule.setPhotos(_allPhotos);
+            LightboxModule.open(idx);
+          }
+          return;
+        }
+      });
+
+      if (typeof A11y !== "undefined") {
+        A11y.clickable(container, ".palgram-photo");
+        A11y.feedKeys(container, ".timeline-card");
+      }
+    }
+
+    const refresh = document.getElementById("palgramRefresh");
+    if (refresh) refresh.addEventListener("click", loadPals);
+
+    bindFilters();
+    bindDiscover();
+    _filter = filterFromHash();
+    const filterBar = document.getElementById("palgramFilters");
+    const filterToggle = document.getElementById("palgramFilterToggle");
+    if (filterActive() && filterBar) {
+      filterBar.classList.remove("d-none");
+      if (filterToggle) filterToggle.setAttribute("aria-expanded", "true");
+    }
+
+    // Own posts render with local paths
+    _own = { feed: own, base: "", tag: (photo) => tagPhoto(photo, own.profile, "") };
+
+    // Pals may already be in from checkUnread()
+    update();
+    if (_loading) await _loading;
+    else if (!_palSources.length) await loadPals();
   }
 
-  return { init };
+  return { init, checkUnread };
 })();
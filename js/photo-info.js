@@ -0,0 +1,220 @@
+/**
+ * photo-info.js – The lightbox's expandable Info panel.
+ *
+ * Shows a post's EXIF one field per row (camera, lens, focal length,
+ * aperture, shutter, ISO, flash, software), its dimensions, a small
+ * map of where it was taken (MapModule.drawMini; click it for the Map
+ * tab) and an RGB histogram of the image on screen.
+ *
+ * Exposure comes from the separate fields scripts/mygram.js writes
+ * (focalLength, aperture, shutter, iso, flash, software); older posts
+ * only have the one-line settings string, which ExifModule.exposureOf
+ * splits up instead. Whether the panel is open is kept in localStorage.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const PhotoInfo = (() => {
+  "use strict";
+
+  const OPEN_KEY = "mygram_info_open";
+  const HISTOGRAM_SAMPLE = 256; // px on the long side, enough for the shape
+  const CHANNEL_COLOURS = ["rgba(255, 59, 48, 0.55)", "rgba(52, 199, 89, 0.55)", "rgba(0, 122, 255, 0.55)"]; // R, G, B
+
+  function isOpen() {
+    try {
+      return localStorage.getItem(OPEN_KEY) === "1";
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function saveOpen(open) {
+    try {
+      localStorage.setItem(OPEN_KEY, open ? "1" : "0");
+    } catch (e) { /* storage full or disabled */ }
+  }
+
+  // ---- Fields ----
+
+  /** Width × height the right way up: EXIF sizes are before rotation */
+  function dimensionsOf(photo, img) {
+    let w = photo.width;
+    let h = photo.height;
+    if (!w || !h) return "";
+    if (img && img.naturalWidth && (img.naturalWidth > img.naturalHeight) !== (w > h)) [w, h] = [h, w];
+    const megapixels = (w * h) / 1e6;
+    return `${w} × ${h}` + (megapixels >= 0.1 ? ` (${megapixels.toFixed(1)} MP)` : "");
+  }
+
+  /** [label, value] rows for the fields the post has */
+  function rowsOf(photo, img) {
+    const exposure = typeof ExifModule !== "undefined" ? ExifModule.exposureOf(photo) : photo;
+    const rows = [
+      ["Camera", photo.camera],
+      ["Lens", photo.lens],
+      ["Focal length", exposure.focalLength ? exposure.focalLength + " mm" : ""],
+      ["Aperture", exposure.aperture ? "f/" + exposure.aperture : ""],
+      ["Shutter", exposure.shutter ? exposure.shutter + " s" : ""],
+      ["ISO", exposure.iso ? String(exposure.iso) : ""],
+      ["Flash", typeof photo.flash === "boolean" ? (photo.flash ? "Fired" : "Did not fire") : ""],
+      ["Software", photo.software],
+      ["Dimensions", dimensionsOf(photo, img)],
+      ["Location", photo.location],
+    ];
+    return rows.filter(([, value]) => value);
+  }
+
+  /** { lat, lon } as numbers, or null when the post has no GPS */
+  function gpsOf(photo) {
+    if (!photo.gps || typeof PhotosValidator === "undefined") return null;
+    const lat = PhotosValidator.parseCoord(photo.gps.lat);
+    const lon = PhotosValidator.parseCoord(photo.gps.lon);
+    return lat === null || lon === null ? null : { lat, lon };
+  }
+
+  // ---- Histogram ----
+
+  /**
+   * Draw the red, green and blue histograms of an image into a canvas.
+   * Throws if the image can't be read (a pal's server without CORS).
+   */
+  function drawHistogram(canvas, img) {
+    const scale = Math.min(1, HISTOGRAM_SAMPLE / Math.max(img.naturalWidth, img.naturalHeight));
+    const w = Math.max(1, Math.round(img.naturalWidth * scale));
+    const h = Math.max(1, Math.round(img.naturalHeight * scale));
+    const sample = document.createElement("canvas");
+    sample.width = w;
+    sample.height = h;
+    const sampleCtx = sample.getContext("2d", { willReadFrequently: true });
+    sampleCtx.drawImage(img, 0, 0, w, h);
+    const data = sampleCtx.getImageData(0, 0, w, h).data;
+
+    const bins = CHANNEL_COLOURS.map(() => new Uint32Array(256));
+    for (let i = 0; i < data.length; i += 4) {
+      bins[0][data[i]]++;
+      bins[1][data[i + 1]]++;
+      bins[2][data[i + 2]]++;
+    }
+    // Scale to the tallest bin away from the ends, so clipped shadows
+    // or highlights don't flatten everything else
+    let max = 1;
+    bins.forEach((channel) => {
+      for (let v = 1; v < 255; v++) max = Math.max(max, channel[v]);
+    });
+
+    const ctx = canvas.getContext("2d");
+    const cw = canvas.width;
+    const ch = canvas.height;
+    ctx.clearRect(0, 0, cw, ch);
+    CHANNEL_COLOURS.forEach((colour, c) => {
+      ctx.beginPath();
+      ctx.moveTo(0, ch);
+      for (let v = 0; v < 256; v++) {
+        ctx.lineTo((v / 255) * cw, ch - Math.min(1, bins[c][v] / max) * ch);
+      }
+      ctx.lineTo(cw, ch);
+      ctx.closePath();
+      ctx.fillStyle = colour;
+      ctx.fill();
+    });
+  }
+
+  /** Histogram of img once it has loaded; hidden for videos and unreadable images */
+  function showHistogram(panel, img) {
+    const wrap = panel.querySelector(".photo-info-histogram");
+    if (!wrap) return;
+    const canvas = wrap.querySelector("canvas");
+    const src = img ? img.currentSrc || img.src : "";
+    wrap.dataset.src = src;
+    if (!img) {
+      wrap.classList.add("d-none");
+      return;
+    }
+    const draw = () => {
+      // Skip it if the panel has moved on to another image meanwhile
+      if (wrap.dataset.src !== src || !img.naturalWidth) return;
+      try {
+        drawHistogram(canvas, img);
+        wrap.classList.remove("d-none");
+      } catch (e) {
+        wrap.classList.add("d-none");
+      }
+    };
+    if (img.complete) draw();
+    else img.addEventListener("load", draw, { once: true });
+  }
+
+  // ---- Panel ----
+
+  function render(panel, photo, img) {
+    panel.innerHTML = "";
+    const rows = rowsOf(photo, img);
+    if (rows.length) {
+      const list = document.createElement("dl");
+      list.className = "photo-info-fields";
+      rows.forEach(([label, value]) => {
+        const dt = document.createElement("dt");
+        dt.textContent = label;
+        const dd = document.createElement("dd");
+        dd.textContent = value;
+        list.append(dt, dd);
+      });
+      panel.appendChild(list);
+    }
+
+    const gps = gpsOf(photo);
+    if (gps && typeof MapModule !== "undefined") {
+      const map = document.createElement("a");
+      map.className = "photo-info-map";
+      map.href = "#map=" + gps.lat.toFixed(4) + "," + gps.lon.toFixed(4) + ",12";
+      map.title = "Show on the map";
+      map.setAttribute("aria-label", "Show on the map" + (photo.location ? ": " + photo.location : ""));
+      panel.appendChild(map);
+      MapModule.drawMini(map, gps.lat, gps.lon);
+    }
+
+    const histogram = document.createElement("div");
+    histogram.className = "photo-info-histogram d-none";
+    histogram.innerHTML = '<canvas width="256" height="80" role="img" aria-label="RGB histogram"></canvas>';
+    panel.appendChild(histogram);
+    showHistogram(panel, img);
+
+    if (!rows.length && !panel.querySelector(".photo-info-map")) {
+      panel.insertAdjacentHTML("afterbegin", '<p class="photo-info-empty mb-0">No camera details for this post.</p>');
+    }
+  }
+
+  /**
+   * Wire an Info toggle to its panel.
+   * @param {HTMLElement} toggle - button with aria-controls pointing at panel
+   * @param {HTMLElement} panel
+   * @param {Object} options
+   *   photo {Function}    – () → the post on screen
+   *   image {Function}    – () → the <img> on screen, or null (video)
+   *   media {HTMLElement} – holds the post's media; its carousel's
+   *                         "slidechange" redraws the histogram
+   * @returns {{ update: Function }} update() – call when the post changes
+   */
+  function bind(toggle, panel, options) {
+    const update = () => {
+      const open = isOpen();
+      toggle.setAttribute("aria-expanded", String(open));
+      panel.classList.toggle("d-none", !open);
+      const photo = options.photo();
+      if (open && photo) render(panel, photo, options.image());
+    };
+
+    toggle.addEventListener("click", () => {
+      saveOpen(!isOpen());
+      update();
+    });
+    if (options.media) {
+      options.media.addEventListener("slidechange", () => {
+        if (isOpen()) showHistogram(panel, options.image());
+      });
+    }
+    return { update };
+  }
+
+  return { bind };
+})();
@@ -0,0 +1,52 @@
+/**
+ * post-order.js – Profile grid ordering shared by the grid and the admin.
+ *
+ * Posts may carry two optional fields in photos.json:
+ *   pinned {boolean} – shown first (at most MAX_PINNED)
+ *   order  {number}  – explicit position, written by admin drag-and-drop
+ *
+ * Order: pinned posts, then posts without an `order` (newest first, so
+ * new uploads land at the top), then ordered posts by `order`. Ties
+ * fall back to newest first. scripts/mygram.js loads this file to
+ * order photos.json after processing.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const PostOrder = (() => {
+  "use strict";
+
+  const MAX_PINNED = 3;
+
+  function hasOrder(photo) {
+    return typeof photo.order === "number" && isFinite(photo.order);
+  }
+
+  function rank(photo) {
+    if (photo.pinned === true) return 0;
+    return hasOrder(photo) ? 2 : 1;
+  }
+
+  function compare(a, b) {
+    const byRank = rank(a) - rank(b);
+    if (byRank) return byRank;
+    const byOrder = (hasOrder(a) ? a.order : 0) - (hasOrder(b) ? b.order : 0);
+    if (byOrder) return byOrder;
+    return (b.date || "").localeCompare(a.date || "");
+  }
+
+  /**
+   * Sorted copy of the posts in profile-grid order.
+   * @param {Array} photos
+   * @returns {Array}
+   */
+  function sort(photos) {
+    return photos.slice().sort(compare);
+  }
+
+  /** Chronological copy, newest first (timeline order) */
+  function byDate(photos) {
+    return photos.slice().sort((a, b) => (b.date || "").localeCompare(a.date || ""));
+  }
+
+  return { MAX_PINNED, sort, byDate };
+})();
@@ -0,0 +1,245 @@
+/**
+ * search.js – Client-side search across captions, locations, gear and albums.
+ *
+ * URL scheme:  #q=<query>
+ * Filters the grid, timeline and albums views as you type and scopes
+ * lightbox prev/next navigation to the matching photos.
+ *
+ * Besides words, a query can hold field terms, which the stats view
+ * (js/stats.js) links to:
+ *   camera:"Canon EOS R5"  lens:…  location:…  – the whole field
+ *   date:2024  date:2024-05  date:2024-05-01  – year, month or day
+ *   focal:35  aperture:2-2.8  iso:3200-        – a number, or a range
+ *                                                including its lower end
+ *                                                only (mm, f-number, ISO)
+ */
+
+// eslint-disable-next-line no-unused-vars
+const SearchModule = (() => {
+  "use strict";
+
+  const DEBOUNCE_MS = 150;
+  const FIELD_TERM = /^(camera|lens|location|date|focal|aperture|iso):(.+)$/;
+  const EXPOSURE_KEYS = { focal: "focalLength", aperture: "aperture", iso: "iso" };
+  let _photos = [];
+  let _albums = [];
+  let _results = [];
+  let _query = "";
+  let _index = []; // normalised search text, parallel to _photos
+  let _fields = []; // { camera, lens, location, date, exposure }, parallel to _photos
+  let _debounceTimer = null;
+
+  /** Lowercase and strip diacritics so "Zürich" matches "zurich" */
+  function normalise(text) {
+    return String(text || "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase();
+  }
+
+  /** Build one searchable string per photo, including its albums' text */
+  function buildIndex() {
+    const albumText = {};
+    _albums.forEach((album) => {
+      const text = (album.title || "") + " " + (album.description || "");
+      (album.photos || []).forEach((fn) => {
+        albumText[fn] = (albumText[fn] || "") + " " + text;
+      });
+    });
+
+    _index = _photos.map((p) => normalise([
+      p.caption,
+      p.location,
+      p.camera,
+      p.lens,
+      p.settings,
+      albumText[p.filename],
+    ].join(" ")));
+
+    _fields = _photos.map((p) => ({
+      camera: normalise(p.camera),
+      lens: normalise(p.lens),
+      location: normalise(p.location),
+      date: String(p.date || ""),
+      exposure: typeof ExifModule !== "undefined" ? ExifModule.exposureOf(p) : p,
+    }));
+  }
+
+  /** Words and field terms; a field term's value may be "quoted" */
+  function terms(query) {
+    return [...String(query).matchAll(/(\w+:)"([^"]*)"?|(\S+)/g)]
+      .map((m) => normalise(m[1] ? m[1] + m[2] : m[3]).trim())
+      .filter(Boolean);
+  }
+
+  /** Whether n is value ("35") or in its range ("24-35": 24 ≤ n < 35, "135-", "-16") */
+  function inRange(n, value) {
+    if (!value.includes("-")) return n === Number(value);
+    const [min, max] = value.split("-");
+    return (min === "" || n >= Number(min)) && (max === "" || n < Number(max));
+  }
+
+  /** Whether photo i matches a term, field term or word */
+  function matchesTerm(i, term) {
+    const field = FIELD_TERM.exec(term);
+    if (!field) return _index[i].includes(term);
+    const [, key, value] = field;
+    const f = _fields[i];
+    if (key === "date") return f.date.startsWith(value);
+    if (!EXPOSURE_KEYS[key]) return f[key] === value;
+    const number = f.exposure[EXPOSURE_KEYS[key]];
+    return !!number && inRange(number, value);
+  }
+
+  /**
+   * Return photos matching every term of the query.
+   * @param {string} query
+   * @returns {Array}
+   */
+  function match(query) {
+    const t = terms(query);
+    if (t.length === 0) return _photos;
+    return _photos.filter((_, i) => t.every((term) => matchesTerm(i, term)));
+  }
+
+  /** Album ids that contain a matching photo or whose own text matches */
+  function matchAlbums(query, matched) {
+    const t = terms(query);
+    const filenames = new Set(matched.map((p) => p.filename));
+    return _albums
+      .filter((album) => {
+        if ((album.photos || []).some((fn) => filenames.has(fn))) return true;
+        const text = normalise((album.title || "") + " " + (album.description || ""));
+        return t.every((term) => text.includes(term));
+      })
+      .map((album) => album.id);
+  }
+
+  function updateHash(query) {
+    const hash = window.location.hash;
+    if (query) {
+      history.replaceState(null, "", "#q=" + encodeURIComponent(query));
+    } else if (hash.startsWith("#q=")) {
+      history.replaceState(null, "", window.location.pathname + window.location.search);
+    }
+  }
+
+  function updateCount() {
+    const countEl = document.getElementById("searchCount");
+    if (!countEl) return;
+    countEl.textContent = _query
+      ? _results.length + " result" + (_results.length !== 1 ? "s" : "")
+      : "";
+  }
+
+  /**
+   * Apply a query to every view.
+   * @param {string}  query
+   * @param {Object}  [opts]
+   * @param {boolean} [opts.updateHash=true] - write #q= to the address bar
+   */
+  function apply(query, { updateHash: writeHash = true } = {}) {
+    _query = query.trim();
+    _results = match(_query);
+
+    const empty = {
+      icon: "bi-search",
+      title: "No Results",
+      text: "Nothing matches that search.",
+    };
+
+    if (typeof GridModule !== "undefined") GridModule.render(_results, empty);
+    if (typeof TimelineModule !== "undefined") TimelineModule.render(_results, empty);
+    if (typeof AlbumsModule !== "undefined") {
+      AlbumsModule.setFilter(_query ? matchAlbums(_query, _results) : null);
+    }
+    if (typeof MapModule !== "undefined") MapModule.render(_results);
+    if (typeof LightboxModule !== "undefined") LightboxModule.setPhotos(_results);
+
+    updateCount();
+    if (writeHash) updateHash(_query);
+  }
+
+  /** Read #q= from the URL; returns the decoded query or null */
+  function queryFromHash() {
+    const hash = window.location.hash;
+    if (!hash.startsWith("#q=")) return null;
+    try {
+      return decodeURIComponent(hash.slice(3));
+    } catch (e) {
+      return hash.slice(3);
+    }
+  }
+
+  /** Run a query as if it had been typed in (e.g. from a stats bar) */
+  function search(query) {
+    const input = document.getElementById("searchInput");
+    if (input) input.value = query;
+    apply(query);
+  }
+
+  /** Current result set (all photos when no query is active) */
+  function results() {
+    return _results;
+  }
+
+  /**
+   * Re-index after posts were added to the photos array (sharded
+   * manifests). Re-applies an active query and returns true; returns
+   * false when no query is active and the views are up to the caller.
+   */
+  function refresh() {
+    buildIndex();
+    if (!_query) return false;
+    apply(_query, { updateHash: false });
+    return true;
+  }
+
+  function init(photos, albums) {
+    _photos = photos || [];
+    _albums = albums || [];
+    _results = _photos;
+    buildIndex();
+
+    const input = document.getElementById("searchInput");
+    if (!input) return;
+
+    input.addEventListener("input", () => {
+      clearTimeout(_debounceTimer);
+      _debounceTimer = setTimeout(() => apply(input.value), DEBOUNCE_MS);
+    });
+
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        input.value = "";
+        apply("");
+        input.blur();
+      }
+    });
+
+    // Lightbox closing clears the hash; put the query back
+    const modalEl = document.getElementById("lightboxModal");
+    if (modalEl) {
+      modalEl.addEventListener("hidden.bs.modal", () => {
+        if (_query) updateHash(_query);
+      });
+    }
+
+    // Back/forward to a #q= entry
+    window.addEventListener("hashchange", () => {
+      const q = queryFromHash();
+      if (q === null || q === _query) return;
+      input.value = q;
+      apply(q, { updateHash: false });
+    });
+
+    // Deep-link on page load
+    const initial = queryFromHash();
+    if (initial) {
+      input.value = initial;
+      apply(initial, { updateHash: false });
+    }
+  }
+
+  return { init, match, search, results, refresh };
+})();
@@ -0,0 +1,55 @@
+/**
+ * share-links.js – The URLs that share buttons copy.
+ *
+ * scripts/generate-share-pages.js writes a static page per post
+ * (p/<slug>/) and per album (a/<id>/) carrying that post's Open
+ * Graph tags, and lists them in data/share-pages.json. Anything
+ * listed there is shared by its page URL, so link previews show the
+ * right photo; everything else falls back to the #photo= / #album=
+ * link into index.html.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const ShareLinks = (() => {
+  "use strict";
+
+  const INDEX_URL = "data/share-pages.json";
+  let _photos = new Set(); // slugs with a p/<slug>/ page
+  let _albums = new Set(); // album ids with an a/<id>/ page
+  let _loading = null;
+
+  /** Read the list of generated pages (none is fine); safe to call again */
+  function load() {
+    if (!_loading) {
+      _loading = fetch(INDEX_URL, { cache: "no-cache" })
+        .then((res) => (res.ok ? res.json() : {}))
+        .then((index) => {
+          _photos = new Set(index.photos || []);
+          _albums = new Set(index.albums || []);
+        })
+        .catch(() => { /* no share pages generated */ });
+    }
+    return _loading;
+  }
+
+  /** A page in the site's folder, e.g. https://you.github.io/mygram/p/x/ */
+  function pageUrl(dir, name) {
+    return new URL(dir + "/" + encodeURIComponent(name) + "/", window.location.href).href;
+  }
+
+  function appUrl(hash) {
+    return window.location.origin + window.location.pathname + hash;
+  }
+
+  /** Link to one of this site's posts */
+  function photoUrl(slug) {
+    return _photos.has(slug) ? pageUrl("p", slug) : appUrl("#photo=" + slug);
+  }
+
+  /** Link to one of this site's albums */
+  function albumUrl(id) {
+    return _albums.has(id) ? pageUrl("a", id) : appUrl("#album=" + id);
+  }
+
+  return { load, photoUrl, albumUrl };
+})();
@@ -0,0 +1,429 @@
+/**
+ * slideshow.js – Full-screen slideshow for the lightbox and albums.
+ *
+ * Plays a list of posts one after another. Images stay up for the
+ * chosen interval, carousels (CarouselFactory) step through each of
+ * their slides, and videos play to the end before moving on.
+ * Interval, shuffle, loop and transition (crossfade, Ken Burns or
+ * none) are kept in localStorage; motion is dropped when the visitor
+ * prefers reduced motion. Full screen uses the Fullscreen API.
+ *
+ * Started from the lightbox / post page (js/lightbox.js) and from an
+ * album's header, whose slideshow is linked as #album=<id>&play=1
+ * (js/albums.js).
+ */
+
+// eslint-disable-next-line no-unused-vars
+const SlideshowModule = (() => {
+  "use strict";
+
+  const SETTINGS_KEY = "mygram_slideshow";
+  const INTERVALS = [3, 5, 8, 12, 20]; // seconds, as offered in #slideshowInterval
+  const TRANSITIONS = ["fade", "kenburns", "none"];
+  const DEFAULTS = { interval: 5, shuffle: false, loop: true, transition: "fade" };
+  const FADE_MS = 800; // .slideshow-fade .slideshow-slide transition in style.css
+  const CONTROLS_HIDE_MS = 3000;
+
+  let _el = null;
+  let _stage = null;
+  let _settings = { ...DEFAULTS };
+  let _photos = [];
+  let _order = []; // indices into _photos, in playing order
+  let _pos = 0; // position in _order
+  let _playing = false;
+  let _timer = null;
+  let _controlsTimer = null;
+  let _step = 0; // bumped on every move, so stale timers and video events are ignored
+  let _kenBurnsOut = false;
+  let _onClose = null;
+  let _releaseFocus = null; // ends the focus trap, handing focus back
+  let _bodyOverflow = "";
+
+  // ---- Settings ----
+  function loadSettings() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    } catch (e) { /* storage disabled or corrupt */ }
+    return {
+      interval: INTERVALS.includes(saved.interval) ? saved.interval : DEFAULTS.interval,
+      shuffle: saved.shuffle === true,
+      loop: saved.loop !== false,
+      transition: TRANSITIONS.includes(saved.transition) ? saved.transition : DEFAULTS.transition,
+    };
+  }
+
+  function saveSettings() {
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(_settings));
+    } catch (e) { /* storage full or disabled */ }
+  }
+
+  /** The transition in effect: none when the visitor prefers reduced motion */
+  function transition() {
+    if (window.matchMedia("(prefers-reduced-motion: reduce)").matches) return "none";
+    return _settings.transition;
+  }
+
+  // ---- Order ----
+
+  /** Posts in playing order; shuffled ones still begin with first (if given) */
+  function buildOrder(first) {
+    const order = _photos.map((_, i) => i);
+    if (!_settings.shuffle) return order;
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    if (first >= 0) {
+      order.splice(order.indexOf(first), 1);
+      order.unshift(first);
+    }
+    return order;
+  }
+
+  function currentIndex() {
+    return _order[_pos];
+  }
+
+  // ---- Rendering ----
+
+  /** The shown post's media element: a carousel, <video> or <img> */
+  function currentMedia() {
+    const slide = _stage.querySelector(".slideshow-slide.is-active");
+    return slide ? slide.firstElementChild : null;
+  }
+
+  /** The image or video on screen (a carousel's current slide) */
+  function currentFrame() {
+    const el = currentMedia();
+    if (!el || !el._currentSlide) return el;
+    const slide = el.querySelectorAll(".carousel-slide")[el._currentSlide()];
+    return slide ? slide.firstElementChild : null;
+  }
+
+  function render() {
+    const photo = _photos[currentIndex()];
+    const media = CarouselFactory.getMedia(photo);
+    const slide = document.createElement("div");
+    slide.className = "slideshow-slide";
+    slide.appendChild(CarouselFactory.create(media, {
+      baseUrl: photo._palBaseUrl || "",
+      alt: photo.alt || photo.caption || "",
+      className: "slideshow-carousel",
+      imgClass: "slideshow-media",
+    }));
+
+    const previous = [..._stage.querySelectorAll(".slideshow-slide")];
+    previous.forEach((old) => {
+      old.classList.remove("is-active");
+      old.querySelectorAll("video").forEach((v) => v.pause());
+    });
+    _stage.appendChild(slide);
+
+    const fade = transition() !== "none";
+    _stage.classList.toggle("slideshow-fade", fade);
+    if (fade) {
+      void slide.offsetWidth; // start from opacity 0 so the crossfade runs
+      setTimeout(() => previous.forEach((old) => old.remove()), FADE_MS);
+    } else {
+      previous.forEach((old) => old.remove());
+    }
+    slide.classList.add("is-active");
+
+    document.getElementById("slideshowCaption").textContent = photo.caption || "";
+    document.getElementById("slideshowCounter").textContent = (_pos + 1) + " / " + _order.length;
+    // Only when stepping by hand; a running show would talk over itself
+    if (!_playing && typeof A11y !== "undefined") A11y.announce("Photo " + (_pos + 1) + " of " + _order.length);
+    preload(_pos + 1);
+    schedule();
+  }
+
+  /** Fetch the next post's first image so it is ready to fade in */
+  function preload(pos) {
+    const photo = _photos[_order[pos]];
+    if (!photo) return;
+    const first = CarouselFactory.getMedia(photo)[0];
+    if (!first || first.type === "video") return;
+    const img = new Image();
+    img.src = CarouselFactory.mediaUrl(photo._palBaseUrl || "", first.web);
+  }
+
+  /** Slow zoom and pan across an image, alternating in and out */
+  function kenBurns(img) {
+    if (img.classList.contains("slideshow-kenburns")) return;
+    _kenBurnsOut = !_kenBurnsOut;
+    img.classList.add("slideshow-kenburns");
+    img.classList.toggle("slideshow-kenburns-out", _kenBurnsOut);
+  }
+
+  // ---- Timing ----
+
+  /** Wait on the current frame: a video until it ends, anything else for the interval */
+  function schedule() {
+    clearTimeout(_timer);
+    const step = ++_step;
+    const frame = currentFrame();
+    if (!frame) return;
+    if (frame.tagName === "IMG" && transition() === "kenburns") kenBurns(frame);
+    if (!_playing) return;
+
+    const later = () => {
+      _timer = setTimeout(() => {
+        if (step === _step) next();
+      }, _settings.interval * 1000);
+    };
+    if (frame.tagName !== "VIDEO") {
+      later();
+      return;
+    }
+    frame.addEventListener("ended", () => {
+      if (step === _step) next();
+    }, { once: true });
+    frame.play().catch(() => {
+      // Autoplay with sound needs a tap first; try muted, else treat it as a photo
+      if (step !== _step) return;
+      frame.muted = true;
+      frame.play().catch(() => {
+        if (step === _step) later();
+      });
+    });
+  }
+
+  function slideCarousel(carousel, idx) {
+    const track = carousel.querySelector(".carousel-track");
+    if (track) {
+      track.style.transition = "transform 0.3s ease";
+      setTimeout(() => { track.style.transition = ""; }, 300);
+    }
+    carousel._goTo(idx);
+    schedule();
+  }
+
+  /** Next carousel slide, else the next post (wrapping when looping) */
+  function next() {
+    const el = currentMedia();
+    if (el && el._goTo && el._currentSlide() < el._slideCount() - 1) {
+      slideCarousel(el, el._currentSlide() + 1);
+      return;
+    }
+    if (_pos < _order.length - 1) {
+      _pos++;
+    } else if (_settings.loop) {
+      _order = buildOrder(-1); // a fresh shuffle each time round
+      _pos = 0;
+    } else {
+      pause(); // stay on the last post
+      return;
+    }
+    render();
+  }
+
+  function prev() {
+    const el = currentMedia();
+    if (el && el._goTo && el._currentSlide() > 0) {
+      slideCarousel(el, el._currentSlide() - 1);
+      return;
+    }
+    if (_pos > 0) _pos--;
+    else if (_settings.loop) _pos = _order.length - 1;
+    else return;
+    render();
+  }
+
+  function play() {
+    _playing = true;
+    syncControls();
+    schedule();
+  }
+
+  function pause() {
+    _playing = false;
+    _step++;
+    clearTimeout(_timer);
+    const frame = currentFrame();
+    if (frame && frame.tagName === "VIDEO") frame.pause();
+    syncControls();
+  }
+
+  // ---- Controls ----
+  function syncControls() {
+    _el.classList.toggle("is-paused", !_playing);
+    _el.style.setProperty("--slideshow-interval", _settings.interval + "s");
+
+    const toggle = document.getElementById("slideshowToggle");
+    toggle.innerHTML = `<i class="bi ${_playing ? "bi-pause-fill" : "bi-play-fill"}"></i>`;
+    toggle.setAttribute("aria-label", _playing ? "Pause" : "Play");
+    toggle.title = (_playing ? "Pause" : "Play") + " (Space)";
+
+    [["slideshowShuffle", _settings.shuffle], ["slideshowLoop", _settings.loop]].forEach(([id, on]) => {
+      const btn = document.getElementById(id);
+      btn.classList.toggle("active", on);
+      btn.setAttribute("aria-pressed", String(on));
+    });
+    document.getElementById("slideshowInterval").value = String(_settings.interval);
+    document.getElementById("slideshowTransition").value = _settings.transition;
+
+    const fullscreen = document.getElementById("slideshowFullscreen");
+    const isFull = fullscreenElement() === _el;
+    fullscreen.classList.toggle("d-none", !(_el.requestFullscreen || _el.webkitRequestFullscreen));
+    fullscreen.innerHTML = `<i class="bi ${isFull ? "bi-fullscreen-exit" : "bi-fullscreen"}"></i>`;
+    fullscreen.setAttribute("aria-label", isFull ? "Exit full screen" : "Full screen");
+  }
+
+  /** Show the controls, hiding them again after a while of no pointer movement */
+  function wakeControls() {
+    _el.classList.add("show-controls");
+    clearTimeout(_controlsTimer);
+    _controlsTimer = setTimeout(() => _el.classList.remove("show-controls"), CONTROLS_HIDE_MS);
+  }
+
+  // ---- Fullscreen ----
+  function fullscreenElement() {
+    return document.fullscreenElement || document.webkitFullscreenElement || null;
+  }
+
+  function toggleFullscreen() {
+    const request = _el.requestFullscreen || _el.webkitRequestFullscreen;
+    if (!request) return; // e.g. iPhone Safari
+    const result = fullscreenElement()
+      ? (document.exitFullscreen || document.webkitExitFullscreen).call(document)
+      : request.call(_el);
+    if (result && result.catch) result.catch((err) => console.warn("Slideshow: full screen failed", err));
+  }
+
+  // ---- Open / close ----
+  function isOpen() {
+    return !!_el && !_el.classList.contains("d-none");
+  }
+
+  /**
+   * Open the slideshow and start playing.
+   * @param {Array} photos - posts to show, in order
+   * @param {Object} [options]
+   *   startIndex {number}   – post to begin with (default 0)
+   *   onClose    {Function} – (index) → called on close with the index
+   *                           in photos of the last post shown
+   */
+  function start(photos, options = {}) {
+    if (!_el || typeof CarouselFactory === "undefined" || !photos || photos.length === 0) return;
+    _photos = photos.slice();
+    const first = Math.min(Math.max(options.startIndex || 0, 0), _photos.length - 1);
+    _order = buildOrder(first);
+    _pos = _order.indexOf(first);
+    _onClose = options.onClose || null;
+
+    if (!isOpen()) {
+      const previous = document.activeElement;
+      _releaseFocus = typeof A11y !== "undefined" ? A11y.trapFocus(_el) : () => previous && previous.focus();
+      _bodyOverflow = document.body.style.overflow;
+      document.body.style.overflow = "hidden";
+      _el.classList.remove("d-none");
+    }
+    _playing = true;
+    syncControls();
+    render();
+    wakeControls();
+    document.getElementById("slideshowToggle").focus();
+  }
+
+  function close() {
+    if (!isOpen()) return;
+    _playing = false;
+    _step++;
+    clearTimeout(_timer);
+    clearTimeout(_controlsTimer);
+    if (fullscreenElement() === _el) toggleFullscreen();
+    _stage.querySelectorAll("video").forEach((v) => v.pause());
+    _stage.innerHTML = "";
+    _el.classList.add("d-none");
+    document.body.style.overflow = _bodyOverflow;
+
+    const onClose = _onClose;
+    _onClose = null;
+    if (_releaseFocus) _releaseFocus();
+    _releaseFocus = null;
+    if (onClose) onClose(currentIndex());
+  }
+
+  function init() {
+    _el = document.getElementById("slideshow");
+    _stage = document.getElementById("slideshowStage");
+    if (!_el || !_stage) return;
+    _settings = loadSettings();
+
+    document.getElementById("slideshowToggle").addEventListener("click", () => (_playing ? pause() : play()));
+    document.getElementById("slideshowNext").addEventListener("click", next);
+    document.getElementById("slideshowPrev").addEventListener("click", prev);
+    document.getElementById("slideshowClose").addEventListener("click", close);
+    document.getElementById("slideshowFullscreen").addEventListener("click", toggleFullscreen);
+
+    document.getElementById("slideshowShuffle").addEventListener("click", () => {
+      _settings.shuffle = !_settings.shuffle;
+      saveSettings();
+      // Keep the current post, re-order the rest
+      const index = currentIndex();
+      _order = buildOrder(index);
+      _pos = _order.indexOf(index);
+      document.getElementById("slideshowCounter").textContent = (_pos + 1) + " / " + _order.length;
+      syncControls();
+    });
+
+    document.getElementById("slideshowLoop").addEventListener("click", () => {
+      _settings.loop = !_settings.loop;
+      saveSettings();
+      syncControls();
+    });
+
+    document.getElementById("slideshowInterval").addEventListener("change", (e) => {
+      _settings.interval = Number(e.target.value) || DEFAULTS.interval;
+      saveSettings();
+      syncControls();
+      schedule(); // restart the wait with the new interval
+    });
+
+    document.getElementById("slideshowTransition").addEventListener("change", (e) => {
+      _settings.transition = TRANSITIONS.includes(e.target.value) ? e.target.value : DEFAULTS.transition;
+      saveSettings();
+      _stage.querySelectorAll(".slideshow-kenburns").forEach((img) => {
+        img.classList.remove("slideshow-kenburns", "slideshow-kenburns-out");
+      });
+      syncControls();
+      schedule();
+    });
+
+    ["fullscreenchange", "webkitfullscreenchange"].forEach((type) => {
+      document.addEventListener(type, () => {
+        if (isOpen()) syncControls();
+      });
+    });
+
+    _el.addEventListener("mousemove", wakeControls);
+    _el.addEventListener("touchstart", wakeControls, { passive: true });
+    _el.addEventListener("focusin", wakeControls);
+
+    document.addEventListener("keydown", (e) => {
+      if (!isOpen() || e.target.closest("select")) return;
+      if (e.key === "Escape") {
+        close();
+      } else if (e.key === "ArrowRight") {
+        next();
+      } else if (e.key === "ArrowLeft") {
+        prev();
+      } else if (e.key === " " && !e.target.closest("button")) {
+        e.preventDefault();
+        if (_playing) pause();
+        else play();
+      } else if (e.key === "f" || e.key === "F") {
+        toggleFullscreen();
+      } else {
+        return;
+      }
+      // The lightbox and post page underneath have their own keys
+      e.stopImmediatePropagation();
+      wakeControls();
+    });
+  }
+
+  return { init, start, close, isOpen };
+})();
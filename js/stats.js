@@ -0,0 +1,354 @@
+/**
+ * stats.js – Posting, camera and lens statistics.
+ *
+ * Counts the visible posts per month and year, by camera body, lens,
+ * focal length, aperture, ISO and location, and draws the last year
+ * as a calendar heatmap with the longest and current posting streak.
+ *
+ * Every bar and calendar day links to a search for its posts, using
+ * SearchModule's field terms (camera:"Canon EOS R5", date:2024-05,
+ * focal:24-35 …). In the Stats tab a click filters the grid; the
+ * admin's Stats section opens the site's grid in a new tab instead.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const StatsModule = (() => {
+  "use strict";
+
+  const TOP = 10; // cameras, lenses and locations listed
+  const DAY_MS = 86400000;
+  const HEATMAP_DAYS = 365;
+  // Range edges; each range includes its lower edge (see search.js)
+  const FOCAL_EDGES = [16, 24, 35, 50, 85, 135];
+  const APERTURE_EDGES = [2, 2.8, 4, 5.6, 8, 11];
+  const ISO_EDGES = [200, 400, 800, 1600, 3200, 6400];
+
+  let _photos = [];
+  let _dirty = true; // posts changed since the tab was last drawn
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  function plural(count, word) {
+    return count + " " + word + (count !== 1 ? "s" : "");
+  }
+
+  // ---- Dates ----
+
+  /** Local YYYY-MM-DD of a Date */
+  function dayKey(date) {
+    return date.getFullYear() + "-" + String(date.getMonth() + 1).padStart(2, "0") + "-" +
+      String(date.getDate()).padStart(2, "0");
+  }
+
+  /** Days since the epoch of a YYYY-MM-DD key, for counting runs */
+  function dayNumber(key) {
+    const [y, m, d] = key.split("-").map(Number);
+    return Date.UTC(y, m - 1, d) / DAY_MS;
+  }
+
+  function formatMonth(key) {
+    const [y, m] = key.split("-").map(Number);
+    return new Date(y, m - 1, 1).toLocaleDateString("en-US", { year: "numeric", month: "long" });
+  }
+
+  function formatDay(key) {
+    const [y, m, d] = key.split("-").map(Number);
+    return new Date(y, m - 1, d).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
+  }
+
+  // ---- Counting ----
+
+  /** Count posts by a key; keys of "" are left out */
+  function countBy(posts, keyOf) {
+    const counts = new Map();
+    posts.forEach((p) => {
+      const key = keyOf(p);
+      if (key) counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return counts;
+  }
+
+  /** The TOP most common values of a text field, as bars */
+  function topValues(posts, field) {
+    return [...countBy(posts, (p) => String(p[field] || ""))]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, TOP)
+      .map(([value, count]) => ({ label: value, count, query: field + ':"' + value + '"' }));
+  }
+
+  /**
+   * Posts per range of an exposure value, as bars (empty ranges too,
+   * so the shape of the distribution shows).
+   * @param {Array} exposures - ExifModule.exposureOf() of each post
+   * @param {string} field - focalLength, aperture or iso
+   * @param {string} term - search field term: focal, aperture or iso
+   * @param {number[]} edges
+   * @param {Object} unit - { prefix, suffix } around the numbers
+   */
+  function ranges(exposures, field, term, edges, unit) {
+    const counts = new Array(edges.length + 1).fill(0);
+    exposures.forEach((exposure) => {
+      const value = exposure[field];
+      if (!value) return;
+      const i = edges.findIndex((edge) => value < edge);
+      counts[i === -1 ? edges.length : i]++;
+    });
+    const { prefix = "", suffix = "" } = unit;
+    return counts.map((count, i) => {
+      const min = i > 0 ? edges[i - 1] : "";
+      const max = i < edges.length ? edges[i] : "";
+      let label;
+      if (min === "") label = "< " + prefix + max + suffix;
+      else if (max === "") label = prefix + min + "+" + suffix;
+      else label = prefix + min + "–" + max + suffix;
+      return { label, count, query: term + ":" + min + "-" + max };
+    });
+  }
+
+  /** Every month from the first post's to the last's, empty ones included */
+  function months(posts) {
+    const counts = countBy(posts, (p) => (/^\d{4}-\d{2}/.test(p.date || "") ? p.date.slice(0, 7) : ""));
+    const keys = [...counts.keys()].sort();
+    if (!keys.length) return [];
+    const out = [];
+    let [y, m] = keys[0].split("-").map(Number);
+    const last = keys[keys.length - 1];
+    for (;;) {
+      const key = y + "-" + String(m).padStart(2, "0");
+      out.push({ key, label: formatMonth(key), count: counts.get(key) || 0, query: "date:" + key });
+      if (key >= last) break;
+      m++;
+      if (m > 12) { m = 1; y++; }
+    }
+    return out;
+  }
+
+  /** Longest run of consecutive posting days, and the one still going (today or yesterday) */
+  function streaks(dayCounts) {
+    const numbers = [...dayCounts.keys()].map(dayNumber).sort((a, b) => a - b);
+    let longest = 0;
+    let run = 0;
+    numbers.forEach((n, i) => {
+      run = i > 0 && n === numbers[i - 1] + 1 ? run + 1 : 1;
+      longest = Math.max(longest, run);
+    });
+    const lastDay = numbers[numbers.length - 1];
+    const current = numbers.length && dayNumber(dayKey(new Date())) - lastDay <= 1 ? run : 0;
+    return { longest, current };
+  }
+
+  /**
+   * Work out the stats of a list of posts (hidden ones are skipped).
+   * @param {Array} photos - photos.json entries
+   * @returns {Object} { count, cameraCount, lensCount, months, years,
+   *   cameras, lenses, focal, aperture, iso, locations, days, streaks };
+   *   bars are { label, count, query }
+   */
+  function compute(photos) {
+    const posts = (photos || []).filter((p) => p && p.hidden !== true);
+    const exposures = posts.map((p) => (typeof ExifModule !== "undefined" ? ExifModule.exposureOf(p) : p));
+    const days = countBy(posts, (p) => (/^\d{4}-\d{2}-\d{2}/.test(p.date || "") ? p.date.slice(0, 10) : ""));
+    const years = [...countBy(posts, (p) => (/^\d{4}/.test(p.date || "") ? p.date.slice(0, 4) : ""))]
+      .sort((a, b) => b[0].localeCompare(a[0]))
+      .map(([year, count]) => ({ label: year, count, query: "date:" + year }));
+
+    return {
+      count: posts.length,
+      cameraCount: countBy(posts, (p) => String(p.camera || "")).size,
+      lensCount: countBy(posts, (p) => String(p.lens || "")).size,
+      months: months(posts),
+      years,
+      cameras: topValues(posts, "camera"),
+      lenses: topValues(posts, "lens"),
+      focal: ranges(exposures, "focalLength", "focal", FOCAL_EDGES, { suffix: " mm" }),
+      aperture: ranges(exposures, "aperture", "aperture", APERTURE_EDGES, { prefix: "f/" }),
+      iso: ranges(exposures, "iso", "iso", ISO_EDGES, {}),
+      locations: topValues(posts, "location"),
+      days,
+      streaks: streaks(days),
+    };
+  }
+
+  // ---- Drawing ----
+
+  /** Opening tag of a link to a bar's posts, or of a plain box when it has none */
+  function open(item, options, className, extra = "") {
+    if (!item.count) return `<span class="${className} is-empty"${extra}>`;
+    const target = options.target ? ` target="${options.target}" rel="noopener"` : "";
+    return `<a class="${className}" href="${escapeHtml(options.href(item.query))}" data-query="${escapeHtml(item.query)}"${target}${extra}>`;
+  }
+
+  function close(item) {
+    return item.count ? "</a>" : "</span>";
+  }
+
+  /** Horizontal bars: label, bar, count */
+  function barsHtml(items, options) {
+    if (!items.some((item) => item.count)) return '<p class="stats-none">Nothing recorded yet.</p>';
+    const max = Math.max(...items.map((item) => item.count));
+    return '<div class="stats-bars">' + items.map((item) => `
+      ${open(item, options, "stats-bar", ` aria-label="${escapeHtml(item.label)}: ${plural(item.count, "post")}"`)}
+        <span class="stats-bar-label">${escapeHtml(item.label)}</span>
+        <span class="stats-bar-track"><span class="stats-bar-fill" style="width:${(item.count / max) * 100}%"></span></span>
+        <span class="stats-bar-count">${item.count}</span>
+      ${close(item)}`).join("") + "</div>";
+  }
+
+  /** Posts per month as columns, oldest on the left */
+  function monthsHtml(items, options) {
+    if (!items.length) return '<p class="stats-none">Nothing recorded yet.</p>';
+    const max = Math.max(...items.map((item) => item.count));
+    const columns = items.map((item) => {
+      const title = ` title="${item.label}: ${plural(item.count, "post")}"`;
+      return `${open(item, options, "stats-month", title + (item.count ? ` aria-label="${item.label}: ${plural(item.count, "post")}"` : ""))}
+        <span class="stats-month-fill" style="height:${(item.count / max) * 100}%"></span>
+      ${close(item)}`;
+    }).join("");
+    return `
+      <div class="stats-months">${columns}</div>
+      <div class="stats-months-axis"><span>${items[0].label}</span><span>${items[items.length - 1].label}</span></div>`;
+  }
+
+  /** The last year, a column per week and a row per weekday, shaded by posts */
+  function calendarHtml(days, options) {
+    const today = new Date();
+    const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (HEATMAP_DAYS - 1));
+    day.setDate(day.getDate() - day.getDay()); // back to Sunday, so rows are weekdays
+    let cells = "";
+    while (day <= today) {
+      const key = dayKey(day);
+      const count = days.get(key) || 0;
+      const label = (count ? plural(count, "post") : "No posts") + " on " + formatDay(key);
+      const item = { count, query: "date:" + key };
+      cells += open(item, options, "stats-day", ` data-level="${Math.min(count, 4)}" title="${label}"` +
+        (count ? ` aria-label="${label}"` : "")) + close(item);
+      day.setDate(day.getDate() + 1);
+    }
+    return `
+      <div class="stats-calendar-scroll"><div class="stats-calendar">${cells}</div></div>
+      <div class="stats-calendar-legend" aria-hidden="true">
+        Less <span class="stats-day" data-level="0"></span><span class="stats-day" data-level="1"></span><span class="stats-day" data-level="2"></span><span class="stats-day" data-level="3"></span><span class="stats-day" data-level="4"></span> More
+      </div>`;
+  }
+
+  function section(title, icon, body) {
+    return `
+      <section class="stats-card">
+        <h2 class="stats-title"><i class="bi ${icon} me-2"></i>${title}</h2>
+        ${body}
+      </section>`;
+  }
+
+  /**
+   * Draw the dashboard into a container.
+   * @param {HTMLElement} container
+   * @param {Array} photos - photos.json entries
+   * @param {Object} [options]
+   *   href     {Function} – (query) → URL of the posts matching a search
+   *                         (default "#q=<query>", this page's search)
+   *   target   {string}   – link target, e.g. "_blank"
+   *   onSelect {Function} – (query) → called instead of following a link
+   */
+  function render(container, photos, options = {}) {
+    const opts = { href: (query) => "#q=" + encodeURIComponent(query), ...options };
+    const stats = compute(photos);
+    if (!stats.count) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <i class="bi bi-bar-chart"></i>
+          <p class="h6">No Stats Yet</p>
+          <p class="small">Stats appear once there are posts.</p>
+        </div>`;
+      return;
+    }
+
+    const { longest, current } = stats.streaks;
+    container.innerHTML = `
+      <div class="stats-summary">
+        <div><strong>${stats.count}</strong><span>posts</span></div>
+        <div><strong>${stats.cameraCount}</strong><span>cameras</span></div>
+        <div><strong>${stats.lensCount}</strong><span>lenses</span></div>
+        <div><strong>${longest}</strong><span>longest streak (days)</span></div>
+        <div><strong>${current}</strong><span>current streak</span></div>
+      </div>
+      ${section("Posts per month", "bi-calendar3", monthsHtml(stats.months, opts))}
+      ${section("Posting calendar", "bi-calendar-check", calendarHtml(stats.days, opts))}
+      <div class="stats-grid">
+        ${section("Posts per year", "bi-calendar", barsHtml(stats.years, opts))}
+        ${section("Cameras", "bi-camera", barsHtml(stats.cameras, opts))}
+        ${section("Lenses", "bi-aperture", barsHtml(stats.lenses, opts))}
+        ${section("Focal length", "bi-arrows-angle-expand", barsHtml(stats.focal, opts))}
+        ${section("Aperture", "bi-circle-half", barsHtml(stats.aperture, opts))}
+        ${section("ISO", "bi-brightness-high", barsHtml(stats.iso, opts))}
+        ${section("Top locations", "bi-geo-alt", barsHtml(stats.locations, opts))}
+      </div>`;
+
+    // Newest months and days are on the right
+    container.querySelectorAll(".stats-months, .stats-calendar-scroll").forEach((el) => {
+      el.scrollLeft = el.scrollWidth;
+    });
+
+    if (opts.onSelect) {
+      container.onclick = (e) => {
+        const link = e.target.closest("a[data-query]");
+        if (!link || e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+        e.preventDefault();
+        opts.onSelect(link.dataset.query);
+      };
+    }
+  }
+
+  // ---- Stats tab ----
+
+  function draw() {
+    const container = document.getElementById("statsDashboard");
+    if (!container) return;
+    _dirty = false;
+    render(container, _photos, {
+      onSelect: (query) => {
+        if (typeof SearchModule === "undefined") {
+          window.location.hash = "#q=" + encodeURIComponent(query);
+          return;
+        }
+        SearchModule.search(query);
+        const gridTab = document.getElementById("grid-tab");
+        if (gridTab) bootstrap.Tab.getOrCreateInstance(gridTab).show();
+        window.scrollTo({ top: 0, behavior: "smooth" });
+      },
+    });
+  }
+
+  function isActive() {
+    const pane = document.getElementById("stats-view");
+    return !!pane && pane.classList.contains("active");
+  }
+
+  /** Redraw after posts were added to the photos array (sharded manifests) */
+  function refresh() {
+    _dirty = true;
+    if (isActive()) draw();
+  }
+
+  /**
+   * Set up the Stats tab; it is drawn when first shown.
+   * @param {Array} photos - every post (grows in place as pages load)
+   */
+  function init(photos) {
+    _photos = photos || [];
+    _dirty = true;
+    const tab = document.getElementById("stats-tab");
+    if (tab) {
+      tab.addEventListener("shown.bs.tab", () => {
+        if (_dirty) draw();
+      });
+    }
+  }
+
+  return { init, refresh, render, compute };
+})();
@@ -0,0 +1,269 @@
+/**
+ * tags.js – Hashtag / @mention parsing for captions and the tag browse view.
+ *
+ * URL scheme:  #tag=<name>
+ * Captions are rendered with #hashtags linking to a grid of every post
+ * carrying that tag, and @mentions linking to the matching pal's site
+ * (matched against the usernames in each pal's photos.json profile).
+ *
+ * parse() and format() are DOM-free so the admin page can share them.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const TagsModule = (() => {
+  "use strict";
+
+  const PALS_URL = "palgram/pals.json";
+
+  // A tag/mention must not be glued to a preceding word character,
+  // so "foo#bar" and "me@example.com" are left alone.
+  const TAG_RE = /(^|[^\p{L}\p{N}_&/])#([\p{L}\p{N}_]+)/gu;
+  const MENTION_RE = /(^|[^\p{L}\p{N}_.])@([A-Za-z0-9_]+(?:\.[A-Za-z0-9_]+)*)/gu;
+
+  let _photos = [];
+  let _palsByUsername = {}; // lowercased username → pal base URL
+  let _currentTag = null;
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Extract the unique, lowercased hashtags from a caption.
+   * @param {string} caption
+   * @returns {Array<string>}
+   */
+  function parse(caption) {
+    const tags = [];
+    if (!caption) return tags;
+    for (const m of String(caption).matchAll(TAG_RE)) {
+      const tag = m[2].toLowerCase();
+      if (!tags.includes(tag)) tags.push(tag);
+    }
+    return tags;
+  }
+
+  /**
+   * Render a caption as HTML with linked #hashtags and @mentions.
+   * The caption text itself is escaped.
+   * @param {string} caption
+   * @param {Object} [options]
+   *   baseUrl {string} – pal base URL; tags then link to the pal's site
+   * @returns {string}
+   */
+  function format(caption, options = {}) {
+    if (!caption) return "";
+    const baseUrl = options.baseUrl || "";
+    const external = baseUrl ? ' target="_blank" rel="noopener"' : "";
+
+    // Split into plain text and tokens so only plain text gets escaped
+    const text = String(caption);
+    const tokens = [];
+    for (const m of text.matchAll(TAG_RE)) {
+      tokens.push({ start: m.index + m[1].length, end: m.index + m[0].length, type: "tag", name: m[2] });
+    }
+    for (const m of text.matchAll(MENTION_RE)) {
+      tokens.push({ start: m.index + m[1].length, end: m.index + m[0].length, type: "mention", name: m[2] });
+    }
+    tokens.sort((a, b) => a.start - b.start);
+
+    let html = "";
+    let pos = 0;
+    tokens.forEach((t) => {
+      if (t.start < pos) return; // overlapping match
+      html += escapeHtml(text.slice(pos, t.start));
+      const name = escapeHtml(t.name);
+      if (t.type === "tag") {
+        const href = baseUrl + "#tag=" + encodeURIComponent(t.name.toLowerCase());
+        html += `<a href="${href}" class="caption-tag"${external}>#${name}</a>`;
+      } else {
+        html += mentionHtml(t.name);
+      }
+      pos = t.end;
+    });
+    html += escapeHtml(text.slice(pos));
+    return html;
+  }
+
+  /** A mention becomes a link once the pal is known, a span until then */
+  function mentionHtml(username) {
+    const name = escapeHtml(username);
+    const palUrl = _palsByUsername[username.toLowerCase()];
+    if (palUrl) {
+      return `<a href="${escapeHtml(palUrl)}" class="caption-mention" target="_blank" rel="noopener">@${name}</a>`;
+    }
+    return `<span class="caption-mention" data-mention="${name}">@${name}</span>`;
+  }
+
+  /** Upgrade rendered mention spans to links now that pals are loaded */
+  function linkMentions(root) {
+    (root || document).querySelectorAll("span.caption-mention[data-mention]").forEach((span) => {
+      const username = span.dataset.mention;
+      if (!_palsByUsername[username.toLowerCase()]) return;
+      const tmp = document.createElement("span");
+      tmp.innerHTML = mentionHtml(username);
+      span.replaceWith(tmp.firstChild);
+    });
+  }
+
+  /** Load pals.json and each pal's profile username for @mention links */
+  async function loadPals() {
+    let pals = [];
+    try {
+      const res = await fetch(PALS_URL, { cache: "no-cache" });
+      if (res.ok) pals = (await res.json()).pals || [];
+    } catch (e) {
+      console.warn("Tags: could not load pals.json", e);
+      return;
+    }
+
+    await Promise.all(pals.map(async (pal) => {
+      if (!pal || !pal.url) return;
+      const base = pal.url.endsWith("/") ? pal.url : pal.url + "/";
+      try {
+        // Profile only: no need for a sharded site's photo pages
+        const feed = await Manifest.load(base, { pages: 0 });
+        const username = feed.profile.username;
+        if (username) _palsByUsername[username.toLowerCase()] = base;
+      } catch (e) {
+        console.warn("Tags: could not fetch profile for " + base, e);
+      }
+    }));
+
+    linkMentions(document);
+  }
+
+  /**
+   * Register a pal's username so mentions of it link to their site.
+   * Called by PalgramModule once it has fetched a pal's profile.
+   */
+  function registerPal(username, baseUrl) {
+    if (!username || !baseUrl) return;
+    _palsByUsername[username.toLowerCase()] = baseUrl;
+  }
+
+  /** All local photos whose caption contains the tag */
+  function photosWithTag(tag) {
+    const t = tag.toLowerCase();
+    return _photos.filter((p) => parse(p.caption).includes(t));
+  }
+
+  // =========================================================
+  //  Tag browse view
+  // =========================================================
+  function showTag(tag) {
+    const view = document.getElementById("tagView");
+    const grid = document.getElementById("tagGrid");
+    if (!view || !grid) return;
+    _currentTag = tag.toLowerCase();
+
+    const tagPhotos = photosWithTag(_currentTag);
+    document.getElementById("tagViewTitle").textContent = "#" + _currentTag;
+    document.getElementById("tagViewCount").textContent =
+      tagPhotos.length + " post" + (tagPhotos.length !== 1 ? "s" : "");
+
+    grid.innerHTML = "";
+    grid._tagPhotos = tagPhotos;
+    if (tagPhotos.length === 0) {
+      grid.innerHTML = `
+        <div class="col-12 empty-state">
+          <i class="bi bi-hash"></i>
+          <p class="h6">No Posts Tagged #${escapeHtml(_currentTag)}</p>
+        </div>`;
+    } else if (typeof GridModule !== "undefined") {
+      const fragment = document.createDocumentFragment();
+      tagPhotos.forEach((photo, i) => fragment.appendChild(GridModule.createItem(photo, i)));
+      grid.appendChild(fragment);
+    }
+
+    view.classList.remove("d-none");
+    toggleMainViews(false);
+    if (typeof LazyLoad !== "undefined") LazyLoad.refresh();
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  }
+
+  function hideTag() {
+    const view = document.getElementById("tagView");
+    if (!view || _currentTag === null) return;
+    _currentTag = null;
+    view.classList.add("d-none");
+    toggleMainViews(true);
+  }
+
+  /** Show/hide the tabbed views and search while a tag is displayed */
+  function toggleMainViews(visible) {
+    const tabs = document.getElementById("viewTabContent");
+    const search = document.getElementById("searchBar");
+    if (tabs) tabs.classList.toggle("d-none", !visible);
+    if (search) search.classList.toggle("d-none", !visible);
+  }
+
+  function tagFromHash() {
+    const hash = window.location.hash;
+    if (!hash.startsWith("#tag=")) return null;
+    try {
+      return decodeURIComponent(hash.slice(5));
+    } catch (e) {
+      return hash.slice(5);
+    }
+  }
+
+  function checkHash() {
+    const tag = tagFromHash();
+    if (tag) showTag(tag);
+    else hideTag();
+  }
+
+  function init(photos) {
+    _photos = photos || [];
+
+    const grid = document.getElementById("tagGrid");
+    if (grid) {
+      grid.addEventListener("click", (e) => {
+        const item = e.target.closest(".grid-item");
+        if (!item) return;
+        const idx = parseInt(item.dataset.index, 10);
+        if (typeof LightboxModule !== "undefined" && grid._tagPhotos) {
+          LightboxModule.setPhotos(grid._tagPhotos);
+          LightboxModule.open(idx);
+        }
+      });
+    }
+
+    const closeBtn = document.getElementById("tagViewClose");
+    if (closeBtn) {
+      closeBtn.addEventListener("click", () => {
+        history.replaceState(null, "", window.location.pathname + window.location.search);
+        hideTag();
+      });
+    }
+
+    // Closing the lightbox clears the hash; put the tag back
+    const modalEl = document.getElementById("lightboxModal");
+    if (modalEl) {
+      modalEl.addEventListener("hidden.bs.modal", () => {
+        if (_currentTag) {
+          history.replaceState(null, "", "#tag=" + encodeURIComponent(_currentTag));
+        }
+      });
+    }
+
+    // Opening a photo from the tag grid sets #photo=; only react to tag changes
+    window.addEventListener("hashchange", () => {
+      const tag = tagFromHash();
+      if (tag) showTag(tag);
+      else if (!window.location.hash.startsWith("#photo=")) hideTag();
+    });
+
+    checkHash();
+
+    // Only fetch pal profiles if some caption actually mentions someone
+    if (_photos.some((p) => p.caption && p.caption.includes("@"))) loadPals();
+  }
+
+  return { init, parse, format, linkMentions, registerPal, photosWithTag };
+})();
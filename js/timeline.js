@@ -1,5 +1,7 @@
 /**
  * timeline.js – Renders a vertical feed of photos (Instagram-style cards).
+ * Cards are rendered a page at a time as you scroll (js/paged-list.js);
+ * j / k move between them (js/a11y.js).
  */
 
 // eslint-disable-next-line no-unused-vars
@@ -7,7 +9,9 @@ const TimelineModule = (() => {
   "use strict";
 
   const WEB_DIR = "photos/web/";
+  const PAGE_SIZE = 10;
   let _photos = [];
+  let _list = null;
   let _username = "username";
 
   function slugFor(photo) {
@@ -21,7 +25,9 @@ const TimelineModule = (() => {
   }
 
   function sharePhoto(photo) {
-    const url = window.location.origin + window.location.pathname + "#photo=" + slugFor(photo);
+    const url = typeof ShareLinks !== "undefined"
+      ? ShareLinks.photoUrl(slugFor(photo))
+      : window.location.origin + window.location.pathname + "#photo=" + slugFor(photo);
     navigator.clipboard.writeText(url).then(() => {
       showToast("Link copied to clipboard");
     }).catch(() => {
@@ -56,6 +62,14 @@ const TimelineModule = (() => {
     });
   }
 
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
   function mediaHtmlFor(photo, index) {
     if (typeof CarouselFactory !== "undefined") {
       const media = CarouselFactory.getMedia(photo);
@@ -68,12 +82,22 @@ const TimelineModule = (() => {
         return `<video class="card-img" controls playsinline preload="metadata" src="${src}"${poster}></video>`;
       }
     }
-    return `<img class="card-img lazy" data-src="${WEB_DIR}${photo.web}" alt="${photo.caption || ""}">`;
+    return `<img class="card-img lazy" data-src="${WEB_DIR}${photo.web}" alt="${escapeHtml(photo.alt || photo.caption || "")}">`;
+  }
+
+  /** Caption HTML with linked #tags and @mentions */
+  function captionHtml(photo) {
+    if (typeof TagsModule !== "undefined") return TagsModule.format(photo.caption);
+    return photo.caption;
   }
 
   function createCard(photo, index) {
     const card = document.createElement("div");
     card.className = "timeline-card";
+    card.setAttribute("data-index", index);
+    card.setAttribute("role", "article");
+    card.setAttribute("tabindex", "-1");
+    card.setAttribute("aria-label", photo.date ? "Post from " + formatDate(photo.date) : "Post");
 
     card.innerHTML = `
       <div class="card-header">
@@ -90,7 +114,7 @@ const TimelineModule = (() => {
         </button>
       </div>
       <div class="card-body">
-        ${photo.caption ? `<p class="mb-1"><strong class="username-sm">${_username}</strong> ${photo.caption}</p>` : ""}
+        ${photo.caption ? `<p class="mb-1"><strong class="username-sm">${_username}</strong> ${captionHtml(photo)}</p>` : ""}
         <p class="card-meta mb-0">${formatDate(photo.date)}</p>
         ${photo.camera ? `<p class="card-meta mb-0">${photo.camera}</p>` : ""}
       </div>
@@ -99,27 +123,53 @@ const TimelineModule = (() => {
     return card;
   }
 
-  function init(photos, profile) {
-    _photos = photos;
-    if (profile && profile.username) _username = profile.username;
+  /**
+   * Render (or re-render) the timeline with the given photos.
+   * @param {Array}  photos
+   * @param {Object} [empty] - empty-state override { icon, title, text }
+   */
+  function render(photos, empty) {
+    // Always chronological, whatever order the grid is curated in
+    _photos = typeof PostOrder !== "undefined" ? PostOrder.byDate(photos) : photos;
+    photos = _photos;
     const timeline = document.getElementById("photoTimeline");
     if (!timeline) return;
+    if (_list) _list.destroy();
+    _list = null;
+    timeline.innerHTML = "";
 
     // Empty state
     if (photos.length === 0) {
+      const e = empty || {
+        icon: "bi-camera",
+        title: "No Posts Yet",
+        text: "Add photos to <code>photos/originals/</code> and run the processing script.",
+      };
       timeline.innerHTML = `
         <div class="empty-state">
-          <i class="bi bi-camera"></i>
-          <p class="h6">No Posts Yet</p>
-          <p class="small">Add photos to <code>photos/originals/</code> and run the processing script.</p>
+          <i class="bi ${e.icon}"></i>
+          <p class="h6">${e.title}</p>
+          <p class="small">${e.text}</p>
         </div>`;
       return;
     }
 
+    _list = PagedList.create(timeline, {
+      items: photos,
+      pageSize: PAGE_SIZE,
+      pageClass: "timeline-page",
+      renderPage,
+    });
+  }
+
+  /** Fill one page with cards photos[start..end), plus month dividers */
+  function renderPage(page, start, end) {
     const fragment = document.createDocumentFragment();
-    let lastMonthKey = "";
+    // Carry the month over from the previous page's last card
+    let lastMonthKey = start > 0 ? getMonthKey(_photos[start - 1].date) : "";
 
-    photos.forEach((photo, i) => {
+    for (let i = start; i < end; i++) {
+      const photo = _photos[i];
       // Insert month/year divider when the month changes
       const monthKey = getMonthKey(photo.date);
       if (monthKey && monthKey !== lastMonthKey) {
@@ -130,20 +180,53 @@ const TimelineModule = (() => {
         lastMonthKey = monthKey;
       }
       fragment.appendChild(createCard(photo, i));
-    });
-    timeline.appendChild(fragment);
+    }
+    page.appendChild(fragment);
 
     // Replace carousel placeholders with actual carousel elements
     if (typeof CarouselFactory !== "undefined") {
-      timeline.querySelectorAll(".timeline-carousel-placeholder").forEach((placeholder) => {
+      page.querySelectorAll(".timeline-carousel-placeholder").forEach((placeholder) => {
         const idx = parseInt(placeholder.dataset.index, 10);
         const photo = _photos[idx];
         if (!photo) return;
         const media = CarouselFactory.getMedia(photo);
-        const carousel = CarouselFactory.create(media, { alt: photo.caption || "", lazy: true, className: "timeline-carousel" });
+        const carousel = CarouselFactory.create(media, { alt: photo.alt || photo.caption || "", lazy: true, className: "timeline-carousel" });
         placeholder.replaceWith(carousel);
       });
     }
+  }
+
+  /**
+   * Add posts that arrived after the first render (later pages of a
+   * sharded manifest), re-rendering only if they land above shown cards.
+   * @param {Array} more
+   */
+  function append(more) {
+    const next = typeof PostOrder !== "undefined" ? PostOrder.byDate(_photos.concat(more)) : _photos.concat(more);
+    if (!_list || _photos.some((p, i) => next[i] !== p)) {
+      render(next);
+      return;
+    }
+    _photos.push(...next.slice(_photos.length));
+    _list.grow();
+  }
+
+  /** Render down to a photo and scroll to its card (deep links, closing the lightbox) */
+  function reveal(photo) {
+    const idx = _photos.indexOf(photo);
+    if (idx === -1 || !_list) return;
+    const page = _list.reveal(idx);
+    const card = page && page.querySelector(`.timeline-card[data-index="${idx}"]`);
+    // Only scroll the timeline when it is the view on screen
+    if (card && card.offsetParent !== null) card.scrollIntoView({ block: "nearest" });
+  }
+
+  function init(photos, profile) {
+    if (profile && profile.username) _username = profile.username;
+    const timeline = document.getElementById("photoTimeline");
+    if (!timeline) return;
+
+    render(photos);
 
     // Share button click delegation
     timeline.addEventListener("click", (e) => {
@@ -152,6 +235,8 @@ const TimelineModule = (() => {
       const idx = parseInt(btn.dataset.index, 10);
       if (_photos[idx]) sharePhoto(_photos[idx]);
     });
+
+    if (typeof A11y !== "undefined") A11y.feedKeys(timeline, ".timeline-card");
   }
 
   /** Return e.g. "February 2026" from an ISO date string */
@@ -162,5 +247,5 @@ const TimelineModule = (() => {
     return d.toLocaleDateString("en-US", { year: "numeric", month: "long" });
   }
 
-  return { init };
+  return { init, render, append, reveal };
 })();
@@ -0,0 +1,368 @@
+/**
+ * validator.js – Integrity checks for data/photos.json.
+ *
+ * Shared by app.js (console warnings, unusable entries skipped) and
+ * the admin Health panel (issue list with one-click fixes).
+ *
+ * An issue is { id, level, type, message, photo?, album?, fix? } where
+ * level is "error" (breaks rendering) or "warning", and fix names a
+ * repair that fix() can apply. DOM-free apart from checkMedia(), which
+ * sends HEAD requests.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const PhotosValidator = (() => {
+  "use strict";
+
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}$/;
+  const HEAD_CONCURRENCY = 6;
+
+  // Human labels for the fixes, shown on the admin buttons
+  const FIX_LABELS = {
+    "remove-album-ref": "Remove from album",
+    "reset-cover": "Use first photo as cover",
+    "rename-slug": "Make slug unique",
+    "set-slug": "Create slug",
+    "set-album-id": "Create album ID",
+    "normalize-date": "Fix date format",
+    "clear-gps": "Clear GPS",
+    "set-thumbnail": "Use media thumbnail",
+    "remove-duplicate": "Remove duplicate entry",
+    hide: "Hide post",
+  };
+
+  /**
+   * Parse a GPS coordinate: decimal degrees or exiftool DMS
+   * ("35 deg 39' 31.20\" N"). Returns a number or null.
+   */
+  function parseCoord(value) {
+    if (value === null || value === undefined || value === "") return null;
+    if (typeof value === "number") return isFinite(value) ? value : null;
+    const str = String(value).trim();
+    if (/^-?\d+(\.\d+)?$/.test(str)) return parseFloat(str);
+
+    const m = str.match(/(-?\d+(?:\.\d+)?)\s*(?:deg|°)\s*(?:(\d+(?:\.\d+)?)\s*')?\s*(?:(\d+(?:\.\d+)?)\s*")?\s*([NSEW])?/i);
+    if (!m) return null;
+    let deg = Math.abs(parseFloat(m[1])) + (parseFloat(m[2]) || 0) / 60 + (parseFloat(m[3]) || 0) / 3600;
+    if (m[1].startsWith("-") || /[SW]/i.test(m[4] || "")) deg = -deg;
+    return deg;
+  }
+
+  function slugify(text) {
+    return String(text || "")
+      .replace(/\.[^.]+$/, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9-]/g, "-")
+      .replace(/-+/g, "-")
+      .replace(/^-|-$/g, "");
+  }
+
+  function uniqueName(base, taken) {
+    let name = base;
+    let n = 2;
+    while (taken.has(name)) name = base + "-" + n++;
+    return name;
+  }
+
+  /** "YYYY-MM-DDTHH:MM:SS" naming a real calendar date and time */
+  function isValidDate(value) {
+    if (!DATE_RE.test(value)) return false;
+    const [y, mo, d, h, mi, s] = value.split(/[-T:]/).map(Number);
+    const date = new Date(Date.UTC(y, mo - 1, d, h, mi, s));
+    return date.getUTCMonth() === mo - 1 && date.getUTCDate() === d && h < 24 && mi < 60 && s < 60;
+  }
+
+  /** Best-effort "YYYY-MM-DDTHH:MM:SS" from another date format; "" if unparseable */
+  function normalizeDate(value) {
+    const str = String(value || "").trim();
+    const exif = str.match(/^(\d{4})[:-](\d{2})[:-](\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/);
+    if (exif) {
+      const out = `${exif[1]}-${exif[2]}-${exif[3]}T${exif[4]}:${exif[5]}:${exif[6] || "00"}`;
+      return isValidDate(out) ? out : "";
+    }
+    const d = new Date(str);
+    if (!str || isNaN(d)) return "";
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}` +
+      `T${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+  }
+
+  /** Web image of a post: top-level `web`, or the first media item's */
+  function webFile(photo) {
+    if (photo.web) return photo.web;
+    const media = Array.isArray(photo.media) ? photo.media : [];
+    return media.length ? media[0].web : "";
+  }
+
+  // =========================================================
+  //  Checks
+  // =========================================================
+
+  /**
+   * Structural checks (no network). data/index.json has no photos
+   * array (its posts are in the pages), so its album references are
+   * not checked.
+   * @param {Object} data - parsed photos.json or data/index.json
+   * @returns {Array<Object>} issues
+   */
+  function validate(data) {
+    const issues = [];
+    const add = (issue) => {
+      issue.id = issue.type + ":" + (issue.photo || "") + ":" + (issue.album || "") + ":" + (issue.ref || "");
+      issues.push(issue);
+    };
+    const hasPosts = Array.isArray(data && data.photos);
+    const photos = hasPosts ? data.photos : [];
+    const albums = Array.isArray(data && data.albums) ? data.albums : [];
+
+    const filenames = new Set();
+    const slugs = new Set();
+    photos.forEach((photo, i) => {
+      const name = photo && photo.filename;
+      if (!name) {
+        add({ level: "error", type: "no-filename", ref: String(i), message: `Post #${i + 1} has no filename` });
+        return;
+      }
+      if (filenames.has(name)) {
+        add({ level: "error", type: "duplicate-filename", photo: name, ref: String(i), fix: "remove-duplicate",
+          message: `${name} appears more than once` });
+        return;
+      }
+      filenames.add(name);
+
+      if (!webFile(photo)) {
+        add({ level: "error", type: "no-web", photo: name, fix: "hide", message: `${name} has no web image` });
+      }
+      if (!photo.thumbnail) {
+        const media = Array.isArray(photo.media) && photo.media[0];
+        add({ level: "warning", type: "no-thumbnail", photo: name, fix: media && media.thumbnail ? "set-thumbnail" : undefined,
+          message: `${name} has no thumbnail — the grid falls back to the web image` });
+      }
+
+      if (!photo.slug) {
+        add({ level: "warning", type: "no-slug", photo: name, fix: "set-slug", message: `${name} has no slug, so it has no #photo= link` });
+      } else if (slugs.has(photo.slug)) {
+        add({ level: "error", type: "duplicate-slug", photo: name, fix: "rename-slug",
+          message: `${name} reuses the slug “${photo.slug}” — #photo= links open the other post` });
+      } else {
+        slugs.add(photo.slug);
+      }
+
+      if (photo.date && !isValidDate(photo.date)) {
+        add({ level: "warning", type: "bad-date", photo: name, fix: normalizeDate(photo.date) ? "normalize-date" : undefined,
+          message: `${name} has a malformed date “${photo.date}”` });
+      }
+
+      const gps = photo.gps || {};
+      if (gps.lat || gps.lon) {
+        const lat = parseCoord(gps.lat);
+        const lon = parseCoord(gps.lon);
+        if (lat === null || lon === null || Math.abs(lat) > 90 || Math.abs(lon) > 180 || (lat === 0 && lon === 0)) {
+          add({ level: "warning", type: "bad-gps", photo: name, fix: "clear-gps",
+            message: `${name} has invalid GPS “${gps.lat}, ${gps.lon}”` });
+        }
+      }
+    });
+
+    const albumIds = new Set();
+    albums.forEach((album, i) => {
+      if (!album || typeof album !== "object") {
+        add({ level: "error", type: "bad-album", ref: String(i), message: `Album #${i + 1} is not an album object` });
+        return;
+      }
+      const title = album.title || album.id || `Album #${i + 1}`;
+      if (!album.id || albumIds.has(album.id)) {
+        add({ level: "error", type: album.id ? "duplicate-album-id" : "no-album-id", album: album.id || "", ref: String(i),
+          fix: "set-album-id", message: `${title} ${album.id ? "reuses the ID “" + album.id + "”" : "has no ID"}, so its #album= link is ambiguous` });
+      } else {
+        albumIds.add(album.id);
+      }
+      if (!hasPosts) return;
+      (album.photos || []).forEach((fn) => {
+        if (!filenames.has(fn)) {
+          add({ level: "warning", type: "dangling-album-ref", album: album.id, ref: fn, fix: "remove-album-ref",
+            message: `${title} lists ${fn}, which is not in photos.json` });
+        }
+      });
+      if (album.cover && !filenames.has(album.cover)) {
+        add({ level: "warning", type: "dangling-cover", album: album.id, ref: album.cover, fix: "reset-cover",
+          message: `${title} uses ${album.cover} as cover, which is not in photos.json` });
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Check that every referenced image exists (HEAD requests).
+   * @param {Object} data - parsed photos.json
+   * @param {Object} [options]
+   *   baseUrl    {string}   – prefix for the photos/ paths (default "")
+   *   onProgress {Function} – called with (done, total)
+   * @returns {Promise<Array<Object>>} issues
+   */
+  async function checkMedia(data, options = {}) {
+    const base = options.baseUrl || "";
+    const checks = [];
+    (data.photos || []).forEach((photo) => {
+      if (!photo || !photo.filename) return;
+      const media = Array.isArray(photo.media) && photo.media.length
+        ? photo.media
+        : [{ web: photo.web, thumbnail: photo.thumbnail }];
+      const paths = new Set();
+      media.forEach((m) => {
+        if (m.web) paths.add("photos/web/" + m.web);
+        if (m.full && !/^https?:\/\//.test(m.full)) paths.add("photos/full/" + m.full);
+      });
+      if (photo.full && !/^https?:\/\//.test(photo.full)) paths.add("photos/full/" + photo.full);
+      if (photo.thumbnail) {
+        ["photos/thumbnails/", "photos/thumbnails/640/", "photos/thumbnails/360/"].forEach((dir) => paths.add(dir + photo.thumbnail));
+      }
+      paths.forEach((path) => checks.push({ photo: photo.filename, path }));
+    });
+
+    const issues = [];
+    let next = 0;
+    let done = 0;
+    async function worker() {
+      while (next < checks.length) {
+        const check = checks[next++];
+        let ok = false;
+        try {
+          ok = (await fetch(base + check.path, { method: "HEAD", cache: "no-store" })).ok;
+        } catch (e) {
+          ok = false;
+        }
+        if (!ok) {
+          issues.push({
+            id: "missing-file:" + check.photo + "::" + check.path,
+            level: "error",
+            type: "missing-file",
+            photo: check.photo,
+            ref: check.path,
+            fix: check.path.startsWith("photos/web/") ? "hide" : undefined,
+            message: `${check.photo}: ${check.path} is missing — ` + (check.path.startsWith("photos/full/")
+              ? "add it, or remove the post's \"full\" field"
+              : "run scripts/mygram.js process"),
+          });
+        }
+        done++;
+        if (options.onProgress) options.onProgress(done, checks.length);
+      }
+    }
+    await Promise.all(Array.from({ length: Math.min(HEAD_CONCURRENCY, checks.length) }, worker));
+    return issues;
+  }
+
+  // =========================================================
+  //  Repairs
+  // =========================================================
+
+  /**
+   * Apply an issue's fix to the data in place.
+   * @returns {boolean} whether anything changed
+   */
+  function fix(data, issue) {
+    const photos = data.photos || [];
+    const albums = data.albums || [];
+    const photo = issue.photo ? photos.find((p) => p && p.filename === issue.photo) : null;
+    const album = issue.album !== undefined ? albums.find((a) => a && a.id === issue.album) : null;
+
+    switch (issue.fix) {
+      case "remove-album-ref":
+        if (!album) return false;
+        album.photos = (album.photos || []).filter((fn) => fn !== issue.ref);
+        return true;
+      case "reset-cover":
+        if (!album) return false;
+        album.cover = (album.photos || []).find((fn) => photos.some((p) => p.filename === fn)) || "";
+        return true;
+      case "rename-slug": {
+        // Only the later duplicate is flagged, so the first post keeps its links
+        if (!photo) return false;
+        const taken = new Set(photos.filter((p) => p !== photo).map((p) => p.slug));
+        photo.slug = uniqueName(photo.slug, taken);
+        return true;
+      }
+      case "set-slug": {
+        if (!photo) return false;
+        const taken = new Set(photos.map((p) => p.slug));
+        photo.slug = uniqueName(slugify(photo.filename) || "post", taken);
+        return true;
+      }
+      case "set-album-id": {
+        const target = albums[parseInt(issue.ref, 10)];
+        if (!target) return false;
+        const taken = new Set(albums.filter((a) => a && a !== target).map((a) => a.id));
+        target.id = uniqueName(slugify(target.title) || "album", taken);
+        return true;
+      }
+      case "normalize-date":
+        if (!photo) return false;
+        photo.date = normalizeDate(photo.date);
+        return !!photo.date;
+      case "clear-gps":
+        if (!photo) return false;
+        photo.gps = { lat: "", lon: "" };
+        return true;
+      case "set-thumbnail":
+        if (!photo || !photo.media || !photo.media[0]) return false;
+        photo.thumbnail = photo.media[0].thumbnail;
+        return true;
+      case "remove-duplicate": {
+        const index = parseInt(issue.ref, 10);
+        if (!photos[index] || photos[index].filename !== issue.photo) return false;
+        photos.splice(index, 1);
+        return true;
+      }
+      case "hide":
+        if (!photo) return false;
+        photo.hidden = true;
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Copy of the data that the site can render: posts with no filename
+   * or web image are dropped, albums that aren't objects are dropped,
+   * album references to unknown posts are removed and broken covers
+   * replaced. For data/index.json (no photos) only the albums are
+   * cleaned up. Logs each issue once.
+   * @param {Object} data - parsed photos.json or data/index.json
+   * @returns {Object}
+   */
+  function sanitize(data) {
+    const issues = validate(data);
+    issues.forEach((issue) => {
+      const log = issue.level === "error" ? console.error : console.warn;
+      log("photos.json: " + issue.message);
+    });
+
+    const albums = (Array.isArray(data.albums) ? data.albums : [])
+      .filter((album) => album && typeof album === "object")
+      .map((album) => ({ ...album, photos: Array.isArray(album.photos) ? album.photos : [] }));
+    if (!Array.isArray(data.photos)) return { ...data, albums };
+
+    const seen = new Set();
+    const photos = data.photos
+      .filter((p) => {
+        if (!p || !p.filename || !webFile(p) || seen.has(p.filename)) return false;
+        seen.add(p.filename);
+        return true;
+      })
+      .map((p) => (p.web ? p : { ...p, web: webFile(p) }));
+    return {
+      ...data,
+      photos,
+      albums: albums.map((album) => {
+        const refs = album.photos.filter((fn) => seen.has(fn));
+        const cover = seen.has(album.cover) ? album.cover : refs[0] || "";
+        return { ...album, photos: refs, cover };
+      }),
+    };
+  }
+
+  return { validate, checkMedia, fix, sanitize, parseCoord, normalizeDate, FIX_LABELS };
+})();
@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+// ============================================================
+// generate-feeds.js
+//
+// Writes feeds of the photo stream from data/photos.json, so
+// people can follow the site in a feed reader:
+//
+//   feed.xml   – Atom 1.0
+//   feed.json  – JSON Feed 1.1 (also read by Palgram, for pals
+//                that don't publish a mygram manifest)
+//
+// One entry per visible post, newest first, with the caption,
+// every photo / video as an enclosure (attachment), #tags as
+// categories and the index.html#photo=<slug> permalink.
+//
+// Links in feeds must be absolute, so this needs profile.siteUrl
+// in photos.json (or --site-url). `mygram.js process` and
+// `mygram.js import-instagram` run it after writing sitemap.xml.
+// Set MYGRAM_ROOT to write another copy of the site.
+//
+// Requirements:
+//   Node.js 18+ (no npm packages)
+//
+// Usage:
+//   node scripts/generate-feeds.js
+//   node scripts/generate-feeds.js --limit 100
+//   node scripts/generate-feeds.js --site-url https://you.github.io/mygram/
+// ============================================================
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const PROJECT_DIR = path.resolve(process.env.MYGRAM_ROOT || path.join(__dirname, ".."));
+const JSON_FILE = path.join(PROJECT_DIR, "data", "photos.json");
+const WEB_DIR = "photos/web/";
+const ATOM_FILE = "feed.xml";
+const JSON_FEED_FILE = "feed.json";
+const DEFAULT_LIMIT = 50;
+
+// Same as TAG_RE in js/tags.js
+const TAG_RE = /(^|[^\p{L}\p{N}_&/])#([\p{L}\p{N}_]+)/gu;
+
+const MIME_TYPES = {
+  ".webp": "image/webp",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".avif": "image/avif",
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".webm": "video/webm",
+  ".mov": "video/quicktime",
+};
+
+// ---- Arguments ----
+function parseArgs(argv) {
+  const options = { siteUrl: "", limit: DEFAULT_LIMIT };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--site-url") {
+      options.siteUrl = argv[++i] || "";
+    } else if (argv[i] === "--limit") {
+      options.limit = parseInt(argv[++i], 10);
+      if (!(options.limit > 0)) fail("--limit must be a positive number");
+    } else {
+      fail("Unknown option: " + argv[i] + "\nUsage: generate-feeds.js [--site-url URL] [--limit N]");
+    }
+  }
+  return options;
+}
+
+function fail(message) {
+  console.error("❌  " + message);
+  process.exit(1);
+}
+
+// ---- Posts ----
+
+/** Same rule as slugFor() in the site's JS */
+function slugFor(photo) {
+  if (photo.slug) return photo.slug;
+  return String(photo.filename || "")
+    .replace(/\.[^.]+$/, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9-]/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+function mediaOf(photo) {
+  if (Array.isArray(photo.media) && photo.media.length > 0) return photo.media;
+  return photo.web ? [{ type: "image", web: photo.web }] : [];
+}
+
+function tagsOf(caption) {
+  const tags = new Set();
+  for (const m of String(caption || "").matchAll(TAG_RE)) tags.add(m[2].toLowerCase());
+  return [...tags];
+}
+
+/** Enclosure for a file in photos/web/: absolute URL, type and size if known */
+function enclosure(siteUrl, file) {
+  let size = null;
+  try {
+    size = fs.statSync(path.join(PROJECT_DIR, WEB_DIR, file)).size;
+  } catch (e) { /* not on disk here; size is optional */ }
+  return {
+    url: siteUrl + WEB_DIR + encodeURI(file),
+    type: MIME_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream",
+    size,
+  };
+}
+
+/** Photo dates are local times without an offset; undated posts use the manifest's mtime */
+function isoDate(date, fallback) {
+  const d = date ? new Date(date) : null;
+  return d && !isNaN(d) ? d.toISOString() : fallback;
+}
+
+/** Visible posts, newest first, as plain entries both feeds are built from */
+function entries(data, siteUrl, limit, fallbackDate) {
+  return (data.photos || [])
+    .filter((photo) => photo && photo.hidden !== true && mediaOf(photo).length > 0)
+    .map((photo) => {
+      const media = mediaOf(photo);
+      return {
+        id: siteUrl + "#photo=" + slugFor(photo),
+        url: siteUrl + "#photo=" + slugFor(photo),
+        caption: String(photo.caption || ""),
+        alt: String(photo.alt || photo.caption || ""),
+        location: String(photo.location || ""),
+        date: isoDate(photo.date, fallbackDate),
+        tags: tagsOf(photo.caption),
+        image: enclosure(siteUrl, (media.find((m) => m.type !== "video") || {}).web || media[0].poster || media[0].web),
+        attachments: media.map((m) => enclosure(siteUrl, m.web)),
+      };
+    })
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .slice(0, limit);
+}
+
+/** Feed entry title: the caption's first line, shortened, else the date */
+function titleOf(entry) {
+  const line = entry.caption.split("\n")[0].trim();
+  if (!line) return "Post from " + entry.date.slice(0, 10);
+  return line.length > 80 ? line.slice(0, 79).trimEnd() + "…" : line;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/** HTML body shared by both feeds: the first image, caption and location */
+function contentHtml(entry) {
+  let html = `<p><a href="${escapeXml(entry.url)}"><img src="${escapeXml(entry.image.url)}" alt="${escapeXml(entry.alt)}"></a></p>`;
+  if (entry.caption) html += `<p>${escapeXml(entry.caption).replace(/\n/g, "<br>")}</p>`;
+  if (entry.location) html += `<p>📍 ${escapeXml(entry.location)}</p>`;
+  return html;
+}
+
+// ---- Atom ----
+function buildAtom(profile, siteUrl, items, updated) {
+  const author = profile.fullName || profile.username || "mygram";
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(siteUrl)}</id>`,
+    `  <title>${escapeXml(author)}</title>`,
+  ];
+  if (profile.bio) lines.push(`  <subtitle>${escapeXml(profile.bio)}</subtitle>`);
+  lines.push(
+    `  <link rel="alternate" type="text/html" href="${escapeXml(siteUrl)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(siteUrl + ATOM_FILE)}"/>`,
+    `  <updated>${items.length ? items[0].date : updated}</updated>`,
+    `  <author><name>${escapeXml(author)}</name><uri>${escapeXml(siteUrl)}</uri></author>`
+  );
+  if (profile.profilePhoto) lines.push(`  <icon>${escapeXml(new URL(profile.profilePhoto, siteUrl).href)}</icon>`);
+
+  items.forEach((entry) => {
+    lines.push(
+      "  <entry>",
+      `    <id>${escapeXml(entry.id)}</id>`,
+      `    <title>${escapeXml(titleOf(entry))}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>`
+    );
+    entry.attachments.forEach((file) => {
+      const length = file.size === null ? "" : ` length="${file.size}"`;
+      lines.push(`    <link rel="enclosure" type="${file.type}"${length} href="${escapeXml(file.url)}"/>`);
+    });
+    lines.push(
+      `    <published>${entry.date}</published>`,
+      `    <updated>${entry.date}</updated>`
+    );
+    entry.tags.forEach((tag) => lines.push(`    <category term="${escapeXml(tag)}"/>`));
+    lines.push(
+      `    <content type="html">${escapeXml(contentHtml(entry))}</content>`,
+      "  </entry>"
+    );
+  });
+
+  lines.push("</feed>");
+  return lines.join("\n") + "\n";
+}
+
+// ---- JSON Feed ----
+function buildJSONFeed(profile, siteUrl, items) {
+  const author = { name: profile.fullName || profile.username || "mygram", url: siteUrl };
+  if (profile.profilePhoto) author.avatar = new URL(profile.profilePhoto, siteUrl).href;
+  const feed = {
+    version: "https://jsonfeed.org/version/1.1",
+    title: author.name,
+    home_page_url: siteUrl,
+    feed_url: siteUrl + JSON_FEED_FILE,
+  };
+  if (profile.bio) feed.description = profile.bio;
+  if (author.avatar) feed.icon = author.avatar;
+  feed.authors = [author];
+  feed.items = items.map((entry) => {
+    const item = {
+      id: entry.id,
+      url: entry.url,
+      title: titleOf(entry),
+      content_html: contentHtml(entry),
+      content_text: entry.caption,
+      image: entry.image.url,
+      date_published: entry.date,
+    };
+    if (entry.tags.length) item.tags = entry.tags;
+    item.attachments = entry.attachments.map((file) => {
+      const attachment = { url: file.url, mime_type: file.type };
+      if (file.size !== null) attachment.size_in_bytes = file.size;
+      return attachment;
+    });
+    return item;
+  });
+  return JSON.stringify(feed, null, 2) + "\n";
+}
+
+// ---- Main ----
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(JSON_FILE, "utf8"));
+  } catch (e) {
+    fail("Cannot read " + JSON_FILE + ": " + e.message);
+  }
+  const profile = data.profile || {};
+
+  let siteUrl = options.siteUrl || profile.siteUrl || "";
+  if (!siteUrl) fail("Set profile.siteUrl in data/photos.json (or pass --site-url) — feed links must be absolute");
+  try {
+    siteUrl = new URL(siteUrl).href;
+  } catch (e) {
+    fail("Not a valid site URL: " + siteUrl);
+  }
+  if (!siteUrl.endsWith("/")) siteUrl += "/";
+
+  const updated = fs.statSync(JSON_FILE).mtime.toISOString();
+  const items = entries(data, siteUrl, options.limit, updated);
+
+  fs.writeFileSync(path.join(PROJECT_DIR, ATOM_FILE), buildAtom(profile, siteUrl, items, updated));
+  fs.writeFileSync(path.join(PROJECT_DIR, JSON_FEED_FILE), buildJSONFeed(profile, siteUrl, items));
+  console.log("📰  Generated " + ATOM_FILE + " and " + JSON_FEED_FILE + " (" + items.length + " post(s))");
+}
+
+main();
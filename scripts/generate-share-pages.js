@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+// ============================================================
+// generate-share-pages.js
+//
+// Writes a small static page per post and per album, so link
+// previews (which don't run JavaScript, and never see the
+// #photo= / #album= part of a URL) show that post's photo and
+// caption instead of the site's default card:
+//
+//   p/<slug>/index.html  – og:image, caption, date, dimensions
+//   a/<id>/index.html    – album cover, title, description
+//   data/share-pages.json – { photos: [slugs], albums: [ids] }
+//
+// Each page redirects straight into index.html#photo=<slug>
+// (or #album=<id>). The site's share buttons copy the page URL
+// for anything listed in data/share-pages.json, and the plain
+// #photo= link otherwise.
+//
+// Pages for posts or albums that no longer exist (or are hidden)
+// are removed. Only folders holding a page written by this script
+// are touched. Open Graph needs absolute URLs, so this needs
+// profile.siteUrl in photos.json (or --site-url).
+// `mygram.js process` and `mygram.js import-instagram` run it
+// with the feeds; re-run it after editing captions or albums.
+// Set MYGRAM_ROOT to write another copy of the site.
+//
+// Requirements:
+//   Node.js 18+ (no npm packages)
+//
+// Usage:
+//   node scripts/generate-share-pages.js
+//   node scripts/generate-share-pages.js --site-url https://you.github.io/mygram/
+// ============================================================
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const PROJECT_DIR = path.resolve(process.env.MYGRAM_ROOT || path.join(__dirname, ".."));
+const JSON_FILE = path.join(PROJECT_DIR, "data", "photos.json");
+const INDEX_FILE = path.join(PROJECT_DIR, "data", "share-pages.json");
+const PHOTO_DIR = "p";
+const ALBUM_DIR = "a";
+const WEB_DIR = "photos/web/";
+const WEB_MAX_DIMENSION = 2048; // same as scripts/mygram.js
+const GENERATOR = "mygram share page"; // marks pages this script may replace
+const SAFE_NAME = /^[A-Za-z0-9_-]+$/;
+
+// ---- Arguments ----
+function parseArgs(argv) {
+  const options = { siteUrl: "" };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--site-url") {
+      options.siteUrl = argv[++i] || "";
+    } else {
+      fail("Unknown option: " + argv[i] + "\nUsage: generate-share-pages.js [--site-url URL]");
+    }
+  }
+  return options;
+}
+
+function fail(message) {
+  console.error("❌  " + message);
+  process.exit(1);
+}
+
+// ---- Helpers ----
+
+/** Same rule as slugFor() in the site's JS */
+function slugFor(photo) {
+  if (photo.slug) return photo.slug;
+  return String(photo.filename || "")
+    .replace(/\.[^.]+$/, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9-]/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/** The still image that represents a post: first image, else a video's poster */
+function previewFile(photo) {
+  const media = Array.isArray(photo.media) && photo.media.length > 0 ? photo.media : [{ type: "image", web: photo.web }];
+  const image = media.find((m) => m.type !== "video" && m.web);
+  if (image) return image.web;
+  return media[0].poster || "";
+}
+
+/** Size of the web image: the original scaled to fit WEB_MAX_DIMENSION */
+function webSize(photo) {
+  const width = Number(photo.width);
+  const height = Number(photo.height);
+  if (!(width > 0 && height > 0)) return null;
+  const scale = Math.min(1, WEB_MAX_DIMENSION / Math.max(width, height));
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+function formatDate(date) {
+  const d = date ? new Date(date) : null;
+  if (!d || isNaN(d)) return "";
+  return d.toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
+}
+
+function shorten(text, max) {
+  const line = String(text || "").replace(/\s+/g, " ").trim();
+  return line.length > max ? line.slice(0, max - 1).trimEnd() + "…" : line;
+}
+
+// ---- Pages ----
+
+/**
+ * A page with Open Graph / Twitter tags that forwards to the app.
+ * @param {Object} page - { title, description, url, image, size, imageAlt, published, target }
+ */
+function buildPage(page) {
+  const meta = [
+    `<meta property="og:type" content="${page.published ? "article" : "website"}">`,
+    `<meta property="og:site_name" content="${escapeHtml(page.siteName)}">`,
+    `<meta property="og:title" content="${escapeHtml(page.title)}">`,
+    `<meta property="og:description" content="${escapeHtml(page.description)}">`,
+    `<meta property="og:url" content="${escapeHtml(page.url)}">`,
+  ];
+  if (page.image) {
+    meta.push(`<meta property="og:image" content="${escapeHtml(page.image)}">`);
+    if (page.size) {
+      meta.push(`<meta property="og:image:width" content="${page.size.width}">`);
+      meta.push(`<meta property="og:image:height" content="${page.size.height}">`);
+    }
+    if (page.imageAlt) meta.push(`<meta property="og:image:alt" content="${escapeHtml(page.imageAlt)}">`);
+  }
+  if (page.published) meta.push(`<meta property="article:published_time" content="${page.published}">`);
+  meta.push(
+    `<meta name="twitter:card" content="${page.image ? "summary_large_image" : "summary"}">`,
+    `<meta name="twitter:title" content="${escapeHtml(page.title)}">`,
+    `<meta name="twitter:description" content="${escapeHtml(page.description)}">`
+  );
+  if (page.image) meta.push(`<meta name="twitter:image" content="${escapeHtml(page.image)}">`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="generator" content="${GENERATOR}">
+  <title>${escapeHtml(page.title)}</title>
+  <meta name="description" content="${escapeHtml(page.description)}">
+  <link rel="canonical" href="${escapeHtml(page.url)}">
+  ${meta.join("\n  ")}
+  <meta http-equiv="refresh" content="0; url=${escapeHtml(page.target)}">
+  <script>window.location.replace(${JSON.stringify(page.target)});</script>
+</head>
+<body>
+  <p><a href="${escapeHtml(page.target)}">${escapeHtml(page.title)}</a></p>
+</body>
+</html>
+`;
+}
+
+function photoPage(photo, profile, siteUrl) {
+  const slug = slugFor(photo);
+  const file = previewFile(photo);
+  const date = formatDate(photo.date);
+  const name = profile.username || "mygram";
+  const details = [date, photo.location].filter(Boolean).join(" · ");
+  const published = photo.date && !isNaN(new Date(photo.date)) ? new Date(photo.date).toISOString() : "";
+  return buildPage({
+    siteName: name + " — mygram",
+    title: photo.caption ? name + ": " + shorten(photo.caption, 70) : "Photo by " + name + (date ? " · " + date : ""),
+    description: photo.caption ? shorten(photo.caption, 200) + (details ? " — " + details : "") : details || "Photo by " + name,
+    url: siteUrl + PHOTO_DIR + "/" + slug + "/",
+    image: file ? siteUrl + WEB_DIR + encodeURI(file) : "",
+    size: file === photo.web ? webSize(photo) : null, // width / height describe the main image
+    imageAlt: shorten(photo.alt || photo.caption, 200),
+    published,
+    target: "../../index.html#photo=" + slug,
+  });
+}
+
+function albumPage(album, photos, profile, siteUrl) {
+  const byName = new Map(photos.map((photo) => [photo.filename, photo]));
+  const members = (album.photos || []).map((filename) => byName.get(filename)).filter(Boolean);
+  const cover = byName.get(album.cover) || members[0];
+  const file = cover ? previewFile(cover) : "";
+  const name = profile.username || "mygram";
+  const count = members.length + (members.length === 1 ? " photo" : " photos");
+  return buildPage({
+    siteName: name + " — mygram",
+    title: (album.title || "Untitled album") + " — " + name,
+    description: album.description ? shorten(album.description, 200) + " · " + count : count,
+    url: siteUrl + ALBUM_DIR + "/" + album.id + "/",
+    image: file ? siteUrl + WEB_DIR + encodeURI(file) : "",
+    size: cover && file === cover.web ? webSize(cover) : null,
+    imageAlt: album.title || "",
+    published: "",
+    target: "../../index.html#album=" + album.id,
+  });
+}
+
+/** Folders under dir whose index.html was written by this script */
+function generatedFolders(dir) {
+  let names = [];
+  try {
+    names = fs.readdirSync(dir);
+  } catch (e) {
+    return [];
+  }
+  return names.filter((name) => {
+    try {
+      return fs.readFileSync(path.join(dir, name, "index.html"), "utf8").includes(`content="${GENERATOR}"`);
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+/** Write pages into dir (name → html) and remove our pages that are gone */
+function writePages(dir, pages) {
+  const stale = generatedFolders(dir).filter((name) => !pages.has(name));
+  stale.forEach((name) => fs.rmSync(path.join(dir, name), { recursive: true, force: true }));
+  pages.forEach((html, name) => {
+    fs.mkdirSync(path.join(dir, name), { recursive: true });
+    fs.writeFileSync(path.join(dir, name, "index.html"), html);
+  });
+  return stale.length;
+}
+
+// ---- Main ----
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(JSON_FILE, "utf8"));
+  } catch (e) {
+    fail("Cannot read " + JSON_FILE + ": " + e.message);
+  }
+  const profile = data.profile || {};
+
+  let siteUrl = options.siteUrl || profile.siteUrl || "";
+  if (!siteUrl) fail("Set profile.siteUrl in data/photos.json (or pass --site-url) — link previews need absolute URLs");
+  try {
+    siteUrl = new URL(siteUrl).href;
+  } catch (e) {
+    fail("Not a valid site URL: " + siteUrl);
+  }
+  if (!siteUrl.endsWith("/")) siteUrl += "/";
+
+  const photos = (data.photos || []).filter((photo) => photo && photo.hidden !== true);
+  const skipped = [];
+
+  const photoPages = new Map();
+  photos.forEach((photo) => {
+    const slug = slugFor(photo);
+    if (!SAFE_NAME.test(slug)) skipped.push("post “" + slug + "”");
+    else if (!photoPages.has(slug)) photoPages.set(slug, photoPage(photo, profile, siteUrl));
+  });
+
+  const albumPages = new Map();
+  (data.albums || []).forEach((album) => {
+    if (!album || !SAFE_NAME.test(album.id || "")) skipped.push("album “" + ((album && album.id) || "") + "”");
+    else if (!albumPages.has(album.id)) albumPages.set(album.id, albumPage(album, photos, profile, siteUrl));
+  });
+
+  const removed = writePages(path.join(PROJECT_DIR, PHOTO_DIR), photoPages) +
+    writePages(path.join(PROJECT_DIR, ALBUM_DIR), albumPages);
+  fs.writeFileSync(INDEX_FILE, JSON.stringify({ photos: [...photoPages.keys()], albums: [...albumPages.keys()] }, null, 2) + "\n");
+
+  console.log("🔗  Generated " + photoPages.size + " post page(s) and " + albumPages.size + " album page(s)" +
+    (removed ? ", removed " + removed + " old one(s)" : ""));
+  if (skipped.length) {
+    console.log("ℹ️  Skipped (slug / id needs letters, digits, - or _ only): " + skipped.join(", "));
+  }
+}
+
+main();
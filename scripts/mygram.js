@@ -0,0 +1,911 @@
+#!/usr/bin/env node
+// ============================================================
+// mygram.js
+//
+// The photo pipeline, in Node so it runs on Linux, macOS and
+// Windows alike. Subcommands:
+//
+//   process           – new files in photos/originals/ (and
+//                       multi-photo post folders) → WebP web image
+//                       (70%, max 2048px), 1:1 WebP thumbnails at
+//                       1080 / 640 / 360px and a photos.json entry
+//   import-instagram  – an Instagram data export (posts_1.json)
+//                       → the same files and entries
+//   sitemap           – sitemap.xml from profile.siteUrl
+//   shard             – the sharded manifest (data/index.json +
+//                       data/photos-NNNN.json, see Manifest.shard)
+//   validate          – photos.json checks from js/validator.js,
+//                       plus files missing from photos/
+//
+// Entries keep the fields, field order and file names the shell
+// scripts wrote (process-photos.sh, import-instagram.sh and
+// shard-manifest.sh now just call this), with the exposure also
+// split into separate fields after settings. EXIF is read with
+// js/exif.js, like the admin's uploads; GPS is stored as the
+// strings exiftool prints (35 deg 39' 31.20" N). Posts are
+// ordered with js/post-order.js.
+//
+// After process / import-instagram, sitemap.xml, the feeds and
+// the share pages are written when profile.siteUrl is set, and
+// the sharded manifest with --sharded or once data/index.json
+// exists.
+//
+// Images are read and written with sharp (libvips). Its prebuilt
+// binaries read JPG, PNG, TIFF, WebP and AVIF; HEIC and BMP
+// originals are skipped with a warning unless sharp is built
+// against a libvips that reads them. Videos need ffmpeg and
+// ffprobe on the PATH, as before.
+//
+// MYGRAM_ROOT=<dir> runs against another copy of the site (the
+// tests use this); generate-feeds.js and generate-share-pages.js
+// honour it too.
+//
+// Requirements:
+//   Node.js 18+
+//   npm install   (sharp – only process / import-instagram need it)
+//   ffmpeg        (optional, for video)
+//
+// Usage:
+//   node scripts/mygram.js process [--caption "text"] [--sharded] [--no-geocode]
+//   node scripts/mygram.js import-instagram [--sharded] [--no-geocode] ["path/to/instagram export"]
+//   node scripts/mygram.js sitemap
+//   node scripts/mygram.js shard [--page-size 30]
+//   node scripts/mygram.js validate [--no-files]
+// ============================================================
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { spawnSync } = require("child_process");
+
+const JS_DIR = path.resolve(__dirname, "..", "js");
+const PROJECT_DIR = path.resolve(process.env.MYGRAM_ROOT || path.join(__dirname, ".."));
+const ORIGINALS_DIR = path.join(PROJECT_DIR, "photos", "originals");
+const WEB_DIR = path.join(PROJECT_DIR, "photos", "web");
+const THUMB_SIZES = [
+  { size: 1080, dir: path.join(PROJECT_DIR, "photos", "thumbnails") },
+  { size: 640, dir: path.join(PROJECT_DIR, "photos", "thumbnails", "640") },
+  { size: 360, dir: path.join(PROJECT_DIR, "photos", "thumbnails", "360") },
+];
+const DATA_DIR = path.join(PROJECT_DIR, "data");
+const JSON_FILE = path.join(DATA_DIR, "photos.json");
+const INDEX_FILE = path.join(DATA_DIR, "index.json");
+const SITEMAP_FILE = path.join(PROJECT_DIR, "sitemap.xml");
+const DEFAULT_EXPORT_DIR = path.join(PROJECT_DIR, "instagram export");
+
+const WEB_QUALITY = 70;
+const THUMB_QUALITY = 75;
+const WEB_MAX_DIMENSION = 2048;
+
+const SUPPORTED_EXTENSIONS = ["jpg", "jpeg", "png", "tiff", "tif", "heic", "heif", "webp", "avif", "bmp"];
+const VIDEO_EXTENSIONS = ["mp4", "mov", "avi", "mkv", "webm", "m4v"];
+
+const GEOCODE_URL = "https://nominatim.openstreetmap.org/reverse";
+const GEOCODE_INTERVAL_MS = 1000; // be polite to Nominatim
+const GEOCODE_TIMEOUT_MS = 10000;
+const USER_AGENT = "mygram-photo-site/1.0";
+
+const USAGE = `Usage:
+  mygram.js process [--caption "text"] [--sharded] [--no-geocode]
+  mygram.js import-instagram [--sharded] [--no-geocode] ["path/to/instagram export"]
+  mygram.js sitemap
+  mygram.js shard [--page-size N]
+  mygram.js validate [--no-files]`;
+
+// Options each subcommand accepts (flag → option it sets)
+const OPTIONS = {
+  process: ["--caption", "-c", "--sharded", "--no-geocode"],
+  "import-instagram": ["--sharded", "--no-geocode"],
+  sitemap: [],
+  shard: ["--page-size"],
+  validate: ["--no-files"],
+};
+
+// ---- Arguments ----
+function parseArgs(command, argv) {
+  const options = { caption: "", sharded: false, geocode: true, pageSize: 0, files: true, exportDir: DEFAULT_EXPORT_DIR };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!OPTIONS[command].includes(arg)) {
+      if (command === "import-instagram" && !arg.startsWith("-")) {
+        options.exportDir = path.resolve(arg);
+        continue;
+      }
+      fail("Unknown option for " + command + ": " + arg + "\n" + USAGE);
+    }
+    if (arg === "--caption" || arg === "-c") {
+      options.caption = argv[++i] || "";
+    } else if (arg === "--sharded") {
+      options.sharded = true;
+    } else if (arg === "--no-geocode") {
+      options.geocode = false;
+    } else if (arg === "--page-size") {
+      options.pageSize = parseInt(argv[++i], 10);
+      if (!(options.pageSize > 0)) fail("--page-size must be a positive number");
+    } else if (arg === "--no-files") {
+      options.files = false;
+    }
+  }
+  return options;
+}
+
+function fail(message) {
+  console.error("❌  " + message);
+  process.exit(1);
+}
+
+// ---- Shared site modules ----
+
+/**
+ * One of the site's js/ modules (`const Name = (() => { … })();`),
+ * evaluated in a sandbox so the pipeline shares the browser's rules.
+ */
+function loadModule(file, name, globals = {}) {
+  const code = fs.readFileSync(path.join(JS_DIR, file), "utf8");
+  return vm.runInNewContext(code + "\n;" + name, { console, ...globals }, { filename: path.join(JS_DIR, file) });
+}
+
+const ExifModule = loadModule("exif.js", "ExifModule");
+const PostOrder = loadModule("post-order.js", "PostOrder");
+const Manifest = loadModule("manifest.js", "Manifest");
+
+let _sharp = null;
+
+/** sharp, required on first use so sitemap / shard / validate work without npm install */
+function sharp(input) {
+  if (!_sharp) {
+    try {
+      _sharp = require("sharp");
+    } catch (e) {
+      fail("sharp is not installed — run `npm install` in " + path.resolve(__dirname, ".."));
+    }
+  }
+  return _sharp(input);
+}
+
+// ---- Helpers ----
+
+/** Spaces and special characters → hyphens (same rule as admin-upload.js) */
+function sanitizeFilename(name) {
+  return name
+    .replace(/\s/g, "-")
+    .replace(/[^a-zA-Z0-9._-]/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/** URL-safe slug of a name (strip any extension first) */
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9-]/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/** "IMG_1.final.jpg" → "IMG_1.final" */
+function stripExt(name) {
+  return name.replace(/\.[^.]*$/, "");
+}
+
+function extOf(name) {
+  return path.extname(name).slice(1).toLowerCase();
+}
+
+/** Local time of a Date as "YYYY-MM-DDTHH:MM:SS", the photos.json date format */
+function localIso(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/** Visible, non-dot entries of a directory, sorted by name */
+function listDir(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter((entry) => !entry.name.startsWith("."))
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  } catch (e) {
+    return [];
+  }
+}
+
+// ---- photos.json ----
+
+function writeJSON(file, data) {
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + "\n");
+}
+
+function readManifest() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  if (!fs.existsSync(JSON_FILE)) writeJSON(JSON_FILE, { profile: {}, photos: [], albums: [] });
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(JSON_FILE, "utf8"));
+  } catch (e) {
+    fail("Cannot read " + JSON_FILE + ": " + e.message);
+  }
+  if (!Array.isArray(data.photos)) data.photos = [];
+  return data;
+}
+
+/** Entries from before multi-photo posts get a one-item media array */
+function migrate(data) {
+  const old = data.photos.filter((photo) => photo.media == null);
+  if (!old.length) return;
+  console.log("🔄  Migrating " + old.length + " photo(s) to new media format...");
+  old.forEach((photo) => {
+    photo.media = [{ type: "image", web: photo.web, thumbnail: photo.thumbnail }];
+  });
+  writeJSON(JSON_FILE, data);
+  console.log("   ✓ Migration complete – added media[] to existing entries");
+}
+
+/** A photos.json entry, fields in the order the shell scripts wrote them */
+function buildEntry(fields) {
+  return {
+    filename: fields.filename,
+    web: fields.web,
+    thumbnail: fields.thumbnail,
+    slug: fields.slug,
+    date: fields.date || "",
+    caption: fields.caption || "",
+    camera: fields.camera || "",
+    lens: fields.lens || "",
+    settings: fields.settings || "",
+    focalLength: fields.focalLength || null,
+    aperture: fields.aperture || null,
+    shutter: fields.shutter || "",
+    iso: fields.iso || null,
+    flash: typeof fields.flash === "boolean" ? fields.flash : null,
+    software: fields.software || "",
+    location: fields.location || "",
+    gps: { lat: (fields.gps && fields.gps.lat) || "", lon: (fields.gps && fields.gps.lon) || "" },
+    width: fields.width || null,
+    height: fields.height || null,
+    media: fields.media,
+  };
+}
+
+// ---- Metadata ----
+
+/** EXIF as a JPEG APP1 segment, which ExifModule.read() understands for any source format */
+function exifAsJpeg(exif) {
+  const body = exif.slice(0, 6).toString("latin1") === "Exif\0\0"
+    ? exif
+    : Buffer.concat([Buffer.from("Exif\0\0", "latin1"), exif]);
+  const header = Buffer.from([0xff, 0xd8, 0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(Math.min(body.length + 2, 0xffff), 4);
+  const jpeg = Buffer.concat([header, body]);
+  return jpeg.buffer.slice(jpeg.byteOffset, jpeg.byteOffset + jpeg.length);
+}
+
+/**
+ * photos.json fields from an image's EXIF (js/exif.js) and its pixel
+ * size as stored (before rotation, as exiftool reports it).
+ * @returns {Promise<{ date, camera, lens, settings, focalLength, aperture, shutter, iso,
+ *   flash, software, gps, position, width, height }>}
+ */
+async function readMetadata(file) {
+  const meta = await sharp(file).metadata();
+  const info = ExifModule.summarize(meta.exif ? ExifModule.read(exifAsJpeg(meta.exif)) : {});
+  return { ...info, width: meta.width || null, height: meta.height || null };
+}
+
+let _lastGeocode = 0;
+
+/** City-level place name for a GPS position (decimal degrees) from Nominatim, or "" */
+async function geocode(position, options) {
+  if (!options.geocode || position.lat === null || position.lon === null) return "";
+  const wait = _lastGeocode + GEOCODE_INTERVAL_MS - Date.now();
+  if (wait > 0) await sleep(wait);
+  try {
+    const url = `${GEOCODE_URL}?lat=${position.lat}&lon=${position.lon}&format=json&zoom=10`;
+    const res = await fetch(url, { headers: { "User-Agent": USER_AGENT }, signal: AbortSignal.timeout(GEOCODE_TIMEOUT_MS) });
+    if (!res.ok) return "";
+    const place = await res.json();
+    // Trim to city level (first 2 components)
+    return String(place.display_name || "").split(",").slice(0, 2).join(",").trim();
+  } catch (e) {
+    return "";
+  } finally {
+    _lastGeocode = Date.now();
+  }
+}
+
+// ---- Images ----
+
+/** Web image and thumbnails for an image (or a video poster) */
+async function renderImage(src, webName, thumbName) {
+  const image = sharp(src).rotate(); // auto-orient from EXIF
+  if (webName) {
+    await image.clone()
+      .resize(WEB_MAX_DIMENSION, WEB_MAX_DIMENSION, { fit: "inside", withoutEnlargement: true })
+      .webp({ quality: WEB_QUALITY })
+      .toFile(path.join(WEB_DIR, webName));
+  }
+  for (const { size, dir } of THUMB_SIZES) {
+    await image.clone()
+      .resize(size, size, { fit: "cover", position: "centre" })
+      .webp({ quality: THUMB_QUALITY })
+      .toFile(path.join(dir, thumbName));
+  }
+}
+
+// ---- Video (ffmpeg) ----
+
+function hasCommand(command) {
+  return spawnSync(command, ["-version"], { stdio: "ignore" }).status === 0;
+}
+
+function ffmpeg(args) {
+  return spawnSync("ffmpeg", ["-y", ...args], { stdio: "ignore" }).status === 0;
+}
+
+/** ffprobe's format section ({ duration, tags }) or {} */
+function probe(file) {
+  const result = spawnSync("ffprobe", ["-v", "quiet", "-print_format", "json", "-show_format", file], { encoding: "utf8" });
+  try {
+    return JSON.parse(result.stdout).format || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/** Seconds → "m:ss" */
+function formatDuration(seconds) {
+  const whole = Math.floor(Number(seconds));
+  if (!(whole >= 0)) return "";
+  return Math.floor(whole / 60) + ":" + String(whole % 60).padStart(2, "0");
+}
+
+/**
+ * Web MP4 (H.264 + AAC), a poster frame and thumbnails from it.
+ * @returns {Promise<Object|null>} media item, or null if ffmpeg failed
+ */
+async function renderVideo(src, base, thumbName) {
+  const web = base + ".mp4";
+  const poster = base + "-poster.webp";
+  const webPath = path.join(WEB_DIR, web);
+  const posterPath = path.join(WEB_DIR, poster);
+  const posterScale = "scale='min(2048,iw)':'min(2048,ih)':force_original_aspect_ratio=decrease";
+
+  const encoded = ffmpeg(["-i", src,
+    "-c:v", "libx264", "-crf", "23", "-preset", "medium",
+    "-c:a", "aac", "-b:a", "128k",
+    "-movflags", "+faststart",
+    "-vf", "scale='min(1920,iw)':'min(1080,ih)':force_original_aspect_ratio=decrease",
+    webPath]);
+  // Poster at 1s, or the first frame if the clip is shorter
+  const posterDone = encoded && (
+    ffmpeg(["-i", src, "-vframes", "1", "-ss", "00:00:01", "-vf", posterScale, posterPath]) ||
+    ffmpeg(["-i", src, "-vframes", "1", "-vf", posterScale, posterPath]));
+  if (!posterDone) {
+    fs.rmSync(webPath, { force: true });
+    fs.rmSync(posterPath, { force: true });
+    return null;
+  }
+  await renderImage(posterPath, "", thumbName);
+  return { type: "video", web, poster, thumbnail: thumbName, duration: formatDuration(probe(src).duration) };
+}
+
+function ensureOutputDirs() {
+  [WEB_DIR, ...THUMB_SIZES.map((t) => t.dir)].forEach((dir) => fs.mkdirSync(dir, { recursive: true }));
+}
+
+// ---- process ----
+
+/** Sanitise a file name in place on disk, avoiding collisions */
+function renameOriginal(dir, filename) {
+  let sanitized = sanitizeFilename(filename);
+  if (sanitized === filename) return filename;
+  if (fs.existsSync(path.join(dir, sanitized))) {
+    const base = stripExt(sanitized);
+    const ext = path.extname(sanitized);
+    let counter = 1;
+    while (fs.existsSync(path.join(dir, `${base}-${counter}${ext}`))) counter++;
+    sanitized = `${base}-${counter}${ext}`;
+  }
+  fs.renameSync(path.join(dir, filename), path.join(dir, sanitized));
+  console.log("   📝 Renamed: " + filename + " → " + sanitized);
+  return sanitized;
+}
+
+async function processFile(filename, options) {
+  const file = path.join(ORIGINALS_DIR, filename);
+  const base = stripExt(filename);
+  const thumbnail = "thumb_" + base + ".webp";
+
+  if (VIDEO_EXTENSIONS.includes(extOf(filename))) {
+    const video = await renderVideo(file, base, thumbnail);
+    if (!video) throw new Error("ffmpeg could not encode the video");
+    console.log("   ✓ Web-optimized video → " + video.web);
+    console.log("   ✓ Poster frame → " + video.poster);
+    console.log("   ✓ Thumbnails → 1080 / 640 / 360");
+    const created = String(((probe(file).tags || {}).creation_time) || "").slice(0, 19);
+    return buildEntry({
+      filename,
+      web: video.poster,
+      thumbnail,
+      slug: slugify(base),
+      date: created || localIso(fs.statSync(file).mtime),
+      caption: options.caption,
+      media: [video],
+    });
+  }
+
+  const meta = await readMetadata(file);
+  let date = meta.date;
+  if (!date) {
+    date = localIso(fs.statSync(file).mtime);
+    console.log("   ⚠ No EXIF date — using file modification date");
+  }
+  const location = await geocode(meta.position, options);
+
+  const web = base + ".webp";
+  await renderImage(file, web, thumbnail);
+  console.log("   ✓ Web-optimized → " + web);
+  console.log("   ✓ Thumbnails → 1080 / 640 / 360");
+
+  return buildEntry({
+    filename,
+    web,
+    thumbnail,
+    slug: slugify(base),
+    date,
+    caption: options.caption,
+    camera: meta.camera,
+    lens: meta.lens,
+    settings: meta.settings,
+    focalLength: meta.focalLength,
+    aperture: meta.aperture,
+    shutter: meta.shutter,
+    iso: meta.iso,
+    flash: meta.flash,
+    software: meta.software,
+    location,
+    gps: meta.gps,
+    width: meta.width,
+    height: meta.height,
+    media: [{ type: "image", web, thumbnail }],
+  });
+}
+
+/** A folder of photos / videos → one carousel post; EXIF from its first image */
+async function processFolder(dirname, options, hasFfmpeg) {
+  const dir = path.join(ORIGINALS_DIR, dirname);
+  const media = [];
+  let meta = null;
+  let location = "";
+  let count = 0;
+
+  for (const item of listDir(dir).filter((entry) => entry.isFile())) {
+    const ext = extOf(item.name);
+    const isVideo = VIDEO_EXTENSIONS.includes(ext);
+    if (isVideo && !hasFfmpeg) {
+      console.log("   ⏭  Skipping video (ffmpeg not installed): " + item.name);
+      continue;
+    }
+    if (!isVideo && !SUPPORTED_EXTENSIONS.includes(ext)) continue;
+
+    count++;
+    console.log(`   → [${count}] ${item.name}`);
+    const file = path.join(dir, item.name);
+    const base = dirname + "-" + stripExt(item.name);
+    const thumbnail = "thumb_" + base + ".webp";
+    try {
+      if (isVideo) {
+        const video = await renderVideo(file, base, thumbnail);
+        if (!video) throw new Error("ffmpeg could not encode the video");
+        media.push(video);
+      } else {
+        if (count === 1) {
+          meta = await readMetadata(file);
+          location = await geocode(meta.position, options);
+        }
+        await renderImage(file, base + ".webp", thumbnail);
+        media.push({ type: "image", web: base + ".webp", thumbnail });
+      }
+    } catch (err) {
+      console.log("   ⚠ Could not convert " + item.name + ": " + err.message);
+    }
+  }
+
+  if (!media.length) return null;
+  meta = meta || {};
+  const first = media[0];
+  return buildEntry({
+    filename: dirname,
+    web: first.type === "video" ? first.poster : first.web,
+    thumbnail: first.thumbnail,
+    slug: slugify(dirname),
+    date: meta.date || localIso(fs.statSync(dir).mtime),
+    caption: options.caption,
+    camera: meta.camera,
+    lens: meta.lens,
+    settings: meta.settings,
+    focalLength: meta.focalLength,
+    aperture: meta.aperture,
+    shutter: meta.shutter,
+    iso: meta.iso,
+    flash: meta.flash,
+    software: meta.software,
+    location,
+    gps: meta.gps,
+    media,
+  });
+}
+
+async function processOriginals(options) {
+  fs.mkdirSync(ORIGINALS_DIR, { recursive: true });
+  ensureOutputDirs();
+  const data = readManifest();
+  migrate(data);
+
+  const known = new Set(data.photos.map((photo) => photo.filename));
+  const hasFfmpeg = hasCommand("ffmpeg") && hasCommand("ffprobe");
+  let added = 0;
+  let skipped = 0;
+
+  const addEntry = (entry, message) => {
+    data.photos.unshift(entry);
+    writeJSON(JSON_FILE, data);
+    known.add(entry.filename);
+    added++;
+    console.log(message);
+  };
+
+  for (const item of listDir(ORIGINALS_DIR).filter((entry) => entry.isFile())) {
+    const filename = renameOriginal(ORIGINALS_DIR, item.name);
+    const ext = extOf(filename);
+    const isVideo = VIDEO_EXTENSIONS.includes(ext);
+    if (!isVideo && !SUPPORTED_EXTENSIONS.includes(ext)) {
+      console.log("⏭  Skipping unsupported file: " + filename);
+      skipped++;
+      continue;
+    }
+    if (isVideo && !hasFfmpeg) {
+      console.log("⏭  Skipping video (ffmpeg not installed): " + filename);
+      skipped++;
+      continue;
+    }
+    if (known.has(filename)) continue;
+
+    console.log("→ Processing: " + filename);
+    try {
+      addEntry(await processFile(filename, options), "   ✓ Added to photos.json");
+    } catch (err) {
+      console.log("   ⚠ Could not convert " + filename + ": " + err.message);
+      skipped++;
+    }
+  }
+
+  for (const item of listDir(ORIGINALS_DIR).filter((entry) => entry.isDirectory())) {
+    if (known.has(item.name)) continue;
+    console.log("→ Processing multi-photo post: " + item.name + "/");
+    const entry = await processFolder(item.name, options, hasFfmpeg);
+    if (!entry) {
+      console.log("   ⏭  No supported media files in " + item.name + "/");
+      continue;
+    }
+    addEntry(entry, `   ✓ Added multi-photo post (${entry.media.length} items) to photos.json`);
+  }
+
+  if (added > 0) {
+    sortPosts(data);
+    console.log("");
+    console.log("📅  Sorted photos newest-first by date (pinned / ordered posts kept in place).");
+  }
+
+  console.log("");
+  if (added > 0) {
+    console.log(`✅  Processed ${added} new photo(s).`);
+    publish(data);
+  } else if (skipped > 0) {
+    console.log(`ℹ️  No new photos found (${skipped} non-image file(s) skipped).`);
+  } else {
+    console.log("ℹ️  No new photos found.");
+  }
+  reshard(options);
+}
+
+// ---- import-instagram ----
+
+/** Post date from the post's or its first media item's Unix timestamp */
+function instagramTime(post) {
+  const first = (post.media || [])[0] || {};
+  const timestamp = Number(post.creation_timestamp) || Number(first.creation_timestamp) || 0;
+  return { timestamp, date: timestamp ? localIso(new Date(timestamp * 1000)) : "" };
+}
+
+async function importPost(post, index, exportDir, options, hasFfmpeg) {
+  const items = post.media || [];
+  const { timestamp } = instagramTime(post);
+  const slug = slugify(timestamp ? "ig-" + timestamp : "ig-post-" + index);
+  const media = [];
+  let meta = null;
+  let location = "";
+  let missing = false;
+
+  for (let i = 0; i < items.length; i++) {
+    const uri = items[i].uri;
+    if (!uri) {
+      console.log(`   ⚠ Media item ${i} has no URI, skipping`);
+      continue;
+    }
+    const file = path.join(exportDir, uri);
+    if (!fs.existsSync(file)) {
+      console.log("   ⚠ File not found: " + uri);
+      missing = true;
+      continue;
+    }
+    const name = path.basename(file);
+    const ext = extOf(name);
+    const isVideo = VIDEO_EXTENSIONS.includes(ext);
+    if (!isVideo && !SUPPORTED_EXTENSIONS.includes(ext)) {
+      console.log("   ⚠ Unsupported file type: " + name);
+      continue;
+    }
+    if (isVideo && !hasFfmpeg) {
+      console.log("   ⚠ Skipping video (ffmpeg not installed): " + name);
+      continue;
+    }
+
+    const base = items.length > 1 ? `${slug}-${i + 1}` : slug;
+    const thumbnail = "thumb_" + base + ".webp";
+    try {
+      if (isVideo) {
+        const video = await renderVideo(file, base, thumbnail);
+        if (!video) throw new Error("ffmpeg could not encode the video");
+        media.push(video);
+        console.log(`   ✓ Video [${i + 1}/${items.length}] → ${video.web}`);
+      } else {
+        await renderImage(file, base + ".webp", thumbnail);
+        media.push({ type: "image", web: base + ".webp", thumbnail });
+        if (i === 0) {
+          meta = await readMetadata(file);
+          location = await geocode(meta.position, options);
+        }
+        console.log(`   ✓ Image [${i + 1}/${items.length}] → ${base}.webp`);
+      }
+    } catch (err) {
+      console.log("   ⚠ Failed to convert " + name + ": " + err.message + ", skipping");
+    }
+  }
+
+  if (!media.length) return { entry: null, missing };
+  meta = meta || {};
+  const first = media[0];
+  // Instagram double-encodes captions (UTF-8 read as Latin-1); kept as-is
+  const caption = post.title || (items[0] && items[0].title) || "";
+  const entry = buildEntry({
+    filename: path.basename((items[0] && items[0].uri) || ""),
+    web: first.type === "video" ? first.poster : first.web,
+    thumbnail: first.thumbnail,
+    slug,
+    date: instagramTime(post).date,
+    caption,
+    camera: meta.camera,
+    lens: meta.lens,
+    settings: meta.settings,
+    focalLength: meta.focalLength,
+    aperture: meta.aperture,
+    shutter: meta.shutter,
+    iso: meta.iso,
+    flash: meta.flash,
+    software: meta.software,
+    location,
+    gps: meta.gps,
+    width: meta.width,
+    height: meta.height,
+    media,
+  });
+  return { entry, missing };
+}
+
+async function importInstagram(options) {
+  const postsFile = path.join(options.exportDir, "posts_1.json");
+  let posts;
+  try {
+    posts = JSON.parse(fs.readFileSync(postsFile, "utf8"));
+  } catch (e) {
+    fail("Cannot read " + postsFile + " (" + e.message + ")\n" + USAGE);
+  }
+  if (!Array.isArray(posts)) fail(postsFile + " is not a list of posts");
+
+  console.log("📦  Instagram export: " + options.exportDir);
+  console.log("📄  Posts JSON: " + postsFile);
+  ensureOutputDirs();
+  const data = readManifest();
+  migrate(data);
+
+  const known = new Set(data.photos.map((photo) => photo.slug).filter(Boolean));
+  const hasFfmpeg = hasCommand("ffmpeg") && hasCommand("ffprobe");
+  let added = 0;
+  let skipped = 0;
+  let errors = 0;
+
+  console.log("");
+  console.log(`📸  Found ${posts.length} posts in Instagram export`);
+  console.log("");
+
+  for (let i = 0; i < posts.length; i++) {
+    const post = posts[i] || {};
+    const { timestamp, date } = instagramTime(post);
+    if (known.has(slugify(timestamp ? "ig-" + timestamp : "ig-post-" + i))) {
+      skipped++;
+      continue;
+    }
+    console.log(`→ [${i + 1}/${posts.length}] Processing post from ${date.slice(0, 10)} (${(post.media || []).length} media item(s))`);
+
+    const { entry, missing } = await importPost(post, i, options.exportDir, options, hasFfmpeg);
+    if (!entry) {
+      console.log("   ⚠ No media items processed, skipping post");
+      errors++;
+      continue;
+    }
+    data.photos.push(entry);
+    writeJSON(JSON_FILE, data);
+    known.add(entry.slug);
+    added++;
+    if (missing) errors++;
+  }
+
+  if (added > 0) {
+    sortPosts(data);
+    console.log("");
+    console.log("📅  Sorted photos newest-first by date.");
+  }
+
+  console.log("");
+  console.log("============================================");
+  console.log("✅  Import complete!");
+  console.log("   Imported: " + added + " post(s)");
+  console.log("   Skipped:  " + skipped + " (already imported)");
+  console.log("   Errors:   " + errors);
+  console.log("   Total in photos.json: " + data.photos.length);
+  console.log("============================================");
+
+  if (added > 0) publish(data);
+  reshard(options);
+}
+
+// ---- After processing ----
+
+/** Newest first, pinned and hand-ordered posts kept in place (js/post-order.js) */
+function sortPosts(data) {
+  data.photos = PostOrder.sort(data.photos);
+  writeJSON(JSON_FILE, data);
+}
+
+/** sitemap.xml, feeds and share pages, when profile.siteUrl is set */
+function publish(data) {
+  if (!(data.profile && data.profile.siteUrl)) return;
+  writeSitemap(data);
+  // Atom + JSON Feed for feed readers (and feed-only Palgram pals),
+  // and per-post / per-album pages for link previews
+  ["generate-feeds.js", "generate-share-pages.js"].forEach((script) => {
+    spawnSync(process.execPath, [path.join(__dirname, script)], {
+      stdio: "inherit",
+      env: { ...process.env, MYGRAM_ROOT: PROJECT_DIR },
+    });
+  });
+}
+
+function reshard(options) {
+  if (options.sharded || fs.existsSync(INDEX_FILE)) {
+    console.log("");
+    shard(options);
+  }
+}
+
+// ---- sitemap ----
+
+function buildSitemap(data) {
+  const siteUrl = data.profile.siteUrl;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    `  <url><loc>${escapeXml(siteUrl)}</loc></url>`,
+  ];
+  (data.photos || [])
+    .filter((photo) => photo && photo.hidden !== true && photo.slug)
+    .forEach((photo) => lines.push(`  <url><loc>${escapeXml(siteUrl + "#photo=" + photo.slug)}</loc></url>`));
+  lines.push("</urlset>");
+  return lines.join("\n") + "\n";
+}
+
+function writeSitemap(data) {
+  fs.writeFileSync(SITEMAP_FILE, buildSitemap(data));
+  console.log("🗺  Generated sitemap.xml");
+}
+
+function sitemap() {
+  const data = readManifest();
+  if (!(data.profile && data.profile.siteUrl)) fail("Set profile.siteUrl in data/photos.json — sitemap URLs must be absolute");
+  writeSitemap(data);
+}
+
+// ---- shard ----
+
+/** data/index.json + pages from photos.json, dropping pages from an earlier, longer run */
+function shard(options) {
+  const pageSize = options.pageSize || Manifest.PAGE_SIZE;
+  const files = Manifest.shard(readManifest(), pageSize);
+  listDir(DATA_DIR)
+    .filter((entry) => /^photos-\d+\.json$/.test(entry.name))
+    .forEach((entry) => fs.rmSync(path.join(DATA_DIR, entry.name)));
+  Object.keys(files).forEach((name) => writeJSON(path.join(PROJECT_DIR, name), files[name]));
+  const pages = files[Manifest.INDEX_FILE].pages.length;
+  console.log(`📚  Wrote data/index.json and ${pages} page(s) of up to ${pageSize} posts.`);
+}
+
+// ---- validate ----
+
+async function validate(options) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(JSON_FILE, "utf8"));
+  } catch (e) {
+    fail("Cannot read " + JSON_FILE + ": " + e.message);
+  }
+  // checkMedia() sends HEAD requests; answer them from the disk
+  const PhotosValidator = loadModule("validator.js", "PhotosValidator", {
+    fetch: async (url) => ({ ok: fs.existsSync(path.join(PROJECT_DIR, url)) }),
+  });
+
+  const issues = PhotosValidator.validate(data);
+  if (options.files) issues.push(...(await PhotosValidator.checkMedia(data)));
+
+  const errors = issues.filter((issue) => issue.level === "error");
+  const warnings = issues.filter((issue) => issue.level !== "error");
+  errors.forEach((issue) => console.log("❌  " + issue.message));
+  warnings.forEach((issue) => console.log("⚠️  " + issue.message));
+
+  if (!issues.length) {
+    console.log(`✅  data/photos.json looks good (${(data.photos || []).length} post(s)).`);
+    return;
+  }
+  console.log("");
+  console.log(`${errors.length} error(s), ${warnings.length} warning(s). The admin Health tab can fix most of them.`);
+  if (errors.length) process.exitCode = 1;
+}
+
+// ---- Main ----
+const COMMANDS = {
+  process: processOriginals,
+  "import-instagram": importInstagram,
+  sitemap,
+  shard,
+  validate,
+};
+
+async function main() {
+  const [command, ...argv] = process.argv.slice(2);
+  if (!command || command === "--help" || command === "-h") {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) fail("Unknown command: " + command + "\n" + USAGE);
+  await COMMANDS[command](parseArgs(command, argv));
+}
+
+if (require.main === module) {
+  main().catch((err) => fail(err.stack || err.message));
+}
+
+module.exports = { sanitizeFilename, slugify, localIso, buildEntry, buildSitemap, instagramTime };
@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+// ============================================================
+// save-server.js
+//
+// Optional local dev server for the admin panel. It serves the
+// site like `python3 -m http.server` and also accepts PUTs of
+// the JSON files and uploaded photos so admin.html can save
+// them in place:
+//
+//   GET /__save/                   → { ok, files }  (detection)
+//   PUT /__save/data/photos.json   → writes data/photos.json
+//   PUT /__save/palgram/pals.json  → writes palgram/pals.json
+//   PUT /__save/data/index.json    → writes the sharded manifest
+//     (and its data/photos-NNNN.json pages)
+//   DELETE /__save/data/photos-NNNN.json → removes a page the
+//     manifest no longer lists
+//   PUT /__save/photos/web/x.webp  → writes an uploaded image
+//     (also photos/originals/, photos/thumbnails/{,640/,360/})
+//
+// Nothing else can be written, JSON bodies must be valid JSON,
+// and the server listens on 127.0.0.1 only. Requests must name
+// localhost:PORT or 127.0.0.1:PORT as their Host and, when they
+// carry an Origin, come from that same origin, so other sites
+// can't reach it (DNS rebinding, cross-site PUTs).
+//
+// Requirements:
+//   Node.js 18+ (no npm packages)
+//
+// Usage:
+//   node scripts/save-server.js          # http://localhost:8000
+//   node scripts/save-server.js 8080
+// ============================================================
+
+"use strict";
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const PROJECT_DIR = path.resolve(__dirname, "..");
+const PORT = parseInt(process.argv[2] || process.env.PORT || "8000", 10);
+const HOST = "127.0.0.1";
+const SAVE_PREFIX = "/__save/";
+const WRITABLE = ["data/photos.json", "data/index.json", "palgram/pals.json"];
+const WRITABLE_PAGE = /^data\/photos-\d{4,}\.json$/; // sharded manifest pages
+const WRITABLE_MEDIA = /^photos\/(originals|web|thumbnails|thumbnails\/640|thumbnails\/360)\/[A-Za-z0-9_-][A-Za-z0-9._-]*$/;
+const MAX_BODY_BYTES = 100 * 1024 * 1024; // originals can be large
+const ALLOWED_HOSTS = ["localhost:" + PORT, "127.0.0.1:" + PORT];
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+  ".gif": "image/gif",
+  ".ico": "image/x-icon",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+};
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { "Content-Type": MIME_TYPES[".json"], "Cache-Control": "no-store" });
+  res.end(JSON.stringify(body));
+}
+
+/** Same-site check: the Host header and, if sent, the Origin must be this server's own */
+function isTrusted(req) {
+  const host = String(req.headers.host || "").toLowerCase();
+  if (!ALLOWED_HOSTS.includes(host)) return false;
+  const origin = req.headers.origin;
+  return origin === undefined || ALLOWED_HOSTS.some((h) => origin === "http://" + h);
+}
+
+// ---- Save endpoint ----
+function handleSave(req, res, relPath) {
+  if (req.method === "GET" && relPath === "") {
+    sendJSON(res, 200, { ok: true, files: WRITABLE });
+    return;
+  }
+  if (req.method === "DELETE") {
+    handleDelete(res, relPath);
+    return;
+  }
+  if (req.method !== "PUT") {
+    sendJSON(res, 405, { ok: false, error: "Method not allowed" });
+    return;
+  }
+  const isJSON = WRITABLE.includes(relPath) || WRITABLE_PAGE.test(relPath);
+  if (!isJSON && !WRITABLE_MEDIA.test(relPath)) {
+    sendJSON(res, 403, { ok: false, error: "Only " + WRITABLE.join(", ") + " and photos/ images can be saved" });
+    return;
+  }
+
+  const chunks = [];
+  let size = 0;
+  req.on("data", (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      sendJSON(res, 413, { ok: false, error: "File too large" });
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  req.on("end", () => {
+    if (res.writableEnded) return;
+    const body = Buffer.concat(chunks);
+    if (isJSON) {
+      try {
+        JSON.parse(body.toString("utf8"));
+      } catch (e) {
+        sendJSON(res, 400, { ok: false, error: "Invalid JSON: " + e.message });
+        return;
+      }
+    }
+
+    // Write to a temp file first so a failed write never truncates the original
+    const target = path.join(PROJECT_DIR, relPath);
+    const tmp = target + ".tmp-" + process.pid;
+    try {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(tmp, body);
+      fs.renameSync(tmp, target);
+    } catch (e) {
+      try { fs.unlinkSync(tmp); } catch (_) { /* already gone */ }
+      sendJSON(res, 500, { ok: false, error: e.message });
+      return;
+    }
+
+    console.log("Saved " + relPath + " (" + body.length + " bytes)");
+    sendJSON(res, 200, { ok: true, file: relPath, savedAt: new Date().toISOString() });
+  });
+}
+
+/** Remove a sharded manifest page; nothing else can be deleted */
+function handleDelete(res, relPath) {
+  if (!WRITABLE_PAGE.test(relPath)) {
+    sendJSON(res, 403, { ok: false, error: "Only data/photos-NNNN.json pages can be deleted" });
+    return;
+  }
+  try {
+    fs.unlinkSync(path.join(PROJECT_DIR, relPath));
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      sendJSON(res, 500, { ok: false, error: e.message });
+      return;
+    }
+  }
+  console.log("Deleted " + relPath);
+  sendJSON(res, 200, { ok: true, file: relPath });
+}
+
+// ---- Static files ----
+function handleStatic(req, res, urlPath) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.writeHead(405);
+    res.end();
+    return;
+  }
+
+  let filePath = path.join(PROJECT_DIR, urlPath);
+  // Refuse anything that resolves outside the project
+  if (filePath !== PROJECT_DIR && !filePath.startsWith(PROJECT_DIR + path.sep)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  fs.stat(filePath, (err, stat) => {
+    if (!err && stat.isDirectory()) {
+      filePath = path.join(filePath, "index.html");
+    }
+    fs.readFile(filePath, (readErr, data) => {
+      if (readErr) {
+        res.writeHead(404, { "Content-Type": MIME_TYPES[".txt"] });
+        res.end("Not found");
+        return;
+      }
+      const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream";
+      res.writeHead(200, { "Content-Type": type, "Content-Length": data.length });
+      res.end(req.method === "HEAD" ? undefined : data);
+    });
+  });
+}
+
+const server = http.createServer((req, res) => {
+  if (!isTrusted(req)) {
+    sendJSON(res, 403, { ok: false, error: "Only http://localhost:" + PORT + " may use this server" });
+    return;
+  }
+
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, "http://" + HOST).pathname);
+  } catch (e) {
+    res.writeHead(400);
+    res.end();
+    return;
+  }
+
+  if (urlPath === SAVE_PREFIX.slice(0, -1) || urlPath.startsWith(SAVE_PREFIX)) {
+    handleSave(req, res, urlPath.slice(SAVE_PREFIX.length));
+  } else {
+    handleStatic(req, res, urlPath);
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.log("mygram save server: http://localhost:" + PORT + "/admin.html");
+  console.log("Writable: " + WRITABLE.join(", "));
+});
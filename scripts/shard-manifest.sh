@@ -0,0 +1,36 @@
+#!/bin/bash
+# ============================================================
+# shard-manifest.sh
+#
+# Kept so existing commands keep working: runs
+#   node scripts/mygram.js shard
+# which writes the sharded form of data/photos.json, so the
+# site and pals' Palgram feeds can load posts a page at a time:
+#
+#   data/index.json        – profile, albums, map, post count
+#                            and the list of pages
+#   data/photos-0001.json  – newest posts first, 60 per page
+#
+# photos.json stays the file you (and the admin panel) edit;
+# re-run this after changing it. Hidden posts are left out.
+# Delete data/index.json and the pages to go back to the
+# single-file manifest. See scripts/mygram.js.
+#
+# Requirements:
+#   Node.js 18+ (no npm packages needed for this step)
+#
+# Usage:
+#   ./scripts/shard-manifest.sh
+#   ./scripts/shard-manifest.sh --page-size 30
+# ============================================================
+
+set -euo pipefail
+
+SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
+
+if ! command -v node >/dev/null 2>&1; then
+  echo "❌  Node.js 18+ is required — https://nodejs.org"
+  exit 1
+fi
+
+exec node "$SCRIPT_DIR/mygram.js" shard "$@"
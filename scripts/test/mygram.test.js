@@ -0,0 +1,351 @@
+// Tests for scripts/mygram.js. Each test builds a throwaway copy of
+// the site in a temp folder from fixtures/ and runs the CLI on it
+// (MYGRAM_ROOT), in UTC so file-time and Instagram dates are fixed.
+//
+//   fixtures/originals/  – "Sunset at Pier.jpg" (full EXIF, GPS,
+//                          rotated 90°), plain.png (no EXIF),
+//                          trip/ (a two-photo post), notes.txt
+//   fixtures/instagram/  – posts_1.json with a single photo, a
+//                          carousel and a post whose file is missing
+//
+// Run with `npm test` (after `npm install`; the image tests are
+// skipped without sharp).
+
+"use strict";
+
+const { test, describe, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const mygram = require("../mygram.js");
+
+const CLI = path.join(__dirname, "..", "mygram.js");
+const FIXTURES = path.join(__dirname, "fixtures");
+const ENTRY_FIELDS = ["filename", "web", "thumbnail", "slug", "date", "caption", "camera", "lens",
+  "settings", "focalLength", "aperture", "shutter", "iso", "flash", "software", "location", "gps",
+  "width", "height", "media"];
+
+let sharp = null;
+try {
+  sharp = require("sharp");
+} catch (e) { /* image tests are skipped */ }
+const needsSharp = sharp ? {} : { skip: "sharp is not installed (npm install)" };
+
+process.env.TZ = "UTC"; // for localIso() in this process too
+
+const sites = [];
+after(() => sites.forEach((root) => fs.rmSync(root, { recursive: true, force: true })));
+
+/** A temp site with the given photos.json and, optionally, the fixture originals */
+function makeSite(data, { originals = false } = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "mygram-test-"));
+  sites.push(root);
+  fs.mkdirSync(path.join(root, "data"));
+  fs.writeFileSync(path.join(root, "data", "photos.json"), JSON.stringify(data, null, 2) + "\n");
+  if (originals) {
+    fs.cpSync(path.join(FIXTURES, "originals"), path.join(root, "photos", "originals"), { recursive: true });
+    const mtime = new Date("2020-01-02T03:04:05Z");
+    fs.utimesSync(path.join(root, "photos", "originals", "plain.png"), mtime, mtime);
+  }
+  return root;
+}
+
+function run(root, args) {
+  const result = spawnSync(process.execPath, [CLI, ...args], {
+    encoding: "utf8",
+    env: { ...process.env, MYGRAM_ROOT: root, TZ: "UTC" },
+  });
+  return { status: result.status, output: result.stdout + result.stderr };
+}
+
+function readJSON(root, file) {
+  return JSON.parse(fs.readFileSync(path.join(root, file), "utf8"));
+}
+
+function photo(filename, extra = {}) {
+  const base = filename.replace(/\.[^.]*$/, "");
+  const entry = mygram.buildEntry({
+    filename,
+    web: base + ".webp",
+    thumbnail: "thumb_" + base + ".webp",
+    slug: mygram.slugify(base),
+    date: "2024-01-01T12:00:00",
+    media: [{ type: "image", web: base + ".webp", thumbnail: "thumb_" + base + ".webp" }],
+  });
+  return { ...entry, ...extra };
+}
+
+describe("helpers", () => {
+  test("sanitizeFilename replaces spaces and special characters like the shell script", () => {
+    assert.equal(mygram.sanitizeFilename("Sunset at Pier (2).jpg"), "Sunset-at-Pier-2-.jpg");
+    assert.equal(mygram.sanitizeFilename(" café   ☕.JPG"), "caf-.JPG");
+    assert.equal(mygram.sanitizeFilename("IMG_0001.heic"), "IMG_0001.heic");
+  });
+
+  test("slugify lowercases and collapses hyphens", () => {
+    assert.equal(mygram.slugify("Sunset-at-Pier"), "sunset-at-pier");
+    assert.equal(mygram.slugify("IMG_0001.final"), "img-0001-final");
+    assert.equal(mygram.slugify("--Trip 2023--"), "trip-2023");
+  });
+
+  test("buildEntry keeps the photos.json field order", () => {
+    const entry = mygram.buildEntry({ filename: "a.jpg", web: "a.webp", thumbnail: "thumb_a.webp", slug: "a", media: [] });
+    assert.deepEqual(Object.keys(entry), ENTRY_FIELDS);
+    assert.deepEqual(entry.gps, { lat: "", lon: "" });
+    assert.equal(entry.width, null);
+  });
+
+  test("instagramTime falls back to the first media item's timestamp", () => {
+    assert.deepEqual(mygram.instagramTime({ creation_timestamp: 1715000000, media: [] }),
+      { timestamp: 1715000000, date: "2024-05-06T12:53:20" });
+    assert.deepEqual(mygram.instagramTime({ media: [{ creation_timestamp: 1714566000 }] }),
+      { timestamp: 1714566000, date: "2024-05-01T12:20:00" });
+    assert.deepEqual(mygram.instagramTime({ media: [] }), { timestamp: 0, date: "" });
+  });
+});
+
+describe("sitemap", () => {
+  test("lists the site and every visible post", () => {
+    const root = makeSite({
+      profile: { siteUrl: "https://example.com/gram/" },
+      photos: [photo("a.jpg"), photo("b.jpg", { hidden: true }), photo("c&d.jpg", { slug: "c&d" })],
+      albums: [],
+    });
+    const result = run(root, ["sitemap"]);
+    assert.equal(result.status, 0, result.output);
+    assert.equal(fs.readFileSync(path.join(root, "sitemap.xml"), "utf8"), [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      "  <url><loc>https://example.com/gram/</loc></url>",
+      "  <url><loc>https://example.com/gram/#photo=a</loc></url>",
+      "  <url><loc>https://example.com/gram/#photo=c&amp;d</loc></url>",
+      "</urlset>",
+      "",
+    ].join("\n"));
+  });
+
+  test("needs profile.siteUrl", () => {
+    const root = makeSite({ profile: {}, photos: [], albums: [] });
+    const result = run(root, ["sitemap"]);
+    assert.equal(result.status, 1);
+    assert.match(result.output, /siteUrl/);
+  });
+});
+
+describe("shard", () => {
+  test("writes the index and pages newest first, dropping stale pages", () => {
+    const root = makeSite({
+      profile: { username: "me" },
+      photos: [
+        photo("old.jpg", { date: "2022-01-01T00:00:00" }),
+        photo("new.jpg", { date: "2024-01-01T00:00:00" }),
+        photo("mid.jpg", { date: "2023-01-01T00:00:00", pinned: true }),
+        photo("gone.jpg", { hidden: true }),
+      ],
+      albums: [],
+    });
+    fs.writeFileSync(path.join(root, "data", "photos-0009.json"), "{}");
+
+    const result = run(root, ["shard", "--page-size", "2"]);
+    assert.equal(result.status, 0, result.output);
+    const index = readJSON(root, "data/index.json");
+    assert.equal(index.format, "mygram-sharded");
+    assert.equal(index.count, 3);
+    assert.equal(index.curated, true);
+    assert.deepEqual(index.pages, ["photos-0001.json", "photos-0002.json"]);
+    assert.deepEqual(readJSON(root, "data/photos-0001.json").photos.map((p) => p.filename), ["new.jpg", "mid.jpg"]);
+    assert.deepEqual(readJSON(root, "data/photos-0002.json").photos.map((p) => p.filename), ["old.jpg"]);
+    assert.equal(fs.existsSync(path.join(root, "data", "photos-0009.json")), false);
+  });
+});
+
+describe("validate", () => {
+  test("passes a clean manifest", () => {
+    const root = makeSite({ profile: {}, photos: [photo("a.jpg")], albums: [] });
+    const result = run(root, ["validate", "--no-files"]);
+    assert.equal(result.status, 0, result.output);
+    assert.match(result.output, /looks good/);
+  });
+
+  test("reports structural problems and missing files, and fails on errors", () => {
+    const root = makeSite({
+      profile: {},
+      photos: [photo("a.jpg"), photo("b.jpg", { slug: "a", date: "01/02/2024" })],
+      albums: [{ id: "trip", title: "Trip", photos: ["a.jpg", "nope.jpg"] }],
+    });
+    fs.mkdirSync(path.join(root, "photos", "web"), { recursive: true });
+    fs.writeFileSync(path.join(root, "photos", "web", "a.webp"), "");
+
+    const result = run(root, ["validate"]);
+    assert.equal(result.status, 1);
+    assert.match(result.output, /b\.jpg reuses the slug “a”/);
+    assert.match(result.output, /malformed date/);
+    assert.match(result.output, /Trip lists nope\.jpg/);
+    assert.match(result.output, /photos\/web\/b\.webp is missing/);
+    assert.doesNotMatch(result.output, /photos\/web\/a\.webp is missing/);
+  });
+
+  test("checks full-resolution files a post declares", () => {
+    const root = makeSite({
+      profile: {},
+      photos: [photo("a.jpg", { full: "a.jpg" }), photo("b.jpg", { full: "https://cdn.example.com/b.jpg" })],
+      albums: [],
+    });
+    fs.mkdirSync(path.join(root, "photos", "web"), { recursive: true });
+    ["a.webp", "b.webp"].forEach((file) => fs.writeFileSync(path.join(root, "photos", "web", file), ""));
+
+    const result = run(root, ["validate"]);
+    assert.equal(result.status, 1);
+    assert.match(result.output, /photos\/full\/a\.jpg is missing — add it, or remove the post's "full" field/);
+    assert.doesNotMatch(result.output, /cdn\.example\.com/);
+  });
+
+  test("reports albums that aren't objects instead of crashing", () => {
+    const root = makeSite({
+      profile: {},
+      photos: [photo("a.jpg")],
+      albums: [null, { id: "trip", title: "Trip", photos: ["a.jpg"] }],
+    });
+    const result = run(root, ["validate", "--no-files"]);
+    assert.equal(result.status, 1);
+    assert.match(result.output, /Album #1 is not an album object/);
+    assert.doesNotMatch(result.output, /TypeError/);
+  });
+});
+
+describe("process", () => {
+  test("turns new originals into web images, thumbnails and entries", needsSharp, async () => {
+    const root = makeSite({ profile: {}, photos: [], albums: [] }, { originals: true });
+    const result = run(root, ["process", "--caption", "Golden hour", "--no-geocode"]);
+    assert.equal(result.status, 0, result.output);
+    assert.match(result.output, /Renamed: Sunset at Pier\.jpg → Sunset-at-Pier\.jpg/);
+    assert.match(result.output, /Skipping unsupported file: notes\.txt/);
+
+    const photos = readJSON(root, "data/photos.json").photos;
+    assert.deepEqual(photos.map((p) => p.filename), ["Sunset-at-Pier.jpg", "trip", "plain.png"]);
+    photos.forEach((p) => assert.deepEqual(Object.keys(p), ENTRY_FIELDS));
+
+    assert.deepEqual(photos[0], {
+      filename: "Sunset-at-Pier.jpg",
+      web: "Sunset-at-Pier.webp",
+      thumbnail: "thumb_Sunset-at-Pier.webp",
+      slug: "sunset-at-pier",
+      date: "2024-05-01T17:02:33",
+      caption: "Golden hour",
+      camera: "Canon EOS R5",
+      lens: "RF35mm F1.8 MACRO IS STM",
+      settings: "35.0 mm f/1.8 1/250s ISO 400",
+      focalLength: 35,
+      aperture: 1.8,
+      shutter: "1/250",
+      iso: 400,
+      flash: null,
+      software: "",
+      location: "",
+      gps: { lat: "35 deg 39' 31.20\" N", lon: "139 deg 41' 50.40\" E" },
+      width: 320,
+      height: 240,
+      media: [{ type: "image", web: "Sunset-at-Pier.webp", thumbnail: "thumb_Sunset-at-Pier.webp" }],
+    });
+
+    // Multi-photo post: EXIF from the first image, no dimensions
+    assert.equal(photos[1].web, "trip-1.webp");
+    assert.equal(photos[1].camera, "FUJIFILM X100V");
+    assert.equal(photos[1].date, "2023-08-12T09:15:00");
+    assert.equal(photos[1].width, null);
+    assert.deepEqual(photos[1].media.map((m) => m.web), ["trip-1.webp", "trip-2.webp"]);
+
+    // No EXIF: the file's modification time
+    assert.equal(photos[2].date, "2020-01-02T03:04:05");
+    assert.equal(photos[2].camera, "");
+
+    // Web image is auto-oriented (EXIF orientation 6) and WebP
+    const web = await sharp(path.join(root, "photos", "web", "Sunset-at-Pier.webp")).metadata();
+    assert.equal(web.format, "webp");
+    assert.deepEqual([web.width, web.height], [240, 320]);
+
+    for (const [dir, size] of [["thumbnails", 1080], ["thumbnails/640", 640], ["thumbnails/360", 360]]) {
+      for (const name of ["thumb_Sunset-at-Pier.webp", "thumb_plain.webp", "thumb_trip-1.webp", "thumb_trip-2.webp"]) {
+        const thumb = await sharp(path.join(root, "photos", dir, name)).metadata();
+        assert.deepEqual([thumb.format, thumb.width, thumb.height], ["webp", size, size], dir + "/" + name);
+      }
+    }
+  });
+
+  test("skips originals already in photos.json and keeps pinned posts first", needsSharp, () => {
+    const root = makeSite({
+      profile: {},
+      photos: [photo("plain.png", { date: "2019-01-01T00:00:00", pinned: true, caption: "Mine" })],
+      albums: [],
+    }, { originals: true });
+    const first = run(root, ["process", "--no-geocode"]);
+    assert.equal(first.status, 0, first.output);
+    assert.doesNotMatch(first.output, /Processing: plain\.png/);
+
+    const photos = readJSON(root, "data/photos.json").photos;
+    assert.deepEqual(photos.map((p) => p.filename), ["plain.png", "Sunset-at-Pier.jpg", "trip"]);
+    assert.equal(photos[0].caption, "Mine");
+
+    const second = run(root, ["process", "--no-geocode"]);
+    assert.equal(second.status, 0, second.output);
+    assert.match(second.output, /No new photos found/);
+  });
+
+  test("writes the sitemap, feeds and share pages when siteUrl is set, and shards with --sharded", needsSharp, () => {
+    const root = makeSite({ profile: { username: "me", siteUrl: "https://example.com/" }, photos: [], albums: [] },
+      { originals: true });
+    const result = run(root, ["process", "--no-geocode", "--sharded"]);
+    assert.equal(result.status, 0, result.output);
+    ["sitemap.xml", "feed.xml", "feed.json", "p/sunset-at-pier/index.html", "data/index.json", "data/photos-0001.json"]
+      .forEach((file) => assert.ok(fs.existsSync(path.join(root, file)), file));
+    assert.equal(readJSON(root, "data/index.json").count, 3);
+  });
+});
+
+describe("import-instagram", () => {
+  test("imports single photos and carousels and skips them the second time", needsSharp, () => {
+    const root = makeSite({ profile: {}, photos: [], albums: [] });
+    const exportDir = path.join(FIXTURES, "instagram");
+    const result = run(root, ["import-instagram", "--no-geocode", exportDir]);
+    assert.equal(result.status, 0, result.output);
+    assert.match(result.output, /File not found: media\/posts\/202311\/17880000\.jpg/);
+    assert.match(result.output, /Imported: 2 post\(s\)/);
+    assert.match(result.output, /Errors: {3}1/);
+
+    const photos = readJSON(root, "data/photos.json").photos;
+    photos.forEach((p) => assert.deepEqual(Object.keys(p), ENTRY_FIELDS));
+    assert.deepEqual(photos.map((p) => p.slug), ["ig-1715000000", "ig-1714566000"]);
+
+    const [carousel, single] = photos;
+    assert.equal(carousel.filename, "17890002.jpg");
+    assert.equal(carousel.caption, "Weekend away");
+    assert.equal(carousel.date, "2024-05-06T12:53:20");
+    assert.equal(carousel.camera, "FUJIFILM X100V");
+    assert.deepEqual([carousel.width, carousel.height], [180, 120]);
+    assert.deepEqual(carousel.media, [
+      { type: "image", web: "ig-1715000000-1.webp", thumbnail: "thumb_ig-1715000000-1.webp" },
+      { type: "image", web: "ig-1715000000-2.webp", thumbnail: "thumb_ig-1715000000-2.webp" },
+    ]);
+
+    assert.equal(single.web, "ig-1714566000.webp");
+    assert.equal(single.caption, "Morning coffee #cafe");
+    assert.equal(single.date, "2024-05-01T12:20:00");
+    ["photos/web/ig-1714566000.webp", "photos/thumbnails/360/thumb_ig-1715000000-2.webp"]
+      .forEach((file) => assert.ok(fs.existsSync(path.join(root, file)), file));
+
+    const again = run(root, ["import-instagram", "--no-geocode", exportDir]);
+    assert.equal(again.status, 0, again.output);
+    assert.match(again.output, /Skipped: {2}2 \(already imported\)/);
+    assert.equal(readJSON(root, "data/photos.json").photos.length, 2);
+  });
+
+  test("fails without posts_1.json", () => {
+    const root = makeSite({ profile: {}, photos: [], albums: [] });
+    const result = run(root, ["import-instagram", path.join(root, "nowhere")]);
+    assert.equal(result.status, 1);
+    assert.match(result.output, /posts_1\.json/);
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * sw.js – Service worker for offline support.
+ *
+ * Caching strategies:
+ *   App shell (HTML, CSS, JS, icons)  → precached, cache-first
+ *   data/photos.json, pals.json       → stale-while-revalidate
+ *     (and a sharded index.json + photos-NNNN.json pages)
+ *   photos/web/ + photos/thumbnails/  → cache-first, size-capped
+ *   photos/full/ (zoom)               → network only, too big to keep
+ *   Pal manifests (…/data/*.json)      → network-first, cached fallback
+ *     (and feed.json, for pals that only publish a feed)
+ *   Pal images                         → cache-first, size-capped
+ *
+ * Bump CACHE_VERSION whenever the app shell changes so clients pick
+ * up the new files; old caches are removed on activate.
+ */
+
+"use strict";
+
+const CACHE_VERSION = "v22";
+const SHELL_CACHE = "mygram-shell-" + CACHE_VERSION;
+const DATA_CACHE = "mygram-data-" + CACHE_VERSION;
+const IMAGE_CACHE = "mygram-images-" + CACHE_VERSION;
+const PAL_CACHE = "mygram-pals-" + CACHE_VERSION;
+const PAL_IMAGE_CACHE = "mygram-pal-images-" + CACHE_VERSION;
+
+// Maximum number of entries kept in the runtime image caches.
+// Oldest entries are evicted first once the limit is reached.
+const MAX_IMAGE_ENTRIES = 400;
+const MAX_PAL_IMAGE_ENTRIES = 200;
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "manifest.json",
+  "css/style.css",
+  "js/lazyload.js",
+  "js/paged-list.js",
+  "js/carousel.js",
+  "js/tags.js",
+  "js/post-order.js",
+  "js/validator.js",
+  "js/exif.js",
+  "js/manifest.js",
+  "js/a11y.js",
+  "js/grid.js",
+  "js/timeline.js",
+  "js/lightbox.js",
+  "js/lightbox-zoom.js",
+  "js/photo-info.js",
+  "js/slideshow.js",
+  "js/share-links.js",
+  "js/albums.js",
+  "js/map.js",
+  "js/search.js",
+  "js/stats.js",
+  "js/pal-cache.js",
+  "js/discover.js",
+  "js/palgram.js",
+  "js/app.js",
+  "assets/world-outline.json",
+  "assets/profile.jpg",
+  "assets/favicon-16.png",
+  "assets/favicon-32.png",
+  "assets/apple-touch-icon.png",
+  "assets/icon-192.png",
+  "assets/icon-512.png",
+];
+
+// Bootstrap is loaded from a CDN; without it the offline page is unstyled
+// and app.js cannot construct tabs or toasts.
+const CDN_FILES = [
+  "https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/css/bootstrap.min.css",
+  "https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/js/bootstrap.bundle.min.js",
+  "https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.3/font/bootstrap-icons.min.css",
+];
+
+const DATA_PATHS = ["data/photos.json", "data/index.json", "data/share-pages.json", "palgram/pals.json"];
+const DATA_PAGE = /^data\/photos-\d+\.json$/;   // sharded manifest pages
+const PAL_MANIFEST = /\/(data\/(photos|index|photos-\d+)|feed)\.json$/;
+
+// ---- Install: precache the app shell ----
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(async (cache) => {
+      await cache.addAll(SHELL_FILES);
+      // CDN files are best-effort: a CDN hiccup shouldn't block install
+      await Promise.all(CDN_FILES.map((url) =>
+        cache.add(new Request(url, { mode: "cors" })).catch((err) => {
+          console.warn("SW: could not precache " + url, err);
+        })
+      ));
+    }).then(() => self.skipWaiting())
+  );
+});
+
+// ---- Activate: drop caches from older versions ----
+self.addEventListener("activate", (event) => {
+  const current = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE, PAL_CACHE, PAL_IMAGE_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key.startsWith("mygram-") && !current.includes(key))
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// =========================================================
+//  Helpers
+// =========================================================
+
+/** Path of a same-origin URL relative to the service worker scope */
+function scopePath(url) {
+  const scope = new URL(self.registration.scope);
+  return url.pathname.startsWith(scope.pathname)
+    ? url.pathname.slice(scope.pathname.length)
+    : url.pathname;
+}
+
+/** Remove the oldest entries from a cache until it fits maxEntries */
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  if (keys.length <= maxEntries) return;
+  // cache.keys() returns entries in insertion order
+  const excess = keys.slice(0, keys.length - maxEntries);
+  await Promise.all(excess.map((req) => cache.delete(req)));
+}
+
+/** True if a response is worth caching (opaque responses count for images) */
+function isCacheable(res) {
+  return res && (res.ok || res.type === "opaque");
+}
+
+// =========================================================
+//  Strategies
+// =========================================================
+async function cacheFirst(request, cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const res = await fetch(request);
+  if (isCacheable(res)) {
+    await cache.put(request, res.clone());
+    if (maxEntries) trimCache(cacheName, maxEntries);
+  }
+  return res;
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+  const request = event.request;
+  const cache = await caches.open(cacheName);
+  // Ignore the query string so cache-busted requests share one entry
+  const cached = await cache.match(request, { ignoreSearch: true });
+
+  const network = fetch(request).then((res) => {
+    if (res.ok) cache.put(request, res.clone());
+    return res;
+  });
+
+  if (cached) {
+    // Keep the worker alive until the background refresh lands
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const res = await fetch(request);
+    if (res.ok) await cache.put(request, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// =========================================================
+//  Routing
+// =========================================================
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+  // Range requests (video seeking) return 206s, which can't be cached
+  if (request.headers.has("range")) return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (sameOrigin) {
+    const path = scopePath(url);
+
+    // The admin panel edits the JSON files, so it must always see the
+    // network copy rather than whatever the gallery cached.
+    if (request.referrer && new URL(request.referrer).pathname.endsWith("/admin.html")) return;
+    if (path === "admin.html") return;
+
+    if (DATA_PATHS.includes(path) || DATA_PAGE.test(path)) {
+      event.respondWith(staleWhileRevalidate(event, DATA_CACHE));
+      return;
+    }
+
+    if (path.startsWith("photos/web/") || path.startsWith("photos/thumbnails/")) {
+      event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_IMAGE_ENTRIES));
+      return;
+    }
+
+    // Navigations fall back to the cached shell when offline
+    if (request.mode === "navigate") {
+      event.respondWith(
+        fetch(request).catch(() =>
+          caches.match(request, { ignoreSearch: true })
+            .then((cached) => cached || caches.match("index.html"))
+        )
+      );
+      return;
+    }
+
+    // Everything else in the shell: cache-first, falling back to network
+    event.respondWith(
+      caches.match(request, { ignoreSearch: true }).then((cached) => cached || fetch(request))
+    );
+    return;
+  }
+
+  // ---- Cross-origin ----
+  if (CDN_FILES.includes(request.url) || url.hostname === "cdn.jsdelivr.net") {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+    return;
+  }
+
+  // Pal manifests (fetched by PalgramModule.fetchPal)
+  if (PAL_MANIFEST.test(url.pathname)) {
+    event.respondWith(networkFirst(request, PAL_CACHE));
+    return;
+  }
+
+  // Pal images and avatars
+  if (request.destination === "image" || /\/photos\/(web|thumbnails)\//.test(url.pathname)) {
+    event.respondWith(cacheFirst(request, PAL_IMAGE_CACHE, MAX_PAL_IMAGE_ENTRIES));
+  }
+});